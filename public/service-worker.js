@@ -2,7 +2,6 @@
 
 const CACHE_NAME = 'defect-manager-v2'; // Increment version
 const APP_CACHE = 'app-cache-v2';
-const API_CACHE = 'api-cache-v2';
 
 // Assets that need to be available offline
 const STATIC_ASSETS = [
@@ -14,10 +13,12 @@ const STATIC_ASSETS = [
   '/manifest.json'
 ];
 
-// API endpoints that should be cached differently
+// Supabase endpoints are never cached here: responses hold operational data
+// in plain text, and the app keeps its own encrypted copy for offline use
 const API_ENDPOINTS = [
-  '/rest/v1/defects',
-  '/rest/v1/user_vessels'
+  '/rest/v1/',
+  '/auth/v1/',
+  '/storage/v1/'
 ];
 
 // Check if a request is an API call
@@ -28,17 +29,10 @@ const isApiRequest = (url) => {
 // Install event
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    Promise.all([
-      // Cache static assets
-      caches.open(APP_CACHE).then(cache => {
-        console.log('Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      }),
-      // Create API cache
-      caches.open(API_CACHE).then(cache => {
-        console.log('Initializing API cache');
-      })
-    ])
+    caches.open(APP_CACHE).then(cache => {
+      console.log('Caching static assets');
+      return cache.addAll(STATIC_ASSETS);
+    })
     .then(() => {
       console.log('Service worker installed');
       return self.skipWaiting();
@@ -52,27 +46,17 @@ self.addEventListener('install', (event) => {
 // Activate event
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    Promise.all([
-      // Clean up old caches
-      caches.keys().then(cacheNames => {
-        return Promise.all(
-          cacheNames.map(cacheName => {
-            if (![APP_CACHE, API_CACHE].includes(cacheName)) {
-              console.log('Deleting old cache:', cacheName);
-              return caches.delete(cacheName);
-            }
-          })
-        );
-      }),
-      // Clear old API cache entries
-      caches.open(API_CACHE).then(cache => {
-        return cache.keys().then(requests => {
-          return Promise.all(
-            requests.map(request => cache.delete(request))
-          );
-        });
-      })
-    ])
+    // Clean up old caches, including the API cache earlier versions kept
+    caches.keys().then(cacheNames => {
+      return Promise.all(
+        cacheNames.map(cacheName => {
+          if (cacheName !== APP_CACHE) {
+            console.log('Deleting old cache:', cacheName);
+            return caches.delete(cacheName);
+          }
+        })
+      );
+    })
     .then(() => {
       console.log('Service Worker activated');
       return self.clients.claim();
@@ -89,36 +73,8 @@ self.addEventListener('fetch', (event) => {
 
   const url = new URL(event.request.url);
 
-  // Handle API requests
+  // Leave API requests to the network
   if (isApiRequest(url.pathname)) {
-    event.respondWith(
-      fetch(event.request)
-        .then(response => {
-          // Clone the response
-          const responseToCache = response.clone();
-          
-          // Cache the fresh data
-          caches.open(API_CACHE)
-            .then(cache => {
-              cache.put(event.request, responseToCache);
-            })
-            .catch(error => {
-              console.error('API cache failed:', error);
-            });
-
-          return response;
-        })
-        .catch(error => {
-          // If offline, try to return cached data
-          return caches.match(event.request)
-            .then(cachedResponse => {
-              if (cachedResponse) {
-                return cachedResponse;
-              }
-              throw error;
-            });
-        })
-    );
     return;
   }
 
@@ -170,21 +126,434 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// Periodic cache cleanup
-setInterval(() => {
-  caches.open(API_CACHE).then(cache => {
-    cache.keys().then(requests => {
-      requests.forEach(request => {
-        // Delete cached API responses older than 1 hour
-        cache.match(request).then(response => {
-          if (response) {
-            const cachedAt = response.headers.get('cached-at');
-            if (cachedAt && Date.now() - new Date(cachedAt).getTime() > 3600000) {
-              cache.delete(request);
-            }
-          }
-        });
-      });
-    });
+// ---------------------------------------------------------------------------
+// Background sync of the offline outbox
+//
+// Mirrors OfflineSync.syncWithServer() for when no tab is open. The sync tag
+// names the user (`defect-outbox:<userId>`); the worker opens that user's
+// IndexedDB database, takes the same Web Lock, and talks to the Supabase
+// REST API. Records are encrypted at rest; the page hands the worker its key
+// and session (see `CACHE_KEY` messages) and without them the outbox waits
+// for the app. Keep the field
+// lists, id handling and sealed format in step with
+// src/services/OfflineSync.js, src/services/cacheCrypto.js and
+// src/utils/defectFields.js.
+// ---------------------------------------------------------------------------
+
+const OFFLINE_DB_PREFIX = 'defect-manager-db';
+const BACKGROUND_SYNC_TAG = 'defect-outbox';
+const OUTBOX_LOCK = 'defect-outbox';
+const BACKGROUND_REPORT_KEY = 'backgroundSyncReport';
+const DEFECTS_TABLE = 'defects register';
+const SYNC_FIELDS = [
+  'vessel_id', 'vessel_name', 'Status (Vessel)', 'Equipments', 'Description',
+  'Action Planned', 'Criticality', 'Date Reported', 'Date Completed', 'Comments', 'SNo',
+  'archived_at', 'archived_by', 'archive_reason', 'deleted_at', 'deleted_by', 'delete_reason',
+  'closing_remarks', 'reopen_reason', 'target_date',
+  'equipment_id', 'equipment_path', 'duplicate_of'
+];
+// Written only by the server, so taken from its copy even mid-queue
+const SERVER_ASSIGNED_FIELDS = ['defect_ref'];
+const DEFECT_REFERENCE_FIELDS = ['defect_id', 'duplicate_of'];
+const DEFECT_CLEAR_FIELDS = ['localId', 'id', 'vessel_id', '_status', '_criticality', '_dateReported', 'lastModified'];
+const OUTBOX_CLEAR_FIELDS = [
+  'seq', 'type', 'table', 'localId', 'recordId', 'attempts',
+  'lastError', 'lastAttemptAt', 'createdAt', 'updatedAt'
+];
+
+// Cache keys and sessions by user id, in memory only. They are gone whenever
+// the browser stops the worker, until an open tab hands them over again.
+// Neither is ever stored where the worker could reach it alone - the key
+// would undo the password protecting the cache, the session would leave a
+// bearer token readable on disk - so once the browser has stopped the worker
+// with every tab closed, queued changes wait for the app to be reopened.
+// flushOutbox records that in the sync report so the app can say so.
+const credentials = new Map();
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (!message || message.type !== 'CACHE_KEY' || !message.userId) return;
+  if (message.key) {
+    credentials.set(message.userId, { key: message.key, auth: message.auth || null });
+  } else {
+    credentials.delete(message.userId);
+  }
+});
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const idbDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// Opens the app's database at whatever version it is. The page owns the
+// schema, so if the database does not exist yet we abort instead of
+// creating an empty one.
+const openOfflineDb = (userId) => new Promise((resolve) => {
+  const request = indexedDB.open(`${OFFLINE_DB_PREFIX}:${userId}`);
+  request.onupgradeneeded = () => request.transaction.abort();
+  request.onsuccess = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains('outbox') || !db.objectStoreNames.contains('meta')) {
+      db.close();
+      resolve(null);
+      return;
+    }
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => resolve(null);
+});
+
+const readMeta = async (db, key) => {
+  const entry = await idbRequest(db.transaction('meta').objectStore('meta').get(key));
+  return entry ? entry.value : null;
+};
+
+const normalizeFieldValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}T00:00:00/.test(text)) return text.slice(0, 10);
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) && !Number.isNaN(Date.parse(text))) {
+    return new Date(text).toISOString();
+  }
+  return text;
+};
+
+const pickSyncFields = (record) => SYNC_FIELDS.reduce((acc, field) => {
+  acc[field] = record && record[field] !== undefined ? record[field] : null;
+  return acc;
+}, {});
+
+const changedFields = (from, to) => SYNC_FIELDS.filter(field =>
+  normalizeFieldValue(from && from[field]) !== normalizeFieldValue(to && to[field])
+);
+
+const withIndexFields = (record) => Object.assign({}, record, {
+  _status: record['Status (Vessel)'] || '',
+  _criticality: record.Criticality || '',
+  _dateReported: record['Date Reported'] ? String(record['Date Reported']).slice(0, 10) : ''
+});
+
+const sealRecord = async (key, record, clearFields) => {
+  const clear = {};
+  const secret = {};
+  Object.keys(record).forEach(field => {
+    if (clearFields.includes(field)) clear[field] = record[field];
+    else secret[field] = record[field];
   });
-}, 3600000); // Run every hour
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secret))
+  );
+  return Object.assign(clear, { _sealed: { iv, data } });
+};
+
+const openRecord = async (key, stored) => {
+  if (!stored || !stored._sealed) return stored;
+  const clear = Object.assign({}, stored);
+  delete clear._sealed;
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: stored._sealed.iv }, key, stored._sealed.data);
+  return Object.assign(clear, JSON.parse(new TextDecoder().decode(data)));
+};
+
+const sealDefect = (key, record) => sealRecord(key, withIndexFields(record), DEFECT_CLEAR_FIELDS);
+const sealOperation = (key, operation) => sealRecord(key, operation, OUTBOX_CLEAR_FIELDS);
+
+const readAll = async (db, key, storeName) => {
+  const stored = await idbRequest(db.transaction(storeName).objectStore(storeName).getAll());
+  return Promise.all(stored.map(record => openRecord(key, record)));
+};
+
+const readOne = async (db, key, storeName, id) => (
+  openRecord(key, await idbRequest(db.transaction(storeName).objectStore(storeName).get(id)))
+);
+
+const isProvisionalId = (id) => typeof id === 'string' && id.startsWith('offline_');
+const serverLocalId = (id) => `server_${id}`;
+
+// Mirrors withChangeHeaders in OfflineSync.js
+const changeHeaders = (operation) => ({
+  'x-change-origin': operation.origin || 'offline',
+  'x-changed-at': operation.changedAt || operation.createdAt
+});
+
+const restRequest = async (auth, table, { method = 'GET', query = '', body, headers = {} } = {}) => {
+  const response = await fetch(
+    `${auth.url}/rest/v1/${encodeURIComponent(table)}${query}`,
+    {
+      method,
+      headers: Object.assign({
+        apikey: auth.anonKey,
+        Authorization: `Bearer ${auth.accessToken}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation'
+      }, headers),
+      body: body ? JSON.stringify(body) : undefined
+    }
+  );
+
+  if (!response.ok) {
+    const error = new Error(`${response.status} ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+  return method === 'DELETE' ? null : response.json();
+};
+
+const pushOperation = async (auth, operation) => {
+  const { id, ...payload } = operation.payload || {};
+  const byId = `?id=eq.${encodeURIComponent(operation.recordId)}`;
+  const headers = changeHeaders(operation);
+
+  switch (operation.type) {
+    case 'create': {
+      const row = isProvisionalId(id) ? payload : Object.assign({ id }, payload);
+      const rows = await restRequest(auth, operation.table, { method: 'POST', body: [row], headers });
+      return rows[0];
+    }
+    case 'update': {
+      const rows = await restRequest(auth, operation.table, { method: 'PATCH', query: byId, body: payload, headers });
+      return rows[0];
+    }
+    case 'delete':
+      await restRequest(auth, operation.table, { method: 'DELETE', query: byId, headers });
+      return null;
+    default:
+      return undefined;
+  }
+};
+
+const detectConflict = async (auth, operation) => {
+  if (operation.type !== 'update' || !operation.base) return null;
+  const rows = await restRequest(auth, operation.table, {
+    query: `?id=eq.${encodeURIComponent(operation.recordId)}&select=*`
+  });
+  if (!rows.length) throw new Error('Defect no longer exists on the server');
+  const fields = changedFields(operation.base, rows[0]);
+  return fields.length > 0 ? { server: rows[0], fields } : null;
+};
+
+const rewriteOperationIds = (operation, mapping) => {
+  const swap = (value) => (value === mapping.provisionalId ? mapping.serverId : value);
+  const payload = operation.payload && Object.fromEntries(
+    Object.entries(operation.payload).map(([key, value]) => (
+      key === 'id' || DEFECT_REFERENCE_FIELDS.includes(key) ? [key, swap(value)] : [key, value]
+    ))
+  );
+  return Object.assign({}, operation, {
+    localId: operation.localId === mapping.fromLocalId ? mapping.toLocalId : operation.localId,
+    recordId: swap(operation.recordId),
+    payload
+  });
+};
+
+// Decrypting would leave an IndexedDB transaction idle long enough to
+// commit, so everything is read and sealed first and written in one go.
+const completeOperation = async (db, key, operation, serverRecord) => {
+  const mapping = operation.type === 'create' && isProvisionalId(operation.recordId) && serverRecord
+    ? {
+      provisionalId: operation.recordId,
+      serverId: serverRecord.id,
+      fromLocalId: operation.localId,
+      toLocalId: serverLocalId(serverRecord.id)
+    }
+    : null;
+  const localId = mapping ? mapping.toLocalId : operation.localId;
+  const now = new Date().toISOString();
+
+  const queued = (await readAll(db, key, 'outbox'))
+    .filter(next => next.seq !== operation.seq)
+    .map(next => (mapping ? rewriteOperationIds(next, mapping) : next));
+  const remaining = queued.filter(next => next.localId === localId);
+  const cached = await readOne(db, key, 'defects', mapping ? mapping.fromLocalId : localId);
+
+  let record = null;
+  let base = null;
+  if (serverRecord && remaining.length === 0) {
+    record = Object.assign({}, serverRecord, { localId, lastModified: now });
+  } else if (serverRecord) {
+    base = pickSyncFields(serverRecord);
+    const assigned = SERVER_ASSIGNED_FIELDS.reduce((acc, field) => {
+      acc[field] = serverRecord[field];
+      return acc;
+    }, {});
+    record = cached && Object.assign({}, cached, assigned, {
+      id: mapping ? mapping.serverId : cached.id,
+      localId,
+      _base: base
+    });
+  }
+  const operations = (mapping ? queued : base ? remaining : []).map(next => (
+    base && next.localId === localId ? Object.assign({}, next, { base }) : next
+  ));
+
+  const sealedRecord = record && await sealDefect(key, record);
+  const sealedOperations = await Promise.all(operations.map(next => sealOperation(key, next)));
+
+  const hasAttachments = db.objectStoreNames.contains('attachments');
+  const tx = db.transaction(
+    hasAttachments ? ['defects', 'outbox', 'idMap', 'attachments'] : ['defects', 'outbox', 'idMap'],
+    'readwrite'
+  );
+  const defects = tx.objectStore('defects');
+  tx.objectStore('outbox').delete(operation.seq);
+  sealedOperations.forEach(next => tx.objectStore('outbox').put(next));
+  if (mapping) {
+    if (cached) defects.delete(mapping.fromLocalId);
+    // Files waiting to upload follow the defect to its new key
+    if (hasAttachments) {
+      const attachments = tx.objectStore('attachments');
+      const moving = await idbRequest(attachments.index('localId').getAll(mapping.fromLocalId));
+      moving.forEach(file => attachments.put(Object.assign({}, file, { localId: mapping.toLocalId })));
+    }
+    tx.objectStore('idMap').put({
+      provisionalId: mapping.provisionalId,
+      serverId: mapping.serverId,
+      localId: mapping.toLocalId,
+      mappedAt: now
+    });
+  }
+  if (sealedRecord) defects.put(sealedRecord);
+
+  await idbDone(tx);
+};
+
+const updateOperation = async (db, key, operation, changes) => {
+  const sealed = await sealOperation(key, Object.assign({}, operation, changes));
+  const tx = db.transaction('outbox', 'readwrite');
+  tx.objectStore('outbox').put(sealed);
+  await idbDone(tx);
+};
+
+// Adds this run to the report the app shows when it is next opened, and
+// tells any open tab
+const recordReport = async (db, userId, report) => {
+  const previous = await readMeta(db, BACKGROUND_REPORT_KEY);
+  const merged = {
+    synced: report.synced + ((previous && previous.synced) || 0),
+    failed: report.failed,
+    conflicts: report.conflicts,
+    authExpired: report.authExpired,
+    locked: report.locked,
+    idMap: Object.assign({}, previous && previous.idMap, report.idMap),
+    finishedAt: new Date().toISOString()
+  };
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').put({ key: BACKGROUND_REPORT_KEY, value: merged });
+  await idbDone(tx);
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'BACKGROUND_SYNC_COMPLETE', userId, report: merged }));
+};
+
+const flushOutbox = async (userId) => {
+  const db = await openOfflineDb(userId);
+  if (!db) return;
+
+  const { key, auth } = credentials.get(userId) || {};
+  try {
+    // Without the key nothing queued can be read. Retrying will not bring it
+    // back, so the changes are left for the app and the report says why.
+    if (!key) {
+      const waiting = await idbRequest(db.transaction('outbox').objectStore('outbox').count());
+      if (waiting > 0) {
+        await recordReport(db, userId, {
+          synced: 0, failed: 0, conflicts: 0, idMap: {}, authExpired: false, locked: waiting
+        });
+      }
+      return;
+    }
+
+    // Signed out since the key was shared: nothing may be sent for them
+    if (!auth || !auth.accessToken || auth.userId !== userId) return;
+
+    const report = { synced: 0, failed: 0, conflicts: 0, idMap: {}, authExpired: false, locked: 0 };
+    const blocked = new Set();
+    const queued = await idbRequest(db.transaction('outbox').objectStore('outbox').getAll());
+
+    for (const { seq } of queued) {
+      const operation = await readOne(db, key, 'outbox', seq);
+      if (!operation || blocked.has(operation.localId)) continue;
+
+      // Conflicts need a person, and attachments and unknown operation types
+      // need the app (files go through its storage client); either way later
+      // changes to the same record wait behind them.
+      if (
+        operation.conflict ||
+        operation.table !== DEFECTS_TABLE ||
+        !['create', 'update', 'delete'].includes(operation.type)
+      ) {
+        blocked.add(operation.localId);
+        if (operation.conflict) report.conflicts += 1;
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      try {
+        const conflict = await detectConflict(auth, operation);
+        if (conflict) {
+          blocked.add(operation.localId);
+          await updateOperation(db, key, operation, {
+            conflict: Object.assign({}, conflict, { detectedAt: now }),
+            lastAttemptAt: now,
+            updatedAt: now
+          });
+          report.conflicts += 1;
+          continue;
+        }
+
+        const serverRecord = await pushOperation(auth, operation);
+        await completeOperation(db, key, operation, operation.table === DEFECTS_TABLE ? serverRecord : null);
+        if (operation.type === 'create' && isProvisionalId(operation.recordId)) {
+          report.idMap[operation.recordId] = serverRecord.id;
+        }
+        report.synced += 1;
+      } catch (error) {
+        // An expired session is not the operation's fault - stop and leave
+        // the rest for the app rather than counting attempts against it.
+        if (error.status === 401) {
+          report.authExpired = true;
+          break;
+        }
+        blocked.add(operation.localId);
+        await updateOperation(db, key, operation, {
+          attempts: operation.attempts + 1,
+          lastError: error.message || String(error),
+          lastAttemptAt: now,
+          updatedAt: now
+        });
+        report.failed += 1;
+      }
+    }
+
+    if (report.synced || report.failed || report.conflicts || report.authExpired) {
+      await recordReport(db, userId, report);
+    }
+
+    // Let the browser retry later if something is still waiting on the network.
+    if (report.failed > 0) {
+      throw new Error(`${report.failed} outbox operation(s) failed`);
+    }
+  } finally {
+    db.close();
+  }
+};
+
+const withOutboxLock = (userId, task) => (
+  self.navigator && self.navigator.locks
+    ? self.navigator.locks.request(`${OUTBOX_LOCK}:${userId}`, task)
+    : task()
+);
+
+self.addEventListener('sync', (event) => {
+  const [tag, userId] = event.tag.split(':');
+  if (tag === BACKGROUND_SYNC_TAG && userId) {
+    event.waitUntil(withOutboxLock(userId, () => flushOutbox(userId)));
+  }
+});
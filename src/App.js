@@ -1,18 +1,51 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { ToastProvider } from './components/ui/toast';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ToastProvider, ToastAction } from './components/ui/toast';
+import { Toaster } from './components/ui/toaster';
 import { useToast } from './components/ui/use-toast';
 import Auth from './components/Auth';
+import UnlockCache from './components/UnlockCache';
 import Header from './components/Header';
 import StatsCards from './components/StatsCards';
 import SearchBar from './components/SearchBar';
 import DefectsTable from './components/DefectsTable';
 import DefectDialog from './components/DefectDialog';
+import ConflictDialog from './components/ConflictDialog';
+import RemoveDefectDialog from './components/RemoveDefectDialog';
+import BulkActionBar from './components/BulkActionBar';
+import BulkEditDialog from './components/BulkEditDialog';
+import SyncInbox, { syncStatesByRecord } from './components/SyncInbox';
 import ChatBot from './components/ChatBot/ChatBot';
 import { supabase } from './supabaseClient';
-import OfflineSync from './services/OfflineSync';
+import OfflineSync, { isProvisionalId, createProvisionalId } from './services/OfflineSync';
+import RealtimeSync from './services/RealtimeSync';
+import AttachmentService from './services/AttachmentService';
+import CommentService from './services/CommentService';
+import TaxonomyService from './services/TaxonomyService';
+import PreferencesService from './services/PreferencesService';
+import { SERVER_PAGE_SIZE, fetchDefectPage } from './services/defectPages';
+import useDebouncedValue from './hooks/useDebouncedValue';
+import TaxonomyEditor from './components/TaxonomyEditor';
+import { createLocalRealtimeClient } from './services/localRealtime';
+import { changedFields, REMOVAL_FIELDS } from './utils/defectFields';
+import { STATUS_FIELD, workflowErrors, workflowFields } from './utils/defectWorkflow';
+import { defaultTargetDate, dueState } from './utils/sla';
+import { equipmentSystems } from './utils/equipmentTaxonomy';
+import { createProvisionalRef, formatDefectRef } from './utils/defectRef';
+import {
+  COLUMN_PREFERENCES_KEY,
+  DEFAULT_COLUMN_PREFERENCES,
+  normalizeColumnPreferences,
+  sortDefects
+} from './utils/defectColumns';
+import { exportToCSV } from './utils/exportToCSV';
+import { exportToPDF } from './utils/exportToPDF';
+import { getAccount, listAccounts, saveAccount } from './services/accountRegistry';
 import { clearAppCache } from './index';
 import InstallPWA from './components/InstallPWA';
 
+// Typing in the search box only filters the register once it pauses
+const SEARCH_DEBOUNCE_MS = 250;
+
 const withTimeout = (promise, timeout = 10000) => {
   return Promise.race([
     promise,
@@ -22,6 +55,18 @@ const withTimeout = (promise, timeout = 10000) => {
   ]);
 };
 
+// REACT_APP_REALTIME_STANDIN=true swaps the live feed for a local stand-in
+// that can be driven from the console: window.realtimeStandIn.emit(...)
+const createRealtimeClient = () => {
+  if (process.env.REACT_APP_REALTIME_STANDIN !== 'true') return supabase;
+  const client = createLocalRealtimeClient();
+  window.realtimeStandIn = client;
+  return client;
+};
+
+// How long a row stays highlighted after someone else changed it
+const REMOTE_HIGHLIGHT_MS = 4000;
+
 // Utility function for fetching user's vessels
 const getUserVessels = async (userId) => {
   try {
@@ -63,18 +108,62 @@ function App() {
   // Filter states
   const [currentVessel, setCurrentVessel] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const debouncedSearch = useDebouncedValue(searchTerm, SEARCH_DEBOUNCE_MS);
   const [statusFilter, setStatusFilter] = useState('');
   const [criticalityFilter, setCriticalityFilter] = useState('');
+  const [dueFilter, setDueFilter] = useState('');
+  const [equipmentFilter, setEquipmentFilter] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
   
   // Dialog states
   const [isDefectDialogOpen, setIsDefectDialogOpen] = useState(false);
   const [currentDefect, setCurrentDefect] = useState(null);
+  const [removal, setRemoval] = useState(null);
+  const [isTaxonomyEditorOpen, setIsTaxonomyEditorOpen] = useState(false);
+  const [bulkAction, setBulkAction] = useState(null);
+
+  // Ticked rows of the register, by localId
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [isBulkExporting, setIsBulkExporting] = useState(false);
 
   // Offline states
   const [offlineSync] = useState(() => new OfflineSync());
+  const [realtimeSync] = useState(() => new RealtimeSync(createRealtimeClient()));
+  const [attachmentService] = useState(() => new AttachmentService(offlineSync));
+  const [commentService] = useState(() => new CommentService(offlineSync, attachmentService));
+  const [taxonomyService] = useState(() => new TaxonomyService(offlineSync));
+  const [equipment, setEquipment] = useState([]);
+  const [preferencesService] = useState(() => new PreferencesService(offlineSync));
+  const [columnPreferences, setColumnPreferences] = useState(DEFAULT_COLUMN_PREFERENCES);
+  const [page, setPage] = useState(0);
+  const [serverPage, setServerPage] = useState({ items: [], total: 0, loading: false, failed: false });
+  const [remoteHighlights, setRemoteHighlights] = useState({});
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [isSyncing, setIsSyncing] = useState(false);
-  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const [outbox, setOutbox] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [isSyncInboxOpen, setIsSyncInboxOpen] = useState(false);
+  const [cachedAccounts, setCachedAccounts] = useState([]);
+  // null once the offline data is open, 'pending' while a fresh sign-in is
+  // unlocking it, 'locked' or 'rekey' while it waits for a password
+  const [cacheLock, setCacheLock] = useState(null);
+  const pendingPassword = useRef(null);
+
+  // Changes still waiting for the server, and which of them need a person
+  const syncStates = useMemo(() => syncStatesByRecord(outbox), [outbox]);
+  const stuckCount = useMemo(
+    () => outbox.filter(operation => operation.attempts > 0 || operation.conflict).length,
+    [outbox]
+  );
+
+  // Set on the account by a service-role key, so users cannot grant it themselves
+  const isAdmin = session?.user?.app_metadata?.role === 'admin';
+
+  const refreshSyncState = useCallback(async () => {
+    const operations = await offlineSync.getOutbox();
+    setOutbox(operations);
+    setConflicts(operations.filter(operation => operation.conflict));
+  }, [offlineSync]);
 
   // First, add these utility functions at the top level of your App.js, after imports
 const withTimeout = (promise, timeout = 10000) => {
@@ -100,93 +189,113 @@ const retryOperation = async (operation, maxRetries = 3) => {
 };
 
 // Then replace your loadData function with this improved version
-const loadData = async (userId) => {
+const loadData = async (userId, email) => {
   return retryOperation(async () => {
     try {
       setLoading(true);
       setIsDataLoading(true);
 
-      // First try to get cached data
-      let cachedDefects = await withTimeout(offlineSync.getDefects(), 5000);
-      if (cachedDefects?.length) {
-        setData(cachedDefects);
-        console.log('Loaded cached data:', cachedDefects.length, 'records');
+      // Switch the cache to this user before anything is read, and drop
+      // whatever the previous login left on screen
+      await offlineSync.setUser(userId);
+      const isCurrentUser = () => offlineSync.userId === userId;
+      setData([]);
+      setConflicts([]);
+      setOutbox([]);
+
+      // The register layout is cached too, so it applies offline
+      const layout = await preferencesService.load(COLUMN_PREFERENCES_KEY);
+      if (isCurrentUser()) setColumnPreferences(normalizeColumnPreferences(layout));
+
+      // First try to get cached data for the vessels this account last had
+      const account = await getAccount(userId);
+      let cachedDefects = [];
+      if (account?.vesselIds?.length) {
+        const cached = await withTimeout(
+          offlineSync.query({ vesselIds: account.vesselIds, limit: Infinity }),
+          5000
+        );
+        cachedDefects = cached.items;
+        if (cachedDefects.length && isCurrentUser()) {
+          setAssignedVessels(account.vesselIds);
+          setVesselNames(account.vesselNames || {});
+          setData(cachedDefects);
+          console.log('Loaded cached data:', cachedDefects.length, 'records');
+        }
       }
 
-      // Fetch vessels with timeout
-      const vesselPromise = supabase
-        .from('user_vessels')
-        .select(`
-          vessel_id,
-          vessels!inner(vessel_id, vessel_name)
-        `)
-        .eq('user_id', userId);
+      let vesselIds;
+      let vesselsMap;
 
-      const { data: userVessels, error: vesselError } = await withTimeout(vesselPromise, 10000);
+      if (navigator.onLine) {
+        // Fetch vessels with timeout
+        const vesselPromise = supabase
+          .from('user_vessels')
+          .select(`
+            vessel_id,
+            vessels!inner(vessel_id, vessel_name)
+          `)
+          .eq('user_id', userId);
 
-      if (vesselError) {
-        throw new Error(`Failed to fetch vessels: ${vesselError.message}`);
-      }
+        const { data: userVessels, error: vesselError } = await withTimeout(vesselPromise, 10000);
 
-      if (!userVessels || userVessels.length === 0) {
-        console.warn('No vessels found for user:', userId);
-      }
+        if (vesselError) {
+          throw new Error(`Failed to fetch vessels: ${vesselError.message}`);
+        }
 
-      const vesselIds = userVessels.map(v => v.vessel_id);
-      const vesselsMap = userVessels.reduce((acc, v) => {
-        if (v.vessels) {
-          acc[v.vessel_id] = v.vessels.vessel_name;
+        if (!userVessels || userVessels.length === 0) {
+          console.warn('No vessels found for user:', userId);
         }
-        return acc;
-      }, {});
 
+        vesselIds = userVessels.map(v => v.vessel_id);
+        vesselsMap = userVessels.reduce((acc, v) => {
+          if (v.vessels) {
+            acc[v.vessel_id] = v.vessels.vessel_name;
+          }
+          return acc;
+        }, {});
+
+        await offlineSync.pruneToVessels(vesselIds);
+        await saveAccount({ userId, email, vesselIds, vesselNames: vesselsMap });
+      } else {
+        console.log('Offline mode - using cached vessel assignment');
+        vesselIds = account?.vesselIds || [];
+        vesselsMap = account?.vesselNames || {};
+      }
+
+      if (!isCurrentUser()) return;
       setAssignedVessels(vesselIds);
       setVesselNames(vesselsMap);
 
-      // If online, fetch fresh defects
-      if (navigator.onLine && vesselIds.length > 0) {
-        const defectsPromise = supabase
-          .from('defects register')
-          .select('*')
-          .in('vessel_id', vesselIds)
-          .order('Date Reported', { ascending: false });
-
-        const { data: defects, error: defectsError } = await withTimeout(defectsPromise, 15000);
+      // Push anything still queued (including what a background sync could
+      // not send) before pulling, so the pull reflects our own changes
+      if (navigator.onLine) {
+        const backgroundReport = await offlineSync.takeBackgroundSyncReport();
+        if (backgroundReport) reportBackgroundSync(backgroundReport);
+        await withTimeout(offlineSync.syncWithServer(), 30000);
+      }
 
-        if (defectsError) {
-          throw new Error(`Failed to fetch defects: ${defectsError.message}`);
-        }
+      // If online, pull only what changed since the last sync
+      if (navigator.onLine && vesselIds.length > 0) {
+        await withTimeout(offlineSync.deltaSync(userId, vesselIds), 30000);
 
-        if (defects) {
-          // Add localId to defects before storing
-          const defectsWithLocalId = defects.map(defect => ({
-            ...defect,
-            localId: `server_${defect.id}`
-          }));
-
-          // Store in IndexedDB
-          await withTimeout(offlineSync.storeData(defectsWithLocalId), 5000);
-          console.log('Stored', defectsWithLocalId.length, 'defects in IndexedDB');
-          
-          setData(defects);
-        }
+        const { items } = await withTimeout(offlineSync.query({ vesselIds, limit: Infinity }), 5000);
+        if (isCurrentUser()) setData(items);
       } else if (!navigator.onLine) {
         console.log('Offline mode - using cached data');
         // If offline and no cached data, try one more time
         if (!cachedDefects?.length) {
-          cachedDefects = await withTimeout(offlineSync.getDefects(), 5000);
-          if (cachedDefects?.length) {
+          const cached = await withTimeout(offlineSync.query({ vesselIds, limit: Infinity }), 5000);
+          cachedDefects = cached.items;
+          if (cachedDefects?.length && isCurrentUser()) {
             console.log('Retrieved backup cached data:', cachedDefects.length, 'records');
             setData(cachedDefects);
           }
         }
       }
 
-      // Update pending sync count if offline
-      if (!navigator.onLine) {
-        const pendingCount = await withTimeout(offlineSync.getPendingSyncCount(), 3000);
-        setPendingSyncCount(pendingCount);
-      }
+      if (!isCurrentUser()) return;
+      await withTimeout(refreshSyncState(), 3000);
 
     } catch (error) {
       console.error('Error in loadData:', error);
@@ -235,8 +344,11 @@ const loadData = async (userId) => {
       setSession(session);
       
       if (session?.user?.id) {
-        setIsDataLoading(true);
-        await loadData(session.user.id);
+        // A restored session has no password to derive the cache key from
+        await offlineSync.setUser(session.user.id);
+        setCacheLock('locked');
+      } else {
+        setCachedAccounts(await listAccounts());
       }
     } catch (error) {
       console.error('Error initializing app:', error);
@@ -271,12 +383,27 @@ const loadData = async (userId) => {
       setSession(session);
 
       if (session?.user?.id) {
+        await offlineSync.setUser(session.user.id);
+        // Until handleLogin (or the unlock screen) has the password there is
+        // nothing to load
+        if (!offlineSync.isUnlocked()) {
+          setCacheLock(prev => prev || 'pending');
+          return;
+        }
         setIsDataLoading(true);
-        await withTimeout(loadData(session.user.id));
+        offlineSync.setBackgroundSyncAuth(session);
+        await withTimeout(loadData(session.user.id, session.user.email));
       } else {
+        await offlineSync.setUser(null);
+        setCacheLock(null);
+        pendingPassword.current = null;
+        setOutbox([]);
+        setConflicts([]);
         setData([]);
         setAssignedVessels([]);
         setVesselNames({});
+        setCurrentVessel([]);
+        setCachedAccounts(await listAccounts());
       }
     } catch (error) {
       console.error('Error in auth state change:', error);
@@ -317,25 +444,23 @@ const loadData = async (userId) => {
         return acc;
       }, {});
 
-      const { data: defects, error: defectsError } = await supabase
-        .from('defects register')
-        .select('*')
-        .in('vessel_id', vesselIds)
-        .order('Date Reported', { ascending: false });
+      const userId = session.user.id;
+      await offlineSync.pruneToVessels(vesselIds);
+      await saveAccount({ userId, email: session.user.email, vesselIds, vesselNames: vesselsMap });
 
-      if (defectsError) throw defectsError;
-
-      if (defects) {
-        const defectsWithLocalId = defects.map(defect => ({
-          ...defect,
-          localId: `server_${defect.id}`
-        }));
-        await offlineSync.storeData(defectsWithLocalId);
+      if (vesselIds.length > 0) {
+        await offlineSync.deltaSync(userId, vesselIds);
       }
+      const { items: defects } = await offlineSync.query({ vesselIds, limit: Infinity });
+      const taxonomy = await taxonomyService.load();
+      const layout = await preferencesService.load(COLUMN_PREFERENCES_KEY);
 
+      if (offlineSync.userId !== userId) return;
+      setEquipment(taxonomy);
+      setColumnPreferences(normalizeColumnPreferences(layout));
       setAssignedVessels(vesselIds);
       setVesselNames(vesselsMap);
-      setData(defects || []);
+      setData(vesselIds.length > 0 ? defects : []);
       
     } catch (error) {
       console.error("Error fetching data:", error);
@@ -347,7 +472,115 @@ const loadData = async (userId) => {
     } finally {
       setLoading(false);
     }
-  }, [session?.user?.id, toast, offlineSync]);
+  }, [session?.user?.id, session?.user?.email, toast, offlineSync, taxonomyService, preferencesService]);
+
+  // Swap provisional ids for the server ids assigned during sync
+  const applyIdMap = useCallback((idMap) => {
+    if (Object.keys(idMap).length === 0) return;
+
+    const remap = (defect) => {
+      const serverId = idMap[defect.id];
+      return serverId
+        ? { ...defect, id: serverId, localId: offlineSync.localIdFor({ id: serverId }) }
+        : defect;
+    };
+
+    setData(prevData => prevData.map(remap));
+    setCurrentDefect(prev => prev && remap(prev));
+  }, [offlineSync]);
+
+  // Tell the user what the service worker synced while the app was closed
+  const reportBackgroundSync = useCallback((report) => {
+    if (report.synced > 0) {
+      toast({
+        title: "Synced in Background",
+        description: `${report.synced} change(s) reached the server while the app was closed`,
+      });
+    }
+    if (report.locked > 0) {
+      toast({
+        title: "Waiting for the App",
+        description: `${report.locked} change(s) stayed queued while the app was closed - the offline data can only be unlocked with the app open. They are syncing now.`,
+      });
+    }
+    if (report.failed > 0 || report.authExpired) {
+      toast({
+        title: "Sync Incomplete",
+        description: report.authExpired
+          ? "Your session had expired; remaining changes are syncing now."
+          : `${report.failed} change(s) could not be synced in the background.`,
+        variant: "destructive",
+      });
+    }
+  }, [toast]);
+
+  // Pick up results when the service worker syncs while a tab is open
+  useEffect(() => {
+    if (!navigator.serviceWorker) return;
+
+    const handleMessage = async (event) => {
+      if (event.data?.type !== 'BACKGROUND_SYNC_COMPLETE') return;
+
+      const report = await offlineSync.takeBackgroundSyncReport();
+      if (report) {
+        applyIdMap(report.idMap || {});
+        reportBackgroundSync(report);
+      }
+      if (session?.user) {
+        await fetchUserData();
+      }
+      await refreshSyncState();
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [offlineSync, applyIdMap, reportBackgroundSync, fetchUserData, refreshSyncState, session]);
+
+  // Apply a change someone else made to the register while we are looking
+  const handleRemoteChange = async ({ type, record, old }) => {
+    const id = type === 'DELETE' ? old?.id : record?.id;
+    if (!id) return;
+
+    try {
+      const localId = offlineSync.localIdFor({ id });
+      const previous = data.find(defect => defect.localId === localId);
+      const cached = await offlineSync.applyRemoteChange(type, type === 'DELETE' ? { id } : record);
+
+      setData(prevData => {
+        if (!cached) return prevData.filter(defect => defect.localId !== localId);
+        if (prevData.some(defect => defect.localId === localId)) {
+          return prevData.map(defect => defect.localId === localId ? cached : defect);
+        }
+        return [cached, ...prevData].sort((a, b) => new Date(b['Date Reported']) - new Date(a['Date Reported']));
+      });
+
+      // Our own saves come back through the feed too; only flag real news
+      if (cached && (!previous || changedFields(previous, cached).length > 0)) {
+        setRemoteHighlights(prev => ({ ...prev, [localId]: true }));
+        setTimeout(() => {
+          setRemoteHighlights(({ [localId]: _, ...rest }) => rest);
+        }, REMOTE_HIGHLIGHT_MS);
+      }
+    } catch (error) {
+      console.error('Error applying live update:', error);
+    }
+  };
+
+  // The subscription only follows the vessel list; handlers are read through
+  // a ref so re-renders do not tear the channel down
+  const remoteHandlers = useRef({});
+  remoteHandlers.current = { onChange: handleRemoteChange, onResync: fetchUserData };
+  const subscribedVessels = assignedVessels.join(',');
+
+  useEffect(() => {
+    if (!session?.user?.id || cacheLock || !subscribedVessels) return;
+
+    realtimeSync.subscribe(subscribedVessels.split(','), {
+      onChange: (change) => remoteHandlers.current.onChange(change),
+      onResync: () => remoteHandlers.current.onResync()
+    });
+    return () => realtimeSync.unsubscribe();
+  }, [realtimeSync, subscribedVessels, session?.user?.id, cacheLock]);
 
   // Handle online/offline status
   useEffect(() => {
@@ -355,13 +588,25 @@ const loadData = async (userId) => {
       setIsOnline(true);
       setIsSyncing(true);
       try {
-        await offlineSync.syncWithServer();
+        const syncResult = await offlineSync.syncWithServer();
+        applyIdMap(syncResult.idMap);
         if (session?.user) {
           await fetchUserData();
         }
-        const pendingCount = await offlineSync.getPendingSyncCount();
-        setPendingSyncCount(pendingCount);
-        
+        await refreshSyncState();
+
+        if (syncResult.failed > 0) {
+          throw new Error(`${syncResult.failed} change(s) failed to sync`);
+        }
+
+        if (syncResult.conflicts > 0) {
+          toast({
+            title: "Review Needed",
+            description: `${syncResult.conflicts} defect(s) were also changed ashore. Please review the conflicts.`,
+          });
+          return;
+        }
+
         toast({
           title: "Back Online",
           description: "All changes have been synchronized",
@@ -381,7 +626,7 @@ const loadData = async (userId) => {
       setIsOnline(false);
       toast({
         title: "Offline Mode",
-        description: "Changes will be saved locally and synced when back online",
+        description: "Changes will be saved locally and synced when back online. If the app is closed, they are sent when it is next opened.",
       });
     };
 
@@ -392,22 +637,100 @@ const loadData = async (userId) => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
     };
-  }, [offlineSync, fetchUserData, session, toast]);
+  }, [offlineSync, fetchUserData, applyIdMap, refreshSyncState, session, toast]);
 
   // Filter data
   const filteredData = React.useMemo(() => {
+    const needle = debouncedSearch.toLowerCase();
     return data.filter(defect => {
+      // Never render a cached record outside the current assignment
+      const isAssigned = assignedVessels.includes(defect.vessel_id);
+      // Deleted defects never show; archived ones only on request
+      const isVisible = !defect.deleted_at && (showArchived || !defect.archived_at);
       const matchesVessel = currentVessel.length === 0 || currentVessel.includes(defect.vessel_id);
       const matchesStatus = !statusFilter || defect['Status (Vessel)'] === statusFilter;
       const matchesCriticality = !criticalityFilter || defect.Criticality === criticalityFilter;
-      const matchesSearch = !searchTerm || 
+      const matchesDue = !dueFilter || dueState(defect) === dueFilter;
+      const matchesEquipment = !equipmentFilter || defect.Equipments === equipmentFilter;
+      const matchesSearch = !needle || 
         Object.values(defect).some(value => 
-          String(value).toLowerCase().includes(searchTerm.toLowerCase())
+          String(value).toLowerCase().includes(needle)
         );
 
-      return matchesVessel && matchesStatus && matchesCriticality && matchesSearch;
+      return isAssigned && isVisible && matchesVessel && matchesStatus && matchesCriticality && matchesDue && matchesEquipment && matchesSearch;
     });
-  }, [data, currentVessel, statusFilter, criticalityFilter, searchTerm]);
+  }, [data, assignedVessels, showArchived, currentVessel, statusFilter, criticalityFilter, dueFilter, equipmentFilter, debouncedSearch]);
+
+  // With server paging on, the register shows one page from the server at a
+  // time while online. Each row is still the cached copy, so changes not yet
+  // synced show; should a page fail to load, the cached register is shown.
+  const serverPaging = SERVER_PAGE_SIZE > 0 && isOnline;
+  const pageVessels = useMemo(() => (currentVessel.length === 0
+    ? assignedVessels
+    : assignedVessels.filter(id => currentVessel.includes(id))), [assignedVessels, currentVessel]);
+  const pageFilters = useMemo(() => ({
+    status: statusFilter,
+    criticality: criticalityFilter,
+    due: dueFilter,
+    equipment: equipmentFilter,
+    search: debouncedSearch,
+    showArchived
+  }), [statusFilter, criticalityFilter, dueFilter, equipmentFilter, debouncedSearch, showArchived]);
+
+  useEffect(() => {
+    setPage(0);
+  }, [pageVessels, pageFilters, columnPreferences.sort]);
+
+  useEffect(() => {
+    if (!serverPaging || pageVessels.length === 0) return undefined;
+
+    let cancelled = false;
+    const loadPage = async () => {
+      try {
+        setServerPage(prev => ({ ...prev, loading: true }));
+        const result = await fetchDefectPage({
+          vesselIds: pageVessels,
+          filters: pageFilters,
+          sort: columnPreferences.sort,
+          page
+        });
+        if (!cancelled) setServerPage({ ...result, loading: false, failed: false });
+      } catch (error) {
+        console.error('Error loading register page, showing the cached register:', error);
+        if (!cancelled) setServerPage(prev => ({ ...prev, loading: false, failed: true }));
+      }
+    };
+
+    loadPage();
+    return () => {
+      cancelled = true;
+    };
+    // `data` changes whenever a defect is saved or synced, which may move it
+    // onto or off this page
+  }, [serverPaging, pageVessels, pageFilters, columnPreferences.sort, page, data]);
+
+  // Rows filtered out of view are no longer selected, so a bulk action only
+  // ever touches defects the user can see in the filter
+  useEffect(() => {
+    setSelectedIds(prev => {
+      if (prev.size === 0) return prev;
+      const visible = new Set(filteredData.map(defect => defect.localId));
+      const next = new Set([...prev].filter(localId => visible.has(localId)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [filteredData]);
+
+  const selectedDefects = useMemo(
+    () => sortDefects(filteredData.filter(defect => selectedIds.has(defect.localId)), columnPreferences.sort),
+    [filteredData, selectedIds, columnPreferences.sort]
+  );
+
+  const showPages = serverPaging && !serverPage.failed;
+  const pageRows = useMemo(() => {
+    if (!showPages) return [];
+    const cached = new Map(data.map(defect => [String(defect.id), defect]));
+    return serverPage.items.map(item => cached.get(String(item.id)) || { ...item, localId: `server_${item.id}` });
+  }, [showPages, serverPage.items, data]);
 
   // Handle adding new defect
   const handleAddDefect = () => {
@@ -422,21 +745,103 @@ const loadData = async (userId) => {
 
     setCurrentDefect({
       id: `temp-${Date.now()}`,
-      SNo: data.length + 1,
       vessel_id: '',
       Equipments: '',
+      equipment_id: null,
+      equipment_path: '',
       Description: '',
       'Action Planned': '',
       Criticality: '',
       'Status (Vessel)': 'OPEN',
       'Date Reported': new Date().toISOString().split('T')[0],
       'Date Completed': '',
+      target_date: '',
     });
     setIsDefectDialogOpen(true);
   };
 
   // Handle saving defect
-  const handleSaveDefect = async (updatedDefect) => {
+  // Writes a new defect (no `id`) or changes to an existing one. Goes straight
+  // to the server when online; a defect created offline has no server row
+  // yet, and one with unsynced changes must not jump ahead of them, so those
+  // go through the outbox even when we are back online. Status changes are
+  // held to the workflow rules whichever screen they come from, checked
+  // against the cached copy, i.e. after any change still queued; the outbox
+  // keeps each step as its own change where folding them together would be
+  // a move the server refuses (see canMergeChange). Resolves to the saved
+  // record.
+  const saveDefectRecord = async (input, { id = null, localId } = {}) => {
+    const isNew = !id;
+    let changes = input;
+    if (STATUS_FIELD in input) {
+      const previous = isNew ? null : data.find(defect => defect.localId === localId) || null;
+      const next = { ...previous, ...input };
+      const errors = workflowErrors(previous, next);
+      if (errors.length > 0) throw new Error(errors.join('. '));
+      changes = { ...input, ...workflowFields(previous, next) };
+    }
+    const mustQueue = isProvisionalId(id) ||
+      (!isNew && await offlineSync.hasPendingChanges(localId));
+
+    if (navigator.onLine && !mustQueue) {
+      const { data, error } = isNew
+        ? await supabase
+            .from('defects register')
+            .insert([changes])
+            .select()
+            .single()
+        : await supabase
+            .from('defects register')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single();
+
+      if (error) throw error;
+      const saved = { ...data, localId: offlineSync.localIdFor(data) };
+      await offlineSync.storeData(saved);
+      return saved;
+    }
+
+    // The server numbers the defect when it arrives; until then it gets a
+    // provisional reference
+    let saved = await offlineSync.queueChange(isNew ? 'create' : 'update', {
+      ...changes,
+      ...(isNew ? { id: createProvisionalId(), defect_ref: createProvisionalRef() } : { id }),
+      localId
+    });
+
+    if (navigator.onLine) {
+      const syncResult = await offlineSync.syncWithServer();
+      applyIdMap(syncResult.idMap);
+      const serverId = syncResult.idMap[saved.id];
+      if (serverId) {
+        const serverLocalId = offlineSync.localIdFor({ id: serverId });
+        saved = (await offlineSync.getDefect(serverLocalId)) ||
+          { ...saved, id: serverId, localId: serverLocalId };
+      }
+    }
+    await refreshSyncState();
+    return saved;
+  };
+
+  // An attachment change went to the outbox: send it now if we can
+  const handleAttachmentsQueued = async () => {
+    try {
+      if (navigator.onLine) {
+        const syncResult = await offlineSync.syncWithServer();
+        applyIdMap(syncResult.idMap);
+      }
+    } catch (error) {
+      console.error("Error syncing attachments:", error);
+    } finally {
+      await refreshSyncState();
+    }
+  };
+
+  // From the defect dialog. Resolves to whether it was saved; a failure is
+  // shown as a toast.
+  const handleSaveDefect = async (updatedDefect, files = [], comment = '') => {
     try {
       if (!assignedVessels.includes(updatedDefect.vessel_id)) {
         throw new Error("Not authorized for this vessel");
@@ -449,43 +854,34 @@ const loadData = async (userId) => {
         vessel_name: vesselNames[updatedDefect.vessel_id],
         "Status (Vessel)": updatedDefect['Status (Vessel)'],
         Equipments: updatedDefect.Equipments,
+        equipment_id: updatedDefect.equipment_id || null,
+        equipment_path: updatedDefect.equipment_path || updatedDefect.Equipments || null,
         Description: updatedDefect.Description,
         "Action Planned": updatedDefect['Action Planned'],
         Criticality: updatedDefect.Criticality,
         "Date Reported": updatedDefect['Date Reported'],
         "Date Completed": updatedDefect['Date Completed'] || null,
         Comments: updatedDefect.Comments || '',
-        "SNo": updatedDefect.SNo || null
+        closing_remarks: updatedDefect.closing_remarks || null,
+        reopen_reason: updatedDefect.reopen_reason || null,
+        duplicate_of: updatedDefect.duplicate_of || null,
+        target_date: updatedDefect.target_date ||
+          defaultTargetDate(updatedDefect.Criticality, updatedDefect['Date Reported']) || null
       };
 
-      let savedDefect;
+      const savedDefect = await saveDefectRecord(
+        defectData,
+        isNewDefect ? {} : { id: updatedDefect.id, localId: updatedDefect.localId }
+      );
 
-      if (navigator.onLine) {
-        const { data, error } = isNewDefect
-          ? await supabase
-              .from('defects register')
-              .insert([defectData])
-              .select()
-              .single()
-          : await supabase
-              .from('defects register')
-              .update(defectData)
-              .eq('id', updatedDefect.id)
-              .select()
-              .single();
-
-        if (error) throw error;
-        savedDefect = data;
-        await offlineSync.storeData(savedDefect);
-      } else {
-        savedDefect = {
-          ...defectData,
-          id: isNewDefect ? `offline_${Date.now()}` : updatedDefect.id,
-          _syncStatus: 'pending'
-        };
-        await offlineSync.storeData(savedDefect);
-        setPendingSyncCount(await offlineSync.getPendingSyncCount());
+      let queued = false;
+      for (const file of files) {
+        queued = (await attachmentService.add(savedDefect, file)) || queued;
       }
+      if (comment.trim()) {
+        queued = (await commentService.post(savedDefect, { body: comment })) || queued;
+      }
+      if (queued) await handleAttachmentsQueued();
 
       setData(prevData => {
         const newData = isNewDefect 
@@ -501,6 +897,7 @@ const loadData = async (userId) => {
         title: isNewDefect ? "Defect Added" : "Defect Updated",
         description: navigator.onLine ? "Saved successfully" : "Saved offline - will sync when online",
       });
+      return true;
 
     } catch (error) {
       console.error("Error saving defect:", error);
@@ -509,16 +906,264 @@ const loadData = async (userId) => {
         description: error.message || "Failed to save defect",
         variant: "destructive",
       });
+      return false;
+    }
+  };
+
+  // Instead of raising a repeat, what was found goes on the defect already open
+  // for it: the new description as a comment and the files as attachments
+  const handleCommentOnExisting = async (existing, draft, files = [], comment = '') => {
+    try {
+      const body = [
+        draft.Description,
+        draft['Action Planned'] && `Action planned: ${draft['Action Planned']}`,
+        comment
+      ].map(part => (part || '').trim()).filter(Boolean).join('\n\n');
+
+      let queued = false;
+      for (const file of files) {
+        queued = (await attachmentService.add(existing, file)) || queued;
+      }
+      queued = (await commentService.post(existing, { body })) || queued;
+      if (queued) await handleAttachmentsQueued();
+
+      setIsDefectDialogOpen(false);
+      setCurrentDefect(null);
+
+      toast({
+        title: "Comment Added",
+        description: navigator.onLine
+          ? `Added to ${formatDefectRef(existing)}`
+          : "Saved offline - will sync when online",
+      });
+      return true;
+    } catch (error) {
+      console.error("Error commenting on existing defect:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to add comment",
+        variant: "destructive",
+      });
+      return false;
+    }
+  };
+
+  // An edit made in a register cell: `edited` is the row with the edit made,
+  // `original` the row as the register showed it, which with server paging
+  // need not be in `data`. Only the fields that differ are saved, and the
+  // defect dialog is left as it is. Resolves to whether it was saved.
+  const handleInlineSave = async (edited, original) => {
+    try {
+      const changes = changedFields(original, edited).reduce((acc, field) => {
+        acc[field] = edited[field] === '' ? null : edited[field];
+        return acc;
+      }, {});
+      if (Object.keys(changes).length === 0) return true;
+
+      const saved = await saveDefectRecord(changes, { id: edited.id, localId: edited.localId });
+      replaceDefect(saved);
+
+      if (!navigator.onLine) {
+        toast({
+          title: "Defect Updated",
+          description: "Saved offline - will sync when online",
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error("Error saving inline edit:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save defect",
+        variant: "destructive",
+      });
+      return false;
+    }
+  };
+
+  const replaceDefect = (saved) => {
+    setData(prevData => prevData.map(d => d.localId === saved.localId ? saved : d));
+  };
+
+  // Archive or delete a defect. Both are soft and can be undone from the toast
+  // or, for archived defects, from the register with "Show archived".
+  const handleRemoveDefect = async (defect, kind, reason) => {
+    const fields = REMOVAL_FIELDS[kind];
+    try {
+      const saved = await saveDefectRecord({
+        [fields.at]: new Date().toISOString(),
+        [fields.by]: session.user.email,
+        [fields.reason]: reason || null
+      }, { id: defect.id, localId: defect.localId });
+
+      replaceDefect(saved);
+      setRemoval(null);
+
+      toast({
+        title: kind === 'archive' ? "Defect Archived" : "Defect Deleted",
+        description: navigator.onLine ? defect.Equipments : "Saved offline - will sync when online",
+        duration: 10000,
+        action: (
+          <ToastAction altText="Undo" onClick={() => handleRestoreDefect(saved, kind)}>
+            Undo
+          </ToastAction>
+        ),
+      });
+    } catch (error) {
+      console.error(`Error trying to ${kind} defect:`, error);
+      toast({
+        title: "Error",
+        description: error.message || `Failed to ${kind} defect`,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRestoreDefect = async (defect, kind = 'archive') => {
+    const fields = REMOVAL_FIELDS[kind];
+    try {
+      const saved = await saveDefectRecord({
+        [fields.at]: null,
+        [fields.by]: null,
+        [fields.reason]: null
+      }, { id: defect.id, localId: defect.localId });
+
+      replaceDefect(saved);
+      toast({
+        title: "Defect Restored",
+        description: navigator.onLine ? defect.Equipments : "Saved offline - will sync when online",
+      });
+    } catch (error) {
+      console.error("Error restoring defect:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to restore defect",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Saves each defect of a bulk edit in turn, exactly as a single edit would
+  // be saved, so each is checked and queued on its own. One that fails does
+  // not stop the rest; those stay selected so they can be looked at.
+  const handleBulkApply = async (updates, { comment = '' } = {}) => {
+    const saved = new Map();
+    const failed = [];
+    let queued = false;
+
+    for (const { defect, changes } of updates) {
+      try {
+        let current = defect;
+        if (Object.keys(changes).length > 0) {
+          current = await saveDefectRecord(changes, { id: defect.id, localId: defect.localId });
+          saved.set(current.localId, current);
+        }
+        if (comment) {
+          queued = (await commentService.post(current, { body: comment })) || queued;
+        }
+      } catch (error) {
+        console.error(`Error updating ${formatDefectRef(defect)}:`, error);
+        failed.push({ defect, error });
+      }
+    }
+
+    if (queued) await handleAttachmentsQueued();
+    if (saved.size > 0) {
+      setData(prevData => prevData.map(d => saved.get(d.localId) || d));
+    }
+    setSelectedIds(new Set(failed.map(({ defect }) => defect.localId)));
+    setBulkAction(null);
+
+    const done = updates.length - failed.length;
+    if (failed.length === 0) {
+      toast({
+        title: "Defects Updated",
+        description: navigator.onLine
+          ? `${done} defect(s) saved`
+          : `${done} defect(s) saved offline - will sync when online`,
+      });
+    } else {
+      toast({
+        title: "Error",
+        description: `${done} defect(s) saved, ${failed.length} failed: ${failed[0].error.message || 'Failed to save defect'}`,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleBulkExportCSV = () => {
+    exportToCSV(selectedDefects);
+  };
+
+  const handleBulkExportPDF = async () => {
+    try {
+      setIsBulkExporting(true);
+      await exportToPDF(selectedDefects, { vesselName: getSelectedVesselsDisplay() });
+    } catch (error) {
+      console.error("Error generating PDF:", error);
+      toast({
+        title: "Error",
+        description: "Failed to generate PDF. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsBulkExporting(false);
+    }
+  };
+
+  // Handle resolving a sync conflict
+  const handleResolveConflict = async (seq, choices) => {
+    try {
+      await offlineSync.resolveConflict(seq, choices);
+      if (navigator.onLine) {
+        await offlineSync.syncWithServer();
+        await fetchUserData();
+      } else {
+        setData(await offlineSync.getDefects());
+      }
+      await refreshSyncState();
+
+      toast({
+        title: "Conflict Resolved",
+        description: navigator.onLine ? "Changes synchronized" : "Will sync when online",
+      });
+    } catch (error) {
+      console.error("Error resolving conflict:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to resolve conflict",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleTaxonomyChanged = async () => {
+    setEquipment(await taxonomyService.load());
+  };
+
+  // The register layout is saved as it changes and follows the user to
+  // other devices
+  const handleColumnPreferencesChange = async (preferences) => {
+    setColumnPreferences(preferences);
+    try {
+      await preferencesService.save(COLUMN_PREFERENCES_KEY, preferences);
+    } catch (error) {
+      console.error("Error saving column layout:", error);
     }
   };
 
   // Handle logout
+
   const handleLogout = async () => {
     try {
+      const userId = session?.user?.id;
       await clearAppCache();
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
-      await offlineSync.clearAll();
+      if (userId) {
+        await offlineSync.forgetUser(userId);
+      }
+      setCachedAccounts(await listAccounts());
       setData([]);
       setAssignedVessels([]);
       setVesselNames({});
@@ -538,6 +1183,139 @@ const loadData = async (userId) => {
     }
   };
 
+  // Sync inbox actions
+  const handleRetryChanges = async (localId) => {
+    try {
+      const syncResult = await offlineSync.syncWithServer({ localId });
+      applyIdMap(syncResult.idMap);
+      await fetchUserData();
+      await refreshSyncState();
+
+      if (syncResult.failed > 0) {
+        throw new Error("The server rejected the change again - see the error in the inbox");
+      }
+      toast({
+        title: syncResult.conflicts > 0 ? "Review Needed" : "Synced",
+        description: syncResult.conflicts > 0
+          ? "This defect was also changed ashore. Please review the conflict."
+          : "The change reached the office",
+      });
+    } catch (error) {
+      console.error("Error retrying sync:", error);
+      toast({
+        title: "Sync Error",
+        description: error.message || "Failed to sync the change",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleEditChanges = (defect) => {
+    setIsSyncInboxOpen(false);
+    setCurrentDefect(defect);
+    setIsDefectDialogOpen(true);
+  };
+
+  const handleDiscardChanges = async (localId) => {
+    try {
+      const restored = await offlineSync.discardChanges(localId);
+      setData(prevData => {
+        const others = prevData.filter(defect => defect.localId !== localId);
+        return restored ? [restored, ...others].sort(
+          (a, b) => new Date(b['Date Reported']) - new Date(a['Date Reported'])
+        ) : others;
+      });
+      await refreshSyncState();
+
+      toast({
+        title: "Changes Discarded",
+        description: restored ? "The defect is back to its last synced version" : "The offline defect was removed",
+      });
+    } catch (error) {
+      console.error("Error discarding changes:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to discard changes",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const openSession = async (nextSession) => {
+    setCacheLock(null);
+    offlineSync.setBackgroundSyncAuth(nextSession);
+    await loadData(nextSession.user.id, nextSession.user.email);
+  };
+
+  // Called by Auth once the server accepted the password
+  const handleLogin = async (nextSession, password) => {
+    await offlineSync.setUser(nextSession.user.id);
+    if (await offlineSync.unlock(password)) {
+      await openSession(nextSession);
+      return;
+    }
+    // The server took the password but the cache was sealed with an earlier one
+    pendingPassword.current = password;
+    setCacheLock('rekey');
+  };
+
+  const handleUnlock = async (password) => {
+    if (cacheLock === 'rekey') {
+      if (!(await offlineSync.unlock(pendingPassword.current, password))) return false;
+      pendingPassword.current = null;
+    } else if (!(await offlineSync.unlock(password))) {
+      // Tell a wrong password apart from one changed since the cache was sealed
+      if (!navigator.onLine) return false;
+      const { error } = await supabase.auth.signInWithPassword({
+        email: session.user.email,
+        password,
+      });
+      if (error) return false;
+      pendingPassword.current = password;
+      setCacheLock('rekey');
+      return true;
+    }
+    await openSession(session);
+    return true;
+  };
+
+  // Starts a fresh cache when the previous password is not known
+  const handleDiscardCache = async () => {
+    const userId = session.user.id;
+    await offlineSync.forgetUser(userId);
+    await offlineSync.setUser(userId);
+    await offlineSync.unlock(pendingPassword.current);
+    pendingPassword.current = null;
+    await openSession(session);
+  };
+
+  // Sign out but keep this account's offline cache for the next time it is
+  // picked on this computer
+  const handleSwitchAccount = async () => {
+    try {
+      const { error } = await supabase.auth.signOut();
+      if (error) throw error;
+      await offlineSync.setUser(null);
+      setData([]);
+      setAssignedVessels([]);
+      setVesselNames({});
+      setCurrentVessel([]);
+      setCachedAccounts(await listAccounts());
+    } catch (error) {
+      console.error("Error switching account:", error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to switch account",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleForgetAccount = async (userId) => {
+    await offlineSync.forgetUser(userId);
+    setCachedAccounts(await listAccounts());
+  };
+
   // Handle PDF generation
   const handleGeneratePdf = useCallback(async () => {
     setIsPdfGenerating(true);
@@ -566,11 +1344,16 @@ const loadData = async (userId) => {
   return (
     <ToastProvider>
       <div className="min-h-screen bg-background relative">
-        {!isOnline && (
-          <div className="fixed top-0 left-0 right-0 bg-yellow-500 text-white px-4 py-2 text-center z-50">
-            Working Offline 
-            {pendingSyncCount > 0 && ` - ${pendingSyncCount} changes pending sync`}
-          </div>
+        {(!isOnline || stuckCount > 0) && (
+          <button
+            onClick={() => setIsSyncInboxOpen(true)}
+            className={`fixed top-0 left-0 right-0 ${isOnline ? 'bg-red-500' : 'bg-yellow-500'} text-white px-4 py-2 text-center z-50`}
+          >
+            {isOnline
+              ? `${stuckCount} change(s) could not be synced`
+              : `Working Offline${outbox.length > 0 ? ` - ${outbox.length} changes pending sync` : ''}`}
+            {outbox.length > 0 && ' - View details'}
+          </button>
         )}
         
         {isSyncing && (
@@ -599,10 +1382,22 @@ const loadData = async (userId) => {
           </div>
         ) : !session ? (
           <>
-            <Auth onLogin={setSession} />
+            <Auth
+              onLogin={handleLogin}
+              accounts={cachedAccounts}
+              onForgetAccount={handleForgetAccount}
+            />
             <InstallPWA />
           </>
-        ) : isDataLoading ? (
+        ) : cacheLock === 'locked' || cacheLock === 'rekey' ? (
+          <UnlockCache
+            email={session.user.email}
+            mode={cacheLock}
+            onUnlock={handleUnlock}
+            onDiscard={handleDiscardCache}
+            onSignOut={handleSwitchAccount}
+          />
+        ) : isDataLoading || cacheLock === 'pending' ? (
           <div className="min-h-screen bg-[#0B1623] flex items-center justify-center">
             <div className="flex flex-col items-center gap-4">
               <div className="animate-spin rounded-full h-8 w-8 border-2 border-white border-t-transparent" />
@@ -620,6 +1415,8 @@ const loadData = async (userId) => {
               currentVessel={currentVessel}
               onVesselChange={setCurrentVessel}
               onLogout={handleLogout}
+              onSwitchAccount={handleSwitchAccount}
+              onManageEquipment={isAdmin ? () => setIsTaxonomyEditorOpen(true) : undefined}
             />
             
             <main className="container mx-auto pt-20">
@@ -631,16 +1428,77 @@ const loadData = async (userId) => {
                 onFilterCriticality={setCriticalityFilter}
                 status={statusFilter}
                 criticality={criticalityFilter}
+                onFilterDue={setDueFilter}
+                due={dueFilter}
+                equipmentOptions={equipmentSystems(equipment).map(system => system.name)}
+                onFilterEquipment={setEquipmentFilter}
+                equipment={equipmentFilter}
+                showArchived={showArchived}
+                onToggleArchived={setShowArchived}
               />
               
+              {selectedIds.size > 0 && (
+                <div className="mb-2">
+                  <BulkActionBar
+                    count={selectedIds.size}
+                    busy={isBulkExporting}
+                    onAction={setBulkAction}
+                    onExportCSV={handleBulkExportCSV}
+                    onExportPDF={handleBulkExportPDF}
+                    onClear={() => setSelectedIds(new Set())}
+                  />
+                </div>
+              )}
+
               <DefectsTable
-                data={filteredData}
+                data={showPages ? pageRows : filteredData}
+                register={data}
                 onAddDefect={handleAddDefect}
                 onEditDefect={(defect) => {
                   setCurrentDefect(defect);
                   setIsDefectDialogOpen(true);
                 }}
                 loading={loading}
+                syncStates={syncStates}
+                highlightedIds={remoteHighlights}
+                outbox={outbox}
+                vessels={vesselNames}
+                attachmentService={attachmentService}
+                commentService={commentService}
+                onAttachmentsQueued={handleAttachmentsQueued}
+                onRemoveDefect={(defect, kind) => setRemoval({ defect, kind })}
+                onRestoreDefect={handleRestoreDefect}
+                preferences={columnPreferences}
+                onPreferencesChange={handleColumnPreferencesChange}
+                pagination={showPages ? {
+                  page,
+                  pageSize: SERVER_PAGE_SIZE,
+                  total: serverPage.total,
+                  loading: serverPage.loading,
+                  onPageChange: setPage
+                } : null}
+                allRows={showPages ? filteredData : null}
+                selectedIds={selectedIds}
+                onSelectionChange={setSelectedIds}
+                onInlineSave={handleInlineSave}
+              />
+
+              <BulkEditDialog
+                isOpen={Boolean(bulkAction)}
+                action={bulkAction}
+                defects={selectedDefects}
+                taxonomy={equipment}
+                userEmail={session.user.email}
+                onApply={handleBulkApply}
+                onClose={() => setBulkAction(null)}
+              />
+
+              <RemoveDefectDialog
+                isOpen={Boolean(removal)}
+                defect={removal?.defect}
+                kind={removal?.kind}
+                onConfirm={handleRemoveDefect}
+                onClose={() => setRemoval(null)}
               />
 
               <DefectDialog
@@ -650,12 +1508,54 @@ const loadData = async (userId) => {
                   setCurrentDefect(null);
                 }}
                 defect={currentDefect}
+                previous={(currentDefect?.localId && data.find(d => d.localId === currentDefect.localId)) || null}
                 onChange={(field, value) => 
                   setCurrentDefect(prev => ({ ...prev, [field]: value }))
                 }
                 onSave={handleSaveDefect}
                 vessels={vesselNames}
+                taxonomy={equipment}
                 isNew={currentDefect?.id?.startsWith('temp-')}
+                operations={outbox}
+                attachmentService={attachmentService}
+                commentService={commentService}
+                onAttachmentsQueued={handleAttachmentsQueued}
+                existingDefects={data}
+                onCommentOnExisting={handleCommentOnExisting}
+              />
+
+              {isAdmin && (
+                <TaxonomyEditor
+                  isOpen={isTaxonomyEditorOpen}
+                  onClose={() => setIsTaxonomyEditorOpen(false)}
+                  taxonomy={equipment}
+                  service={taxonomyService}
+                  onChanged={handleTaxonomyChanged}
+                />
+              )}
+
+              <ConflictDialog
+                isOpen={conflicts.length > 0}
+                conflict={conflicts[0]}
+                vessels={vesselNames}
+                onResolve={handleResolveConflict}
+                onClose={() => setConflicts(prev => prev.slice(1))}
+              />
+
+              <SyncInbox
+                isOpen={isSyncInboxOpen}
+                operations={outbox}
+                defects={data}
+                vessels={vesselNames}
+                isOnline={isOnline}
+                onRetry={handleRetryChanges}
+                onEdit={handleEditChanges}
+                onDiscard={handleDiscardChanges}
+                onResolve={(operation) => {
+                  setIsSyncInboxOpen(false);
+                  setConflicts([operation]);
+                }}
+                onClose={() => setIsSyncInboxOpen(false)}
               />
 
               <ChatBot 
@@ -675,6 +1575,7 @@ const loadData = async (userId) => {
           </>
         )}
       </div>
+      <Toaster />
     </ToastProvider>
   );
 }
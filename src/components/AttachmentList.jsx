@@ -0,0 +1,233 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, Eye, Paperclip, Upload, X } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { toast } from './ui/use-toast';
+import { ATTACHMENTS_TABLE } from '../services/attachmentStorage';
+import PhotoCapture from './PhotoCapture';
+import { formatFileSize } from '../utils/fileSize';
+
+export const ATTACHMENT_ACCEPT = '.pdf,.doc,.docx,.jpg,.jpeg,.png';
+
+const canPreview = (attachment) =>
+  /^image\//.test(attachment.content_type) || attachment.content_type === 'application/pdf';
+
+const iconButtonClass = 'p-1 rounded-[4px] text-white/60 hover:text-[#3BADE5] hover:bg-white/5 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Files attached to one defect, with preview, download and (when `canEdit`)
+// add and remove. `onQueued` is called whenever a change had to wait in the
+// outbox, so the caller can sync and refresh its counts.
+const AttachmentList = ({ defect, service, operations = [], canEdit = true, onQueued }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [complete, setComplete] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const { id, localId } = defect;
+
+  // Reload when an upload or removal for this defect leaves the outbox
+  const queuedKey = operations
+    .filter(operation => operation.localId === localId && operation.table === ATTACHMENTS_TABLE)
+    .map(operation => operation.seq)
+    .join(',');
+
+  const loadAttachments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await service.list({ id, localId });
+      setAttachments(result.attachments);
+      setComplete(result.complete);
+    } catch (error) {
+      console.error('Error loading attachments:', error);
+      setComplete(false);
+    } finally {
+      setLoading(false);
+    }
+  }, [service, id, localId]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments, queuedKey]);
+
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview.url);
+  }, [preview]);
+
+  const run = async (busyKey, action, failure) => {
+    try {
+      setBusy(busyKey);
+      const queued = await action();
+      if (queued) await onQueued?.();
+      await loadAttachments();
+    } catch (error) {
+      console.error(`Error ${failure}:`, error);
+      toast({
+        title: "Error",
+        description: error.message || `Failed ${failure}`,
+        variant: "destructive",
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    run('add', async () => {
+      let queued = false;
+      for (const file of files) {
+        queued = (await service.add(defect, file)) || queued;
+      }
+      return queued;
+    }, 'uploading files');
+  };
+
+  const handleRemove = (attachment) => {
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+    run(attachment.id, () => service.remove(defect, attachment), 'removing the file');
+  };
+
+  const handlePreview = (attachment) => run(attachment.id, async () => {
+    const blob = await service.open(attachment);
+    setPreview({ attachment, url: URL.createObjectURL(blob) });
+    return false;
+  }, 'opening the file');
+
+  const handleDownload = (attachment) => run(attachment.id, async () => {
+    const blob = await service.open(attachment);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.file_name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return false;
+  }, 'downloading the file');
+
+  const isOffline = !navigator.onLine;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs font-medium text-white/80">Files</div>
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            <PhotoCapture
+              disabled={Boolean(busy)}
+              onCapture={(photo) => run('add', () => service.add(defect, photo), 'attaching the photo')}
+            />
+            <label className={`flex items-center gap-1.5 px-2 py-1 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] text-xs text-white ${busy ? 'opacity-50' : 'cursor-pointer hover:border-[#3BADE5]/40'}`}>
+              <Upload className="h-3.5 w-3.5" />
+              {busy === 'add' ? 'Uploading...' : 'Add Files'}
+              <input
+                type="file"
+                multiple
+                className="hidden"
+                onChange={handleFileChange}
+                accept={ATTACHMENT_ACCEPT}
+                disabled={Boolean(busy)}
+                aria-label="Add files"
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {loading && attachments.length === 0 ? (
+        <div className="text-xs text-white/60">Loading...</div>
+      ) : (
+        <>
+          {attachments.length === 0 && complete && (
+            <div className="text-xs text-white/60">No files attached</div>
+          )}
+          <ul className="space-y-1">
+            {attachments.map(attachment => {
+              const unavailable = isOffline && !attachment.pending;
+              return (
+                <li key={attachment.id} className="flex items-center gap-2 text-xs text-white/90">
+                  <Paperclip className="h-3.5 w-3.5 shrink-0 text-[#3BADE5]" />
+                  <span className="truncate">{attachment.file_name}</span>
+                  <span className="shrink-0 text-white/50">{formatFileSize(attachment.size)}</span>
+                  {attachment.pending && (
+                    <span className="shrink-0 px-1.5 rounded-full text-[9px] bg-yellow-500/20 text-yellow-300">Not uploaded</span>
+                  )}
+                  <div className="ml-auto flex items-center gap-0.5 shrink-0">
+                    {canPreview(attachment) && (
+                      <button
+                        onClick={() => handlePreview(attachment)}
+                        disabled={Boolean(busy) || unavailable}
+                        className={iconButtonClass}
+                        title={unavailable ? 'Available when back online' : 'Preview'}
+                        aria-label={`Preview ${attachment.file_name}`}
+                      >
+                        <Eye className="h-3.5 w-3.5" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDownload(attachment)}
+                      disabled={Boolean(busy) || unavailable}
+                      className={iconButtonClass}
+                      title={unavailable ? 'Available when back online' : 'Download'}
+                      aria-label={`Download ${attachment.file_name}`}
+                    >
+                      <Download className="h-3.5 w-3.5" />
+                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => handleRemove(attachment)}
+                        disabled={Boolean(busy)}
+                        className="p-1 rounded-[4px] text-white/60 hover:text-red-300 hover:bg-white/5 disabled:opacity-40 disabled:cursor-not-allowed"
+                        title="Remove"
+                        aria-label={`Remove ${attachment.file_name}`}
+                      >
+                        <X className="h-3.5 w-3.5" />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+          {!complete && (
+            <div className="mt-1 text-[11px] text-white/50">
+              Files already uploaded are listed when back online
+            </div>
+          )}
+        </>
+      )}
+
+      <Dialog open={Boolean(preview)} onOpenChange={() => setPreview(null)}>
+        <DialogContent className="max-w-3xl max-h-[90vh] bg-[#0B1623]">
+          <DialogHeader>
+            <DialogTitle className="text-sm font-medium text-white truncate">
+              {preview?.attachment.file_name}
+            </DialogTitle>
+          </DialogHeader>
+          {preview && (/^image\//.test(preview.attachment.content_type) ? (
+            <img
+              src={preview.url}
+              alt={preview.attachment.file_name}
+              className="max-h-[75vh] mx-auto object-contain"
+            />
+          ) : (
+            <iframe
+              src={preview.url}
+              title={preview.attachment.file_name}
+              className="w-full h-[75vh] bg-white"
+            />
+          ))}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -1,10 +1,11 @@
 // src/components/Auth.jsx
 import React, { useState } from 'react';
+import { X } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Input } from './ui/input';
 import { supabase } from '../supabaseClient';
 
-const Auth = ({ onLogin }) => {
+const Auth = ({ onLogin, accounts = [], onForgetAccount }) => {
   const [loading, setLoading] = useState(false);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -22,8 +23,9 @@ const Auth = ({ onLogin }) => {
       });
 
       if (signInError) throw signInError;
-      
-      onLogin(data.user);
+
+      // The password also unlocks this account's encrypted offline data
+      await onLogin(data.session, password);
     } catch (error) {
       setError(error.message);
     } finally {
@@ -46,6 +48,38 @@ const Auth = ({ onLogin }) => {
             </div>
           )}
           
+          {accounts.length > 0 && (
+            <div className="mb-4 space-y-2">
+              <div className="text-sm font-medium">Accounts on this computer</div>
+              {accounts.map(account => (
+                <div
+                  key={account.userId}
+                  className="flex items-center justify-between rounded border border-white/10 px-3 py-2"
+                >
+                  <button
+                    type="button"
+                    onClick={() => setEmail(account.email || '')}
+                    className="text-sm text-left hover:text-primary truncate"
+                    disabled={loading}
+                  >
+                    {account.email || account.userId}
+                  </button>
+                  {onForgetAccount && (
+                    <button
+                      type="button"
+                      onClick={() => onForgetAccount(account.userId)}
+                      className="ml-2 opacity-60 hover:opacity-100"
+                      title="Remove this account's offline data from this computer"
+                      disabled={loading}
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
           <form onSubmit={handleLogin} className="space-y-4">
             <div className="space-y-2">
               <label className="text-sm font-medium" htmlFor="email">
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Archive, Download, FileText, MessageSquare, X } from 'lucide-react';
+import { BULK_ACTIONS } from '../utils/bulkEdit';
+
+const buttonClass = 'inline-flex items-center gap-1 h-7 px-2.5 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50';
+
+const ICONS = {
+  comment: MessageSquare,
+  archive: Archive
+};
+
+// Shown over the register while defects are ticked. Each action opens the
+// bulk edit dialog for the selection; the exports take only the selection.
+const BulkActionBar = ({ count, busy = false, onAction, onExportCSV, onExportPDF, onClear }) => (
+  <div
+    className="flex flex-wrap items-center gap-2 px-3 py-2 rounded-[4px] border border-[#3BADE5]/30 bg-[#132337]"
+    role="toolbar"
+    aria-label="Bulk actions"
+  >
+    <span className="text-xs font-medium text-white mr-1">
+      {count.toLocaleString()} selected
+    </span>
+    {Object.entries(BULK_ACTIONS).map(([action, label]) => {
+      const Icon = ICONS[action];
+      return (
+        <button key={action} onClick={() => onAction(action)} disabled={busy} className={buttonClass}>
+          {Icon && <Icon className="h-3.5 w-3.5" />}
+          {label}
+        </button>
+      );
+    })}
+    <div className="flex items-center gap-2 ml-auto">
+      <button onClick={onExportCSV} disabled={busy} className={buttonClass}>
+        <Download className="h-3.5 w-3.5" />
+        Export CSV
+      </button>
+      <button onClick={onExportPDF} disabled={busy} className={buttonClass}>
+        <FileText className="h-3.5 w-3.5" />
+        Export PDF
+      </button>
+      <button
+        onClick={onClear}
+        className="p-1 rounded hover:bg-white/10 text-white/60 hover:text-white"
+        aria-label="Clear selection"
+        title="Clear selection"
+      >
+        <X className="h-3.5 w-3.5" />
+      </button>
+    </div>
+  </div>
+);
+
+export default BulkActionBar;
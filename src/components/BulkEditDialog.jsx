@@ -0,0 +1,254 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import EquipmentPicker from './EquipmentPicker';
+import { STATUSES, STATUS_LABELS } from '../utils/defectWorkflow';
+import { BULK_ACTIONS, bulkChanges, planBulkUpdate } from '../utils/bulkEdit';
+import { equipmentSelection } from '../utils/equipmentTaxonomy';
+
+const inputClass = 'flex w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40';
+
+// Date inputs give the ship's local date
+const localToday = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const emptyValues = () => ({
+  status: '',
+  dateCompleted: localToday(),
+  closingRemarks: '',
+  reopenReason: '',
+  criticality: '',
+  equipmentId: '',
+  comment: '',
+  reason: ''
+});
+
+// Whether enough has been entered for `action` to be tried on each defect
+const isComplete = (action, values) => {
+  switch (action) {
+    case 'status':
+      if (values.status === 'CLOSED') return Boolean(values.dateCompleted && values.closingRemarks.trim());
+      if (values.status === 'OPEN') return Boolean(values.reopenReason.trim());
+      return Boolean(values.status);
+    case 'criticality':
+      return Boolean(values.criticality);
+    case 'equipment':
+      return Boolean(values.equipmentId);
+    case 'comment':
+      return Boolean(values.comment.trim());
+    default:
+      return true;
+  }
+};
+
+// Skipped defects counted by reason, most common first
+const countReasons = (skipped) => {
+  const counts = new Map();
+  skipped.forEach(({ reason }) => counts.set(reason, (counts.get(reason) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1]);
+};
+
+// One change made to every selected defect (`action`, see BULK_ACTIONS).
+// Before anything is saved it shows how many defects the change applies to
+// and why the rest will be left alone; `onApply` gets the ones it applies to.
+const BulkEditDialog = ({ isOpen, action, defects = [], taxonomy = [], userEmail, onApply, onClose }) => {
+  const [values, setValues] = useState(emptyValues);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setValues(emptyValues());
+  }, [isOpen, action]);
+
+  const set = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const complete = isComplete(action, values);
+  const plan = useMemo(() => (complete
+    ? planBulkUpdate(defects, bulkChanges(action, values, { taxonomy, email: userEmail }))
+    : null), [complete, defects, action, values, taxonomy, userEmail]);
+
+  const handleApply = async () => {
+    try {
+      setSaving(true);
+      await onApply(plan.ready, { comment: action === 'comment' ? values.comment.trim() : '' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const dialogDescriptionId = 'bulk-edit-description';
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent
+        className="max-w-md bg-[#0B1623]"
+        aria-describedby={dialogDescriptionId}
+      >
+        <DialogHeader>
+          <DialogTitle className="text-sm font-medium text-white">
+            {BULK_ACTIONS[action]} - {defects.length} defect{defects.length === 1 ? '' : 's'}
+          </DialogTitle>
+          <p id={dialogDescriptionId} className="text-xs text-white/60">
+            Each defect is saved on its own, with the same checks as editing it. Offline, the changes wait in the outbox.
+          </p>
+        </DialogHeader>
+
+        <div className="grid gap-3">
+          {action === 'status' && (
+            <>
+              <div className="grid gap-1.5">
+                <label htmlFor="bulkStatus" className="text-xs font-medium text-white/80">Status</label>
+                <select
+                  id="bulkStatus"
+                  className={`${inputClass} h-8`}
+                  value={values.status}
+                  onChange={(e) => set('status', e.target.value)}
+                >
+                  <option value="">Select Status</option>
+                  {STATUSES.map(status => (
+                    <option key={status} value={status}>
+                      {status === 'OPEN' ? 'Reopen' : STATUS_LABELS[status]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {values.status === 'CLOSED' && (
+                <>
+                  <div className="grid gap-1.5">
+                    <label htmlFor="bulkDateCompleted" className="text-xs font-medium text-white/80">Date Completed</label>
+                    <input
+                      id="bulkDateCompleted"
+                      type="date"
+                      className={`${inputClass} h-8`}
+                      value={values.dateCompleted}
+                      onChange={(e) => set('dateCompleted', e.target.value)}
+                    />
+                  </div>
+                  <div className="grid gap-1.5">
+                    <label htmlFor="bulkClosingRemarks" className="text-xs font-medium text-white/80">Closing Remarks</label>
+                    <textarea
+                      id="bulkClosingRemarks"
+                      className={`${inputClass} h-16 py-1.5`}
+                      value={values.closingRemarks}
+                      onChange={(e) => set('closingRemarks', e.target.value)}
+                      placeholder="e.g. Rectified during dry-dock"
+                    />
+                  </div>
+                </>
+              )}
+              {values.status === 'OPEN' && (
+                <div className="grid gap-1.5">
+                  <label htmlFor="bulkReopenReason" className="text-xs font-medium text-white/80">Reopen Reason</label>
+                  <textarea
+                    id="bulkReopenReason"
+                    className={`${inputClass} h-16 py-1.5`}
+                    value={values.reopenReason}
+                    onChange={(e) => set('reopenReason', e.target.value)}
+                    placeholder="Why do these defects need more work?"
+                  />
+                </div>
+              )}
+            </>
+          )}
+
+          {action === 'criticality' && (
+            <div className="grid gap-1.5">
+              <label htmlFor="bulkCriticality" className="text-xs font-medium text-white/80">Criticality</label>
+              <select
+                id="bulkCriticality"
+                className={`${inputClass} h-8`}
+                value={values.criticality}
+                onChange={(e) => set('criticality', e.target.value)}
+              >
+                <option value="">Select Criticality</option>
+                <option value="High">High</option>
+                <option value="Medium">Medium</option>
+                <option value="Low">Low</option>
+              </select>
+              <p className="text-[11px] text-white/50">
+                Target dates still at their default move with the new criticality
+              </p>
+            </div>
+          )}
+
+          {action === 'equipment' && (
+            <div className="grid gap-1.5">
+              <label htmlFor="bulkEquipment" className="text-xs font-medium text-white/80">Equipment</label>
+              <EquipmentPicker
+                id="bulkEquipment"
+                taxonomy={taxonomy}
+                value={values.equipmentId}
+                label={values.equipmentId ? equipmentSelection(taxonomy, values.equipmentId).equipment_path : ''}
+                onSelect={(entryId) => set('equipmentId', entryId)}
+              />
+            </div>
+          )}
+
+          {action === 'comment' && (
+            <div className="grid gap-1.5">
+              <label htmlFor="bulkComment" className="text-xs font-medium text-white/80">Comment</label>
+              <textarea
+                id="bulkComment"
+                className={`${inputClass} h-20 py-1.5`}
+                value={values.comment}
+                onChange={(e) => set('comment', e.target.value)}
+                placeholder="Added to each selected defect"
+              />
+            </div>
+          )}
+
+          {action === 'archive' && (
+            <div className="grid gap-1.5">
+              <label htmlFor="bulkArchiveReason" className="text-xs font-medium text-white/80">Reason (optional)</label>
+              <textarea
+                id="bulkArchiveReason"
+                className={`${inputClass} h-16 py-1.5`}
+                value={values.reason}
+                onChange={(e) => set('reason', e.target.value)}
+                placeholder="e.g. Superseded by drydock work list"
+              />
+            </div>
+          )}
+
+          {plan && (
+            <div className="rounded-[4px] border border-white/10 bg-[#132337] px-3 py-2 text-xs" role="status">
+              <div className="text-white">
+                {plan.ready.length} of {defects.length} will be changed
+              </div>
+              {countReasons(plan.skipped).map(([reason, count]) => (
+                <div key={reason} className="text-white/60">
+                  {count} left as they are: {reason}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={saving || !plan || plan.ready.length === 0}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] text-white bg-[#3BADE5] hover:bg-[#3BADE5]/90 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : `Apply to ${plan ? plan.ready.length : 0}`}
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BulkEditDialog;
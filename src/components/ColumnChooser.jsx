@@ -0,0 +1,94 @@
+import React from 'react';
+import { ChevronDown, ChevronUp, Columns, RotateCcw } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { COLUMNS, DEFAULT_COLUMN_PREFERENCES, moveColumn } from '../utils/defectColumns';
+
+const arrowClass = 'p-0.5 rounded-[4px] text-white/60 hover:text-[#3BADE5] hover:bg-white/5 disabled:opacity-30 disabled:hover:text-white/60';
+
+// Which columns the register shows and in what order. Columns can also be
+// dragged by their headers; this is the way to do it from the keyboard.
+const ColumnChooser = ({ preferences, onChange }) => {
+  const labels = Object.fromEntries(COLUMNS.map(column => [column.id, column.label]));
+  const { order, hidden } = preferences;
+  const shownCount = order.length - hidden.length;
+
+  const toggle = (id, shown) => onChange({
+    ...preferences,
+    hidden: shown ? hidden.filter(other => other !== id) : [...hidden, id]
+  });
+
+  const move = (index, step) => {
+    const id = order[index];
+    const beforeId = step < 0 ? order[index - 1] : order[index + 2] || null;
+    onChange({ ...preferences, order: moveColumn(order, id, beforeId) });
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          className="inline-flex items-center gap-1 h-7 px-2.5 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white"
+          title="Choose columns"
+        >
+          <Columns className="h-3.5 w-3.5" />
+          Columns
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-56 max-h-[70vh] overflow-y-auto border-[#3BADE5]/20 bg-[#132337] text-white custom-scrollbar">
+        <DropdownMenuLabel className="text-xs text-white/80">Columns</DropdownMenuLabel>
+        <ul>
+          {order.map((id, index) => {
+            const shown = !hidden.includes(id);
+            return (
+              <li key={id} className="flex items-center gap-1 px-2 py-1 text-xs">
+                <label className="flex flex-1 items-center gap-1.5 truncate cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={shown}
+                    onChange={(e) => toggle(id, e.target.checked)}
+                    disabled={shown && shownCount === 1}
+                    className="accent-[#3BADE5]"
+                  />
+                  <span className="truncate">{labels[id]}</span>
+                </label>
+                <button
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  className={arrowClass}
+                  aria-label={`Move ${labels[id]} left`}
+                >
+                  <ChevronUp className="h-3 w-3" />
+                </button>
+                <button
+                  onClick={() => move(index, 1)}
+                  disabled={index === order.length - 1}
+                  className={arrowClass}
+                  aria-label={`Move ${labels[id]} right`}
+                >
+                  <ChevronDown className="h-3 w-3" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        <DropdownMenuSeparator className="bg-white/10" />
+        <DropdownMenuItem
+          onSelect={() => onChange(DEFAULT_COLUMN_PREFERENCES)}
+          className="gap-1.5 text-xs focus:bg-white/5"
+        >
+          <RotateCcw className="h-3 w-3" />
+          Reset layout
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ColumnChooser;
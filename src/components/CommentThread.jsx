@@ -0,0 +1,274 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CornerDownRight, Paperclip, X } from 'lucide-react';
+import { toast } from './ui/use-toast';
+import { ATTACHMENT_ACCEPT } from './AttachmentList';
+import { COMMENTS_TABLE } from '../services/defectComments';
+import { ATTACHMENTS_TABLE } from '../services/attachmentStorage';
+
+const inputClass = 'flex w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 py-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40';
+
+// Text box for a new comment or a reply, with an optional file
+const CommentForm = ({ onSubmit, placeholder, submitLabel, onCancel, autoFocus = false }) => {
+  const [body, setBody] = useState('');
+  const [file, setFile] = useState(null);
+  const [posting, setPosting] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!body.trim()) return;
+    try {
+      setPosting(true);
+      await onSubmit({ body, file });
+      setBody('');
+      setFile(null);
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to post the comment",
+        variant: "destructive",
+      });
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-1.5">
+      <textarea
+        className={`${inputClass} h-14`}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        aria-label={placeholder}
+      />
+      <div className="flex items-center gap-2">
+        <label className={`flex items-center gap-1 text-[11px] text-white/60 ${posting ? 'opacity-50' : 'cursor-pointer hover:text-[#3BADE5]'}`}>
+          <Paperclip className="h-3.5 w-3.5" />
+          {file ? file.name : 'Attach file'}
+          <input
+            type="file"
+            className="hidden"
+            accept={ATTACHMENT_ACCEPT}
+            disabled={posting}
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              e.target.value = '';
+            }}
+            aria-label="Attach a file to the comment"
+          />
+        </label>
+        {file && (
+          <button
+            type="button"
+            onClick={() => setFile(null)}
+            className="p-0.5 rounded-[4px] text-white/60 hover:text-red-300"
+            aria-label={`Remove ${file.name}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        )}
+        <div className="ml-auto flex items-center gap-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={posting}
+              className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={posting || !body.trim()}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] bg-[#3BADE5] hover:bg-[#3BADE5]/90 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {posting ? 'Posting...' : submitLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CommentItem = ({ comment, attachment, onOpenAttachment }) => (
+  <div className="text-xs">
+    <div className="flex flex-wrap items-center gap-x-2 text-white/60">
+      <span className="font-medium text-white/90">
+        {comment.author_email || (comment.pending ? 'You' : 'Earlier comments')}
+      </span>
+      <span>{new Date(comment.created_at).toLocaleString()}</span>
+      {comment.pending && (
+        <span className="px-1.5 rounded-full text-[9px] bg-yellow-500/20 text-yellow-300">Not posted</span>
+      )}
+    </div>
+    <div className="mt-0.5 text-white/90 whitespace-pre-wrap break-words">{comment.body}</div>
+    {comment.attachment_id && (
+      attachment ? (
+        <button
+          type="button"
+          onClick={() => onOpenAttachment(attachment)}
+          className="mt-1 inline-flex items-center gap-1 text-[11px] text-[#3BADE5] hover:underline"
+        >
+          <Paperclip className="h-3 w-3" />
+          {attachment.file_name}
+        </button>
+      ) : (
+        <div className="mt-1 inline-flex items-center gap-1 text-[11px] text-white/40">
+          <Paperclip className="h-3 w-3" />
+          {comment.attachment_name || 'File'} (not available)
+        </div>
+      )
+    )}
+  </div>
+);
+
+// The discussion on one defect: threads oldest first, each with its replies,
+// and a box to start a new one. `onQueued` is called whenever a comment had
+// to wait in the outbox.
+const CommentThread = ({
+  defect,
+  service,
+  attachmentService,
+  operations = [],
+  canComment = true,
+  onQueued
+}) => {
+  const [threads, setThreads] = useState([]);
+  const [attachments, setAttachments] = useState({});
+  const [complete, setComplete] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+
+  const { id, localId } = defect;
+
+  // Reload when a comment or file for this defect leaves the outbox
+  const queuedKey = operations
+    .filter(operation => operation.localId === localId &&
+      (operation.table === COMMENTS_TABLE || operation.table === ATTACHMENTS_TABLE))
+    .map(operation => operation.seq)
+    .join(',');
+
+  const loadComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [comments, files] = await Promise.all([
+        service.list({ id, localId }),
+        attachmentService.list({ id, localId })
+      ]);
+      setThreads(comments.threads);
+      setComplete(comments.complete);
+      setAttachments(Object.fromEntries(files.attachments.map(attachment => [attachment.id, attachment])));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      setComplete(false);
+    } finally {
+      setLoading(false);
+    }
+  }, [service, attachmentService, id, localId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments, queuedKey]);
+
+  const handlePost = async ({ body, file }, parentId = null) => {
+    const queued = await service.post(defect, { body, parentId, file });
+    if (queued) await onQueued?.();
+    setReplyTo(null);
+    await loadComments();
+  };
+
+  const handleOpenAttachment = async (attachment) => {
+    try {
+      const blob = await attachmentService.open(attachment);
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Error opening the file:', error);
+      toast({
+        title: "Error",
+        description: navigator.onLine ? "Failed to open the file" : "The file is available when back online",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div>
+      <div className="text-xs font-medium text-white/80 mb-1">Comments</div>
+      {loading && threads.length === 0 ? (
+        <div className="text-xs text-white/60">Loading...</div>
+      ) : (
+        <>
+          {threads.length === 0 && complete && (
+            <div className="text-xs text-white/60">No comments yet</div>
+          )}
+          <ul className="space-y-3">
+            {threads.map(thread => (
+              <li key={thread.id} className="border-l border-[#3BADE5]/30 pl-3">
+                <CommentItem
+                  comment={thread}
+                  attachment={attachments[thread.attachment_id]}
+                  onOpenAttachment={handleOpenAttachment}
+                />
+                {thread.replies.length > 0 && (
+                  <ul className="mt-2 ml-3 space-y-2">
+                    {thread.replies.map(reply => (
+                      <li key={reply.id} className="flex gap-1.5">
+                        <CornerDownRight className="h-3.5 w-3.5 shrink-0 text-white/40" />
+                        <CommentItem
+                          comment={reply}
+                          attachment={attachments[reply.attachment_id]}
+                          onOpenAttachment={handleOpenAttachment}
+                        />
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {canComment && (replyTo === thread.id ? (
+                  <div className="mt-2 ml-3">
+                    <CommentForm
+                      onSubmit={(comment) => handlePost(comment, thread.id)}
+                      onCancel={() => setReplyTo(null)}
+                      placeholder="Write a reply"
+                      submitLabel="Reply"
+                      autoFocus
+                    />
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setReplyTo(thread.id)}
+                    className="mt-1 text-[11px] text-white/60 hover:text-[#3BADE5]"
+                  >
+                    Reply
+                  </button>
+                ))}
+              </li>
+            ))}
+          </ul>
+          {!complete && (
+            <div className="mt-1 text-[11px] text-white/50">
+              Comments already posted are listed when back online
+            </div>
+          )}
+        </>
+      )}
+
+      {canComment && (
+        <div className="mt-2">
+          <CommentForm
+            onSubmit={(comment) => handlePost(comment)}
+            placeholder="Add a comment"
+            submitLabel="Post"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { FIELD_LABELS, changedFields, fieldsEqual } from '../utils/defectFields';
+
+const displayValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  return String(value);
+};
+
+const ConflictDialog = ({ isOpen, conflict, vessels = {}, onResolve, onClose }) => {
+  const [choices, setChoices] = useState({});
+  const [resolving, setResolving] = useState(false);
+
+  const mine = conflict?.payload;
+  const theirs = conflict?.conflict?.server;
+  const base = conflict?.base;
+
+  const fields = useMemo(
+    () => (mine && theirs ? changedFields(mine, theirs) : []),
+    [mine, theirs]
+  );
+
+  // Default to whichever side actually touched the field; when both did,
+  // keep the local value and let the user decide.
+  useEffect(() => {
+    if (!mine || !theirs) return;
+    setChoices(fields.reduce((acc, field) => {
+      const theyChanged = !fieldsEqual(base?.[field], theirs[field]);
+      const iChanged = !fieldsEqual(base?.[field], mine[field]);
+      acc[field] = theyChanged && !iChanged ? 'theirs' : 'mine';
+      return acc;
+    }, {}));
+  }, [fields, base, mine, theirs]);
+
+  const resolve = async (resolution) => {
+    try {
+      setResolving(true);
+      await onResolve(conflict.seq, resolution);
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const chooseAll = (side) => fields.reduce((acc, field) => {
+    acc[field] = side;
+    return acc;
+  }, {});
+
+  const renderValue = (field, value) => (
+    field === 'vessel_id' ? displayValue(vessels[value] || value) : displayValue(value)
+  );
+
+  const dialogDescriptionId = 'conflict-dialog-description';
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent
+        className="max-w-2xl max-h-[90vh] overflow-y-auto bg-[#0B1623]"
+        aria-describedby={dialogDescriptionId}
+      >
+        <DialogHeader>
+          <DialogTitle className="text-sm font-medium text-white">
+            Sync Conflict{theirs?.Equipments ? ` - ${theirs.Equipments}` : ''}
+          </DialogTitle>
+          <p id={dialogDescriptionId} className="text-xs text-white/60">
+            This defect was changed ashore while you edited it offline. Pick which value to keep for each field.
+          </p>
+        </DialogHeader>
+
+        <table className="w-full text-xs text-white">
+          <thead>
+            <tr className="bg-[#132337] border-b border-white/10">
+              <th className="px-3 py-2 text-left font-semibold opacity-90 w-32">Field</th>
+              <th className="px-3 py-2 text-left font-semibold opacity-90">Mine (offline)</th>
+              <th className="px-3 py-2 text-left font-semibold opacity-90">Theirs (shore)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field} className="border-b border-white/10 align-top">
+                <td className="px-3 py-2 text-white/80">{FIELD_LABELS[field] || field}</td>
+                {['mine', 'theirs'].map(side => (
+                  <td key={side} className="px-3 py-2">
+                    <label className={`flex gap-2 cursor-pointer rounded-[4px] p-1.5 border ${
+                      choices[field] === side ? 'border-[#3BADE5] bg-[#3BADE5]/10' : 'border-transparent'
+                    }`}>
+                      <input
+                        type="radio"
+                        name={`conflict-${field}`}
+                        checked={choices[field] === side}
+                        onChange={() => setChoices(prev => ({ ...prev, [field]: side }))}
+                      />
+                      <span className="whitespace-pre-wrap break-words">
+                        {renderValue(field, side === 'mine' ? mine[field] : theirs[field])}
+                      </span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            onClick={() => resolve(chooseAll('theirs'))}
+            disabled={resolving}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+          >
+            Keep Theirs
+          </button>
+          <button
+            onClick={() => resolve(chooseAll('mine'))}
+            disabled={resolving}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+          >
+            Keep Mine
+          </button>
+          <button
+            onClick={() => resolve(choices)}
+            disabled={resolving}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] bg-[#3BADE5] hover:bg-[#3BADE5]/90 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {resolving ? 'Saving...' : 'Merge Selected'}
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConflictDialog;
@@ -1,66 +1,83 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Dialog,
   DialogContent,
   DialogHeader,
   DialogTitle,
 } from './ui/dialog';
-import { Upload } from 'lucide-react';
+import { Upload, X } from 'lucide-react';
 import { toast } from './ui/use-toast';
+import DefectTimeline from './DefectTimeline';
+import AttachmentList, { ATTACHMENT_ACCEPT } from './AttachmentList';
+import CommentThread from './CommentThread';
+import EquipmentPicker from './EquipmentPicker';
+import PhotoCapture from './PhotoCapture';
+import { formatFileSize } from '../utils/fileSize';
+import {
+  STATUS_FIELD,
+  STATUS_LABELS,
+  allowedStatuses,
+  isReopen
+} from '../utils/defectWorkflow';
+import { validateDefect } from '../utils/defectValidation';
+import { SLA_DAYS, TARGET_FIELD, defaultTargetDate, followsDefaultTarget } from '../utils/sla';
+import {
+  defectEquipmentId,
+  defectEquipmentLabel,
+  equipmentSelection
+} from '../utils/equipmentTaxonomy';
+import { formatDefectRef } from '../utils/defectRef';
+import { findDuplicateCandidates } from '../utils/similarity';
 
 const DefectDialog = ({ 
   isOpen, 
   onClose, 
   defect, 
+  previous = null,
   onChange, 
   onSave, 
   vessels, 
-  isNew 
+  taxonomy = [],
+  isNew,
+  operations = [],
+  attachmentService,
+  commentService,
+  onAttachmentsQueued,
+  existingDefects = [],
+  onCommentOnExisting
 }) => {
   const [files, setFiles] = useState([]);
+  const [comment, setComment] = useState('');
   const [saving, setSaving] = useState(false);
+  // Open defects this new one may repeat; null until checked on save
+  const [candidates, setCandidates] = useState(null);
 
-  const validateDefect = (defectData) => {
-    const required = [
-      'vessel_id',
-      'Equipments',
-      'Description',
-      'Status (Vessel)',
-      'Criticality',
-      'Date Reported'
-    ];
-    
-    const missing = required.filter(field => !defectData[field]);
-    
-    if (missing.length > 0) {
-      toast({
-        title: "Required Fields Missing",
-        description: "Please fill in all required fields",
-        variant: "destructive",
-      });
-      return false;
+  useEffect(() => {
+    if (isOpen) {
+      setFiles([]);
+      setComment('');
     }
-    return true;
-  };
+  }, [isOpen]);
 
+  // Any edit to what a match depends on means checking again
+  useEffect(() => {
+    setCandidates(null);
+  }, [isOpen, defect?.vessel_id, defect?.Equipments, defect?.equipment_id, defect?.Description]);
+
+  // A new defect has nowhere to attach files yet; they upload once it is saved
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
-    setFiles(selectedFiles);
-    onChange('associated_files', selectedFiles);
+    e.target.value = '';
+    setFiles(prev => [...prev, ...selectedFiles]);
   };
 
-  const handleSave = async () => {
+  // A save that reports failure (false) keeps what was entered for a retry
+  const submit = async (action) => {
     try {
       setSaving(true);
-
-      if (!validateDefect(defect)) {
-        setSaving(false);
-        return;
-      }
-
-      await onSave(defect);
+      if (await action() === false) return;
       setFiles([]);
-      
+      setComment('');
     } catch (error) {
       console.error('Error in DefectDialog save:', error);
       toast({
@@ -73,6 +90,43 @@ const DefectDialog = ({
     }
   };
 
+  // A new defect is first checked against the open ones on the same vessel
+  // and equipment. If any read alike, saving waits for the user to link to
+  // one, comment on it instead, or save anyway.
+  const handleSave = () => {
+    const problem = validateDefect(previous, defect);
+    if (problem) {
+      toast({ ...problem, variant: "destructive" });
+      return;
+    }
+
+    if (isNew && !candidates) {
+      const matches = findDuplicateCandidates(defect, existingDefects);
+      if (matches.length > 0) {
+        setCandidates(matches);
+        return;
+      }
+    }
+
+    submit(() => onSave(defect, files, comment));
+  };
+
+  // The target date follows criticality and report date until it is set by
+  // hand, i.e. while it still matches the default it was given
+  const handleTargetInputChange = (field, value) => {
+    onChange(field, value);
+    if (followsDefaultTarget(defect)) {
+      const next = { ...defect, [field]: value };
+      onChange(TARGET_FIELD, defaultTargetDate(next.Criticality, next['Date Reported']));
+    }
+  };
+
+  const fromStatus = previous?.[STATUS_FIELD] || null;
+  const status = defect?.[STATUS_FIELD] || '';
+  const closing = status === 'CLOSED';
+  const reopening = isReopen(fromStatus, status);
+  const statusOptions = allowedStatuses(fromStatus);
+
   const dialogDescription = isNew ? 'Create a new defect record with the form below.' : 'Edit the defect record details with the form below.';
   const dialogDescriptionId = 'defect-dialog-description';
 
@@ -121,34 +175,16 @@ const DefectDialog = ({
             <label htmlFor="equipment" className="text-xs font-medium text-white/80">
               Equipment <span className="text-red-400">*</span>
             </label>
-            <select
+            <EquipmentPicker
               id="equipment"
-              className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
-              value={defect?.Equipments || ''}
-              onChange={(e) => onChange('Equipments', e.target.value)}
-              required
-              aria-required="true"
-            >
-              <option value="">Select Equipment</option>
-              <option value="Air System and Air Compressor">Air System and Air Compressor</option>
-              <option value="Airconditioning & Refrigeration System">Airconditioning & Refrigeration System</option>
-              <option value="Cargo and Ballast System">Cargo and Ballast System</option>
-              <option value="Deck Crane and Grab">Deck Crane and Grab</option>
-              <option value="BWTS">BWTS</option>
-              <option value="Aux Engine">Aux Engine</option>
-              <option value="Main Engine">Main Engine</option>
-              <option value="LO System">LO System</option>
-              <option value="FO System">FO System</option>
-              <option value="FW and SW System">FW and SW System</option>
-              <option value="Load line Item">Load line Item</option>
-              <option value="SOLAS">SOLAS</option>
-              <option value="MARPOL">MARPOL</option>
-              <option value="Navigation and Radio Equipment">Navigation and Radio Equipment</option>
-              <option value="Anchor and Mooring">Anchor and Mooring</option>
-              <option value="Steam System">Steam System</option>
-              <option value="Steering Gear and Rudder">Steering Gear and Rudder</option>
-              <option value="Others">Others</option>
-            </select>
+              taxonomy={taxonomy}
+              value={defectEquipmentId(taxonomy, defect || {})}
+              label={defect ? defectEquipmentLabel(defect) : ''}
+              onSelect={(entryId) => {
+                Object.entries(equipmentSelection(taxonomy, entryId))
+                  .forEach(([field, value]) => onChange(field, value));
+              }}
+            />
           </div>
 
           {/* Description */}
@@ -191,18 +227,40 @@ const DefectDialog = ({
             <select
               id="status"
               className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
-              value={defect?.['Status (Vessel)'] || ''}
-              onChange={(e) => onChange('Status (Vessel)', e.target.value)}
+              value={status}
+              onChange={(e) => onChange(STATUS_FIELD, e.target.value)}
               required
               aria-required="true"
             >
               <option value="">Select Status</option>
-              <option value="OPEN">Open</option>
-              <option value="IN PROGRESS">In Progress</option>
-              <option value="CLOSED">Closed</option>
+              {fromStatus && !statusOptions.includes(fromStatus) && (
+                <option value={fromStatus} disabled>{fromStatus}</option>
+              )}
+              {statusOptions.map(option => (
+                <option key={option} value={option}>
+                  {isReopen(fromStatus, option) ? 'Reopen' : STATUS_LABELS[option]}
+                </option>
+              ))}
             </select>
           </div>
 
+          {reopening && (
+            <div className="grid gap-1.5">
+              <label htmlFor="reopenReason" className="text-xs font-medium text-white/80">
+                Reopen Reason <span className="text-red-400">*</span>
+              </label>
+              <textarea
+                id="reopenReason"
+                className="flex h-16 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 py-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
+                value={defect?.reopen_reason || ''}
+                onChange={(e) => onChange('reopen_reason', e.target.value)}
+                placeholder="Why does this defect need more work?"
+                required
+                aria-required="true"
+              />
+            </div>
+          )}
+
           {/* Criticality */}
           <div className="grid gap-1.5">
             <label htmlFor="criticality" className="text-xs font-medium text-white/80">
@@ -212,7 +270,7 @@ const DefectDialog = ({
               id="criticality"
               className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
               value={defect?.Criticality || ''}
-              onChange={(e) => onChange('Criticality', e.target.value)}
+              onChange={(e) => handleTargetInputChange('Criticality', e.target.value)}
               required
               aria-required="true"
             >
@@ -234,67 +292,192 @@ const DefectDialog = ({
                 type="date"
                 className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
                 value={defect?.['Date Reported'] ? new Date(defect['Date Reported']).toISOString().split('T')[0] : ''}
-                onChange={(e) => onChange('Date Reported', e.target.value)}
+                onChange={(e) => handleTargetInputChange('Date Reported', e.target.value)}
                 required
                 aria-required="true"
               />
             </div>
             <div className="grid gap-1.5">
               <label htmlFor="dateCompleted" className="text-xs font-medium text-white/80">
-                Date Completed
+                Date Completed {closing && <span className="text-red-400">*</span>}
               </label>
               <input
                 id="dateCompleted"
                 type="date"
-                className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
-                value={defect?.['Date Completed'] ? new Date(defect['Date Completed']).toISOString().split('T')[0] : ''}
+                className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40 disabled:opacity-50 disabled:cursor-not-allowed"
+                value={closing && defect?.['Date Completed'] ? new Date(defect['Date Completed']).toISOString().split('T')[0] : ''}
                 onChange={(e) => onChange('Date Completed', e.target.value)}
+                disabled={!closing}
+                title={closing ? undefined : 'Set when the defect is closed'}
+                required={closing}
+                aria-required={closing}
               />
             </div>
           </div>
 
-          {/* Associated Files */}
           <div className="grid gap-1.5">
-            <label htmlFor="files" className="text-xs font-medium text-white/80">
-              Associated Files
+            <label htmlFor="targetDate" className="text-xs font-medium text-white/80">
+              Target Date
             </label>
-            <div className="flex items-center gap-2">
-              <label className="flex items-center gap-2 px-3 py-1.5 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] cursor-pointer hover:border-[#3BADE5]/40">
-                <Upload className="h-4 w-4 text-white" />
-                <span className="text-xs text-white">Upload Files</span>
-                <input
-                  id="files"
-                  type="file"
-                  multiple
-                  className="hidden"
-                  onChange={handleFileChange}
-                  accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
-                  aria-label="Upload files"
-                />
+            <input
+              id="targetDate"
+              type="date"
+              className="flex h-8 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
+              value={defect?.[TARGET_FIELD] ? String(defect[TARGET_FIELD]).slice(0, 10) : ''}
+              onChange={(e) => onChange(TARGET_FIELD, e.target.value)}
+            />
+            {SLA_DAYS[defect?.Criticality] !== undefined && (
+              <p className="text-[11px] text-white/50">
+                {defect.Criticality} defects are due within {SLA_DAYS[defect.Criticality]} days of being reported
+              </p>
+            )}
+          </div>
+
+          {closing && (
+            <div className="grid gap-1.5">
+              <label htmlFor="closingRemarks" className="text-xs font-medium text-white/80">
+                Closing Remarks <span className="text-red-400">*</span>
+              </label>
+              <textarea
+                id="closingRemarks"
+                className="flex h-16 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 py-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
+                value={defect?.closing_remarks || ''}
+                onChange={(e) => onChange('closing_remarks', e.target.value)}
+                placeholder="What was done to rectify the defect"
+                required
+                aria-required="true"
+              />
+            </div>
+          )}
+
+          {/* Associated Files */}
+          {isNew ? (
+            <div className="grid gap-1.5">
+              <label htmlFor="files" className="text-xs font-medium text-white/80">
+                Associated Files
               </label>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-2 px-3 py-1.5 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] cursor-pointer hover:border-[#3BADE5]/40">
+                  <Upload className="h-4 w-4 text-white" />
+                  <span className="text-xs text-white">Upload Files</span>
+                  <input
+                    id="files"
+                    type="file"
+                    multiple
+                    className="hidden"
+                    onChange={handleFileChange}
+                    accept={ATTACHMENT_ACCEPT}
+                    aria-label="Upload files"
+                  />
+                </label>
+                <PhotoCapture onCapture={(photo) => setFiles(prev => [...prev, photo])} />
+                {files.length > 0 && (
+                  <span className="text-xs text-white/60" role="status">
+                    {files.length} file(s) selected
+                  </span>
+                )}
+              </div>
               {files.length > 0 && (
-                <span className="text-xs text-white/60" role="status">
-                  {files.length} file(s) selected
-                </span>
+                <ul className="space-y-1">
+                  {files.map((file, index) => (
+                    <li key={`${file.name}_${index}`} className="flex items-center gap-2 text-xs text-white/90">
+                      <span className="truncate">{file.name}</span>
+                      <span className="shrink-0 text-white/50">{formatFileSize(file.size)}</span>
+                      <button
+                        onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))}
+                        className="ml-auto p-1 rounded-[4px] text-white/60 hover:text-red-300"
+                        aria-label={`Remove ${file.name}`}
+                      >
+                        <X className="h-3.5 w-3.5" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
               )}
             </div>
-          </div>
+          ) : defect && (
+            <AttachmentList
+              defect={defect}
+              service={attachmentService}
+              operations={operations}
+              onQueued={onAttachmentsQueued}
+            />
+          )}
 
           {/* Comments */}
-          <div className="grid gap-1.5">
-            <label htmlFor="comments" className="text-xs font-medium text-white/80">
-              Comments
-            </label>
-            <textarea
-              id="comments"
-              className="flex h-16 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 py-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
-              value={defect?.Comments || ''}
-              onChange={(e) => onChange('Comments', e.target.value)}
-              placeholder="Add any additional comments"
+          {isNew ? (
+            <div className="grid gap-1.5">
+              <label htmlFor="comments" className="text-xs font-medium text-white/80">
+                Comment
+              </label>
+              <textarea
+                id="comments"
+                className="flex h-16 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 py-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Starts the discussion on this defect"
+              />
+            </div>
+          ) : defect && (
+            <CommentThread
+              defect={defect}
+              service={commentService}
+              attachmentService={attachmentService}
+              operations={operations}
+              onQueued={onAttachmentsQueued}
             />
-          </div>
+          )}
+
+          {!isNew && (
+            <div className="pt-2 border-t border-white/10">
+              <DefectTimeline defect={defect} operations={operations} vessels={vessels} />
+            </div>
+          )}
         </div>
 
+        {candidates && (
+          <div className="grid gap-2 rounded-[4px] border border-yellow-400/30 bg-yellow-400/5 p-2" role="alert">
+            <div>
+              <div className="text-xs font-medium text-yellow-300">Possible duplicates</div>
+              <p className="text-[11px] text-white/60">
+                These open defects on the same equipment read alike. Link the new defect to one,
+                add it as a comment on one instead, or save it as a new defect.
+              </p>
+            </div>
+            <ul className="grid gap-1.5">
+              {candidates.map(({ defect: match, score }) => (
+                <li key={match.localId} className="rounded-[4px] bg-[#132337] p-2 text-xs">
+                  <div className="flex items-baseline gap-2">
+                    <span className="font-medium text-white">{formatDefectRef(match)}</span>
+                    <span className="text-white/50">{STATUS_LABELS[match[STATUS_FIELD]] || match[STATUS_FIELD]}</span>
+                    <span className="text-white/50">
+                      {match['Date Reported'] ? new Date(match['Date Reported']).toLocaleDateString() : ''}
+                    </span>
+                    <span className="ml-auto shrink-0 text-[11px] text-white/40">{Math.round(score * 100)}% match</span>
+                  </div>
+                  <p className="mt-0.5 line-clamp-2 text-white/80">{match.Description}</p>
+                  <div className="mt-1.5 flex justify-end gap-1.5">
+                    <button
+                      onClick={() => submit(() => onCommentOnExisting(match, defect, files, comment))}
+                      disabled={saving}
+                      className="h-6 px-2 text-[11px] font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+                    >
+                      Comment Instead
+                    </button>
+                    <button
+                      onClick={() => submit(() => onSave({ ...defect, duplicate_of: match.id }, files, comment))}
+                      disabled={saving}
+                      className="h-6 px-2 text-[11px] font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+                    >
+                      Link and Add
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="flex justify-end gap-2 pt-2">
           <button
             onClick={onClose}
@@ -310,7 +493,7 @@ const DefectDialog = ({
             className="h-7 px-3 text-xs font-medium rounded-[4px] bg-[#3BADE5] hover:bg-[#3BADE5]/90 text-white disabled:opacity-50 disabled:cursor-not-allowed"
             aria-label={isNew ? "Add new defect" : "Save changes"}
           >
-            {saving ? 'Saving...' : (isNew ? 'Add Defect' : 'Save Changes')}
+            {saving ? 'Saving...' : (isNew ? (candidates ? 'Add Anyway' : 'Add Defect') : 'Save Changes')}
           </button>
         </div>
       </DialogContent>
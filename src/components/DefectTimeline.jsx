@@ -0,0 +1,116 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FIELD_LABELS, normalizeFieldValue } from '../utils/defectFields';
+import { isProvisionalId } from '../services/OfflineSync';
+import {
+  fetchDefectHistory,
+  groupHistory,
+  isHiddenHistoryField,
+  pendingHistory
+} from '../services/defectHistory';
+
+const ACTION_LABELS = {
+  create: 'Raised',
+  update: 'Changed',
+  delete: 'Deleted'
+};
+
+const formatValue = (field, value, vessels) => {
+  const text = normalizeFieldValue(value);
+  if (!text) return '(empty)';
+  if (field === 'vessel_id') return vessels[text] || text;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) return new Date(text).toLocaleString();
+  return text;
+};
+
+// Who changed what and when, oldest first, ending with any changes that are
+// still waiting to sync from this computer.
+const DefectTimeline = ({ defect, operations = [], vessels = {} }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const defectId = defect?.id;
+  const hasServerRecord = Boolean(defectId) && !isProvisionalId(defectId);
+  const isOnline = navigator.onLine;
+
+  useEffect(() => {
+    if (!hasServerRecord || !isOnline) return undefined;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const rows = await fetchDefectHistory(defectId);
+        if (!cancelled) setHistory(groupHistory(rows));
+      } catch (fetchError) {
+        console.error('Error loading defect history:', fetchError);
+        if (!cancelled) setError('Could not load the change history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [defectId, hasServerRecord, isOnline, defect?.updated_at]);
+
+  const entries = useMemo(() => [
+    ...history,
+    ...pendingHistory(operations.filter(operation => operation.localId === defect?.localId))
+  ], [history, operations, defect?.localId]);
+
+  return (
+    <div>
+      <div className="text-xs font-medium text-white/80 mb-1">History</div>
+      {loading && entries.length === 0 && (
+        <div className="text-xs text-white/60">Loading...</div>
+      )}
+      {error && <div className="text-xs text-red-300">{error}</div>}
+      {!loading && !error && entries.length === 0 && (
+        <div className="text-xs text-white/60">
+          {hasServerRecord && !isOnline ? 'History is available when back online' : 'No changes recorded yet'}
+        </div>
+      )}
+
+      <ol className="space-y-2 border-l border-[#3BADE5]/30 pl-3">
+        {entries.map(entry => {
+          const changes = entry.changes.filter(change => !isHiddenHistoryField(change.field));
+
+          return (
+            <li key={entry.key} className="relative">
+              <span className="absolute -left-[17px] top-1 h-2 w-2 rounded-full bg-[#3BADE5]" />
+              <div className="flex flex-wrap items-center gap-x-2 text-[11px] text-white/60">
+                <span className="font-medium text-white/90">{ACTION_LABELS[entry.action] || entry.action}</span>
+                <span>{new Date(entry.changedAt).toLocaleString()}</span>
+                {entry.changedBy && <span>by {entry.changedBy}</span>}
+                {entry.origin === 'offline' && (
+                  <span className="px-1.5 rounded-full text-[9px] bg-white/10 text-white/70">Offline</span>
+                )}
+                {entry.pending && (
+                  <span className="px-1.5 rounded-full text-[9px] bg-yellow-500/20 text-yellow-300">Not synced</span>
+                )}
+              </div>
+              {changes.length > 0 && (
+                <ul className="mt-0.5 text-xs text-white/90">
+                  {changes.map(change => (
+                    <li key={change.field} className="break-words">
+                      <span className="text-white/60">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                      {entry.action === 'create'
+                        ? formatValue(change.field, change.to, vessels)
+                        : `${formatValue(change.field, change.from, vessels)} → ${formatValue(change.field, change.to, vessels)}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default DefectTimeline;
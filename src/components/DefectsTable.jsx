@@ -1,7 +1,53 @@
-import React, { useState } from 'react';
-import { PlusCircle, FileText } from 'lucide-react';
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import {
+  PlusCircle,
+  Archive,
+  ArchiveRestore,
+  ArrowDown,
+  ArrowUp,
+  ChevronLeft,
+  ChevronRight,
+  Trash2
+} from 'lucide-react';
 import ExportButton from './ui/ExportButton';
+import ColumnChooser from './ColumnChooser';
+import GroupByControl from './GroupByControl';
+import useVirtualRows from '../hooks/useVirtualRows';
 import { exportToCSV } from '../utils/exportToCSV';
+import { SYNC_STATE_STYLES } from './SyncInbox';
+import DefectTimeline from './DefectTimeline';
+import AttachmentList from './AttachmentList';
+import CommentThread from './CommentThread';
+import {
+  CellEditor,
+  DetailsEditor,
+  canEditInline,
+  needsDetails,
+  startDraft,
+  updateDraft
+} from './InlineEditor';
+import { toast } from './ui/use-toast';
+import { fieldsEqual } from '../utils/defectFields';
+import { validateDefect } from '../utils/defectValidation';
+import { defectEquipmentLabel } from '../utils/equipmentTaxonomy';
+import { formatDefectRef, isProvisionalRef } from '../utils/defectRef';
+import { DUE_STATES, TARGET_FIELD, daysOverdue, dueState, formatTargetDate } from '../utils/sla';
+import {
+  DEFAULT_COLUMN_PREFERENCES,
+  MIN_COLUMN_WIDTH,
+  groupRows,
+  moveColumn,
+  sortDefects,
+  toggleSort,
+  visibleColumns
+} from '../utils/defectColumns';
+
+// The fixed columns either side of the configurable ones
+const SELECT_WIDTH = 32;
+const EXPANDER_WIDTH = 40;
+const ACTIONS_WIDTH = 72;
+// A collapsed row, for rows not yet measured
+const ROW_HEIGHT_ESTIMATE = 33;
 
 const STATUS_COLORS = {
   'OPEN': {
@@ -36,17 +82,145 @@ const CRITICALITY_COLORS = {
   }
 };
 
-const DefectRow = ({ defect, index, onEditDefect }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
+const SyncBadge = ({ syncState }) => {
+  if (!syncState) return null;
+  const style = SYNC_STATE_STYLES[syncState.state];
+
+  return (
+    <span
+      className={`ml-1 inline-block px-1.5 rounded-full text-[9px] ${style.className}`}
+      title={syncState.error ? `${style.label}: ${syncState.error}` : `${style.label} sync`}
+    >
+      {style.label}
+    </span>
+  );
+};
+
+const DueBadge = ({ defect }) => {
+  const state = dueState(defect);
+  if (!state) return null;
+  const overdueDays = daysOverdue(defect);
 
+  return (
+    <span
+      className={`ml-1 inline-block px-1.5 rounded-full text-[9px] ${DUE_STATES[state].className}`}
+      title={overdueDays ? `${overdueDays} day(s) past the target date` : 'Target date is coming up'}
+    >
+      {DUE_STATES[state].label}
+    </span>
+  );
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+// What each column shows for a defect; see COLUMNS in utils/defectColumns
+const CELLS = {
+  ref: (defect, { syncState }) => (
+    <>
+      <span
+        className={isProvisionalRef(defect.defect_ref) ? 'italic text-white/60' : ''}
+        title={isProvisionalRef(defect.defect_ref) ? 'Provisional - numbered when it reaches the server' : undefined}
+      >
+        {formatDefectRef(defect)}
+      </span>
+      <SyncBadge syncState={syncState} />
+    </>
+  ),
+  vessel: (defect) => defect.vessel_name,
+  status: (defect) => (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] 
+      ${STATUS_COLORS[defect['Status (Vessel)']].bg} 
+      ${STATUS_COLORS[defect['Status (Vessel)']].text}
+      ${STATUS_COLORS[defect['Status (Vessel)']].glow}
+      transition-all duration-200`}
+    >
+      <span className="w-1 h-1 rounded-full bg-current mr-1"></span>
+      {defect['Status (Vessel)']}
+    </span>
+  ),
+  criticality: (defect) => (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-[10px] 
+      ${CRITICALITY_COLORS[defect.Criticality]?.bg || 'bg-gray-500/20'} 
+      ${CRITICALITY_COLORS[defect.Criticality]?.text || 'text-gray-300'}`}
+    >
+      {defect.Criticality || 'N/A'}
+    </span>
+  ),
+  equipment: (defect) => defectEquipmentLabel(defect),
+  description: (defect) => defect.Description,
+  action: (defect) => defect['Action Planned'],
+  reported: (defect) => formatDate(defect['Date Reported']),
+  completed: (defect) => formatDate(defect['Date Completed']),
+  target: (defect) => (
+    <>
+      {formatTargetDate(defect[TARGET_FIELD]) || '-'}
+      <DueBadge defect={defect} />
+    </>
+  ),
+  system: (defect) => defect.Equipments || '-',
+  comments: (defect) => defect.Comments || '-',
+  sno: (defect) => defect.SNo ?? '-',
+  closingRemarks: (defect) => defect.closing_remarks || '-',
+  reopenReason: (defect) => defect.reopen_reason || '-',
+  updated: (defect) => (defect.updated_at ? new Date(defect.updated_at).toLocaleString() : '-')
+};
+
+const formatRemoval = (label, at, by, reason) => [
+  `${label} ${new Date(at).toLocaleString()}`,
+  by && `by ${by}`,
+  reason && `- ${reason}`
+].filter(Boolean).join(' ');
+
+const DefectRow = ({
+  defect,
+  columns,
+  onEditDefect,
+  onRemoveDefect,
+  onRestoreDefect,
+  syncState,
+  isHighlighted,
+  operations,
+  vessels,
+  attachmentService,
+  commentService,
+  onAttachmentsQueued,
+  duplicateOf,
+  isExpanded,
+  onToggleExpand,
+  selectable,
+  isSelected,
+  onToggleSelect,
+  inlineEditable,
+  editing,
+  savingEdit,
+  onStartEdit,
+  onChangeEdit,
+  onCommitEdit,
+  onCancelEdit,
+  rowRef
+}) => {
   const toggleExpand = (e) => {
     e.stopPropagation();
-    setIsExpanded(!isExpanded);
+    onToggleExpand(defect.localId);
   };
+  const colSpan = columns.length + (selectable ? 3 : 2);
 
   return (
-    <>
-      <tr className="table-hover-row cursor-pointer border-b border-white/10 hover:bg-white/5">
+    <tbody ref={rowRef} className="text-[#f4f4f4]">
+      <tr className={`table-hover-row cursor-pointer border-b border-white/10 hover:bg-white/5 transition-colors duration-1000 ${
+        isHighlighted ? 'bg-[#3BADE5]/15' : isSelected ? 'bg-[#3BADE5]/10' : ''
+      } ${defect.archived_at ? 'opacity-60' : ''}`}>
+        {selectable && (
+          <td className="pl-3 py-1.5" onClick={(e) => e.stopPropagation()}>
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={(e) => onToggleSelect(defect.localId, e.nativeEvent.shiftKey)}
+              className="accent-[#3BADE5] cursor-pointer"
+              aria-label={`Select ${formatDefectRef(defect)}`}
+            />
+          </td>
+        )}
         <td className="px-3 py-1.5">
           <button
             onClick={toggleExpand}
@@ -57,49 +231,91 @@ const DefectRow = ({ defect, index, onEditDefect }) => {
             </span>
           </button>
         </td>
-        <td className="px-3 py-1.5">{index + 1}</td>
-        <td className="px-3 py-1.5" onClick={() => onEditDefect(defect)}>
-          {defect.vessel_name}
-        </td>
-        <td className="px-3 py-1.5" onClick={() => onEditDefect(defect)}>
-          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] 
-            ${STATUS_COLORS[defect['Status (Vessel)']].bg} 
-            ${STATUS_COLORS[defect['Status (Vessel)']].text}
-            ${STATUS_COLORS[defect['Status (Vessel)']].glow}
-            transition-all duration-200`}
-          >
-            <span className="w-1 h-1 rounded-full bg-current mr-1"></span>
-            {defect['Status (Vessel)']}
-          </span>
-        </td>
-        <td className="px-3 py-1.5" onClick={() => onEditDefect(defect)}>
-          <span className={`inline-block px-2 py-0.5 rounded-full text-[10px] 
-            ${CRITICALITY_COLORS[defect.Criticality]?.bg || 'bg-gray-500/20'} 
-            ${CRITICALITY_COLORS[defect.Criticality]?.text || 'text-gray-300'}`}
-          >
-            {defect.Criticality || 'N/A'}
-          </span>
-        </td>
-        <td className="px-3 py-1.5 truncate max-w-[150px]" title={defect.Equipments} onClick={() => onEditDefect(defect)}>
-          {defect.Equipments}
-        </td>
-        <td className="px-3 py-1.5 truncate max-w-[200px]" title={defect.Description} onClick={() => onEditDefect(defect)}>
-          {defect.Description}
-        </td>
-        <td className="px-3 py-1.5 truncate max-w-[200px]" title={defect['Action Planned']} onClick={() => onEditDefect(defect)}>
-          {defect['Action Planned']}
-        </td>
-        <td className="px-3 py-1.5" onClick={() => onEditDefect(defect)}>
-          {defect['Date Reported'] ? new Date(defect['Date Reported']).toLocaleDateString() : '-'}
-        </td>
-        <td className="px-3 py-1.5" onClick={() => onEditDefect(defect)}>
-          {defect['Date Completed'] ? new Date(defect['Date Completed']).toLocaleDateString() : '-'}
+        {columns.map(column => {
+          // Editable cells open in place; a click anywhere else opens the dialog
+          const editable = inlineEditable && canEditInline(defect, column.id);
+          const handleClick = editable
+            ? () => onStartEdit(defect, column.id)
+            : column.id === 'ref' ? undefined : () => onEditDefect(defect);
+
+          return (
+            <td
+              key={column.id}
+              className={`px-3 py-1.5 truncate ${editable ? 'cursor-text hover:bg-white/5 focus:outline-none focus:ring-1 focus:ring-inset focus:ring-[#3BADE5]/60' : ''}`}
+              title={column.type === 'text' ? column.value(defect) || undefined : undefined}
+              onClick={handleClick}
+              tabIndex={editable ? 0 : undefined}
+              onKeyDown={editable ? (e) => {
+                if (e.key === 'Enter' || e.key === 'F2') {
+                  e.preventDefault();
+                  onStartEdit(defect, column.id);
+                }
+              } : undefined}
+            >
+              {editing?.columnId === column.id ? (
+                <CellEditor
+                  defect={defect}
+                  columnId={column.id}
+                  draft={editing.draft}
+                  onChange={(field, value, options) => onChangeEdit(defect, field, value, options)}
+                  onCommit={() => onCommitEdit(defect)}
+                  onCancel={onCancelEdit}
+                />
+              ) : CELLS[column.id](defect, { syncState })}
+            </td>
+          );
+        })}
+        <td className="px-3 py-1.5">
+          <div className="flex items-center gap-1">
+            {defect.archived_at ? (
+              <button
+                onClick={() => onRestoreDefect(defect)}
+                className="p-1 rounded hover:bg-white/10 text-[#3BADE5]"
+                title={`${formatRemoval('Archived', defect.archived_at, defect.archived_by, defect.archive_reason)}. Click to restore.`}
+              >
+                <ArchiveRestore className="h-3.5 w-3.5" />
+              </button>
+            ) : (
+              <button
+                onClick={() => onRemoveDefect(defect, 'archive')}
+                className="p-1 rounded hover:bg-white/10 text-white/60 hover:text-white"
+                title="Archive"
+              >
+                <Archive className="h-3.5 w-3.5" />
+              </button>
+            )}
+            <button
+              onClick={() => onRemoveDefect(defect, 'delete')}
+              className="p-1 rounded hover:bg-white/10 text-white/60 hover:text-red-300"
+              title="Delete"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
         </td>
       </tr>
+      {editing && needsDetails(defect, editing.draft) && (
+        <tr className="bg-[#132337]/50">
+          <td colSpan={colSpan} className="px-8 py-2 border-b border-white/10">
+            <DetailsEditor
+              draft={editing.draft}
+              saving={savingEdit}
+              onChange={(field, value) => onChangeEdit(defect, field, value)}
+              onCommit={() => onCommitEdit(defect)}
+              onCancel={onCancelEdit}
+            />
+          </td>
+        </tr>
+      )}
       {isExpanded && (
         <tr className="bg-[#132337]/50">
-          <td colSpan="10" className="px-8 py-3 border-b border-white/10">
+          <td colSpan={colSpan} className="px-8 py-3 border-b border-white/10">
             <div className="grid gap-3">
+              {defect.archived_at && (
+                <div className="text-xs text-white/60">
+                  {formatRemoval('Archived', defect.archived_at, defect.archived_by, defect.archive_reason)}
+                </div>
+              )}
               <div>
                 <div className="text-xs font-medium text-white/80 mb-1">Description</div>
                 <div className="text-xs text-white/90">{defect.Description || '-'}</div>
@@ -108,51 +324,383 @@ const DefectRow = ({ defect, index, onEditDefect }) => {
                 <div className="text-xs font-medium text-white/80 mb-1">Action Planned</div>
                 <div className="text-xs text-white/90">{defect['Action Planned'] || '-'}</div>
               </div>
-              <div>
-                <div className="text-xs font-medium text-white/80 mb-1">Comments</div>
-                <div className="text-xs text-white/90">{defect.Comments || '-'}</div>
-              </div>
-              {defect.associated_files?.length > 0 && (
+              {defect.closing_remarks && (
+                <div>
+                  <div className="text-xs font-medium text-white/80 mb-1">Closing Remarks</div>
+                  <div className="text-xs text-white/90">{defect.closing_remarks}</div>
+                </div>
+              )}
+              {defect.reopen_reason && (
+                <div>
+                  <div className="text-xs font-medium text-white/80 mb-1">Reopen Reason</div>
+                  <div className="text-xs text-white/90">{defect.reopen_reason}</div>
+                </div>
+              )}
+              {defect.duplicate_of && (
                 <div>
-                  <div className="text-xs font-medium text-white/80 mb-1">Files</div>
-                  <div className="flex items-center gap-2">
-                    <FileText className="h-3.5 w-3.5 text-[#3BADE5]" />
-                    <span className="text-xs text-white/90">
-                      {defect.associated_files.length} file(s) attached
-                    </span>
+                  <div className="text-xs font-medium text-white/80 mb-1">Duplicate Of</div>
+                  <div className="text-xs text-white/90">
+                    {duplicateOf
+                      ? `${formatDefectRef(duplicateOf)} - ${duplicateOf.Description}`
+                      : 'A defect that is no longer in the register'}
                   </div>
                 </div>
               )}
+              <AttachmentList
+                defect={defect}
+                service={attachmentService}
+                operations={operations}
+                canEdit={!defect.deleted_at}
+                onQueued={onAttachmentsQueued}
+              />
+              <CommentThread
+                defect={defect}
+                service={commentService}
+                attachmentService={attachmentService}
+                operations={operations}
+                canComment={!defect.deleted_at}
+                onQueued={onAttachmentsQueued}
+              />
+              <DefectTimeline defect={defect} operations={operations} vessels={vessels} />
             </div>
           </td>
         </tr>
       )}
-    </>
+    </tbody>
   );
 };
 
+// Heads a group of defects when the register is grouped; a click folds it
+const GroupRow = ({ group, colSpan, isCollapsed, onToggle, selectable, selectedIds, onSelectGroup, rowRef }) => {
+  const selectedCount = selectable ? group.ids.filter(id => selectedIds.has(id)).length : 0;
+  const allSelected = selectedCount === group.count;
+
+  return (
+    <tbody ref={rowRef} className="text-[#f4f4f4]">
+      <tr
+        className="cursor-pointer border-b border-white/10 bg-[#132337]/80 hover:bg-[#132337]"
+        onClick={() => onToggle(group.key)}
+      >
+        {selectable && (
+          <td className="pl-3 py-1.5" onClick={(e) => e.stopPropagation()}>
+            <input
+              ref={(node) => {
+                if (node) node.indeterminate = selectedCount > 0 && !allSelected;
+              }}
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => onSelectGroup(group.ids, !allSelected)}
+              className="accent-[#3BADE5] cursor-pointer"
+              aria-label={`Select all ${group.count} in ${group.value}`}
+            />
+          </td>
+        )}
+        <td
+          colSpan={selectable ? colSpan - 1 : colSpan}
+          className="py-1.5 pr-3"
+          style={{ paddingLeft: `${0.75 + group.depth * 1.25}rem` }}
+        >
+          <button className="inline-flex items-center gap-1.5 font-medium" aria-expanded={!isCollapsed}>
+            <ChevronRight className={`h-3.5 w-3.5 text-[#3BADE5] transition-transform duration-200 ${isCollapsed ? '' : 'rotate-90'}`} />
+            <span className="text-white/60">{group.label}:</span>
+            {group.value}
+          </button>
+          <span className="ml-3 text-white/60">
+            {group.count} defect{group.count === 1 ? '' : 's'}
+            {' · '}<span className="text-red-300">{group.open} open</span>
+            {' · '}<span className="text-green-300">{group.closed} closed</span>
+          </span>
+        </td>
+      </tr>
+    </tbody>
+  );
+};
+
+// Stands in for the rows scrolled out of view
+const Spacer = ({ height, colSpan }) => (
+  <tbody aria-hidden="true">
+    <tr>
+      <td colSpan={colSpan} style={{ height, padding: 0 }} />
+    </tr>
+  </tbody>
+);
+
+const Pager = ({ page, pageSize, total, loading, onPageChange }) => {
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const first = total === 0 ? 0 : page * pageSize + 1;
+  const last = Math.min(total, (page + 1) * pageSize);
+
+  return (
+    <div className="flex items-center justify-end gap-2 px-3 py-2 border-t border-white/10 text-xs text-white/70">
+      <span role="status">
+        {loading ? 'Loading...' : `${first.toLocaleString()}-${last.toLocaleString()} of ${total.toLocaleString()}`}
+      </span>
+      <button
+        onClick={() => onPageChange(page - 1)}
+        disabled={loading || page === 0}
+        className="p-1 rounded hover:bg-white/10 disabled:opacity-40"
+        aria-label="Previous page"
+      >
+        <ChevronLeft className="h-3.5 w-3.5" />
+      </button>
+      <span>Page {page + 1} of {pages}</span>
+      <button
+        onClick={() => onPageChange(page + 1)}
+        disabled={loading || page >= pages - 1}
+        className="p-1 rounded hover:bg-white/10 disabled:opacity-40"
+        aria-label="Next page"
+      >
+        <ChevronRight className="h-3.5 w-3.5" />
+      </button>
+    </div>
+  );
+};
+
+const SortIndicator = ({ sort, id }) => {
+  const position = sort.findIndex(key => key.id === id);
+  if (position === -1) return null;
+  const Arrow = sort[position].direction === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <span className="inline-flex items-center shrink-0 text-[#3BADE5]">
+      <Arrow className="h-3 w-3" />
+      {sort.length > 1 && <span className="text-[9px]">{position + 1}</span>}
+    </span>
+  );
+};
+
+// `register` is every cached defect, so a link to one filtered out of view
+// can still be shown. `preferences` is the user's column layout (see
+// utils/defectColumns); changes to it go to `onPreferencesChange`. Only the
+// rows scrolled into view are rendered, so the register stays quick with
+// tens of thousands of defects. With `pagination` the rows are one page,
+// already sorted by the server, and `allRows` is every row in the filter,
+// for exporting and selecting all. Rows can be ticked when
+// `onSelectionChange` is given; `selectedIds` holds their localIds. With
+// `onInlineSave`, status, criticality, dates and action planned can be
+// edited in their cells; it gets the whole edited defect and the row as it
+// was, and resolves to whether it was saved. The grouping in `preferences`
+// splits the rows into folding groups; with `pagination` only the page
+// shown is grouped.
 const DefectsTable = ({ 
   data, 
+  register = data,
   onAddDefect, 
   onEditDefect, 
+  onRemoveDefect,
+  onRestoreDefect,
   loading,
+  syncStates = {},
+  highlightedIds = {},
+  outbox = [],
+  vessels = {},
+  attachmentService,
+  commentService,
+  onAttachmentsQueued,
+  preferences = DEFAULT_COLUMN_PREFERENCES,
+  onPreferencesChange = () => {},
+  pagination = null,
+  allRows = null,
+  selectedIds = null,
+  onSelectionChange = null,
+  onInlineSave = null,
   searchTerm = '',
   statusFilter = '',
   criticalityFilter = '' 
 }) => {
+  // Width of the column being resized, until the drag ends
+  const [resizing, setResizing] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  // Expanded rows by localId, kept here so they survive scrolling away
+  const [expanded, setExpanded] = useState({});
+  // Keys of folded groups
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const scrollRef = useRef(null);
+  // Where the last row was ticked, for shift-click ranges
+  const lastSelected = useRef(null);
+  // The cell being edited in place, with its unsaved values. The ref is
+  // what a late blur sees once the edit has been saved or given up.
+  const [editing, setEditingState] = useState(null);
+  const editingRef = useRef(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const savingRef = useRef(false);
+
+  const columns = useMemo(() => visibleColumns(preferences)
+    .map(column => (resizing?.id === column.id ? { ...column, width: resizing.width } : column)), [preferences, resizing]);
+  const rows = useMemo(
+    () => (pagination ? data : sortDefects(data, preferences.sort)),
+    [data, preferences.sort, pagination]
+  );
+  const items = useMemo(
+    () => groupRows(rows, preferences.groupBy, collapsed),
+    [rows, preferences.groupBy, collapsed]
+  );
+  const keys = useMemo(() => items.map(item => item.key), [items]);
+  // The defects shown, in order, for shift-click ranges
+  const defectKeys = useMemo(
+    () => items.filter(item => item.type === 'defect').map(item => item.key),
+    [items]
+  );
+  const { start, end, before, after, measure } = useVirtualRows({
+    keys,
+    scrollRef,
+    estimate: ROW_HEIGHT_ESTIMATE
+  });
+
+  const setEditing = useCallback((value) => {
+    editingRef.current = value;
+    setEditingState(value);
+  }, []);
+
+  const startEdit = useCallback((defect, columnId) => {
+    const current = editingRef.current;
+    if (savingRef.current || (current?.localId === defect.localId && current.columnId === columnId)) return;
+    setEditing({ localId: defect.localId, columnId, draft: startDraft(defect, columnId) });
+  }, [setEditing]);
+
+  const cancelEdit = useCallback(() => setEditing(null), [setEditing]);
+
+  // Checked exactly as the defect dialog checks a save, and saved the same
+  // way, so an edit made offline is queued like any other
+  const commitEdit = async (defect) => {
+    const current = editingRef.current;
+    if (!current || current.localId !== defect.localId || savingRef.current) return;
+
+    const { draft } = current;
+    if (Object.keys(draft).every(field => fieldsEqual(defect[field], draft[field]))) {
+      setEditing(null);
+      return;
+    }
+    const next = { ...defect, ...draft };
+    const problem = validateDefect(defect, next);
+    if (problem) {
+      toast({ ...problem, variant: "destructive" });
+      return;
+    }
+
+    try {
+      savingRef.current = true;
+      setSavingEdit(true);
+      if (await onInlineSave(next, defect)) setEditing(null);
+    } finally {
+      savingRef.current = false;
+      setSavingEdit(false);
+    }
+  };
+
+  // A choice from a list saves at once, unless closing or reopening needs
+  // more details first
+  const changeEdit = (defect, field, value, { commit = false } = {}) => {
+    const current = editingRef.current;
+    if (!current) return;
+    const draft = updateDraft(defect, current.draft, field, value);
+    setEditing({ ...current, draft });
+    if (commit && !needsDetails(defect, draft)) commitEdit(defect);
+  };
+
+  const toggleExpanded = useCallback((localId) => {
+    setExpanded(prev => ({ ...prev, [localId]: !prev[localId] }));
+  }, []);
+  const selectable = Boolean(onSelectionChange);
+  const colSpan = columns.length + (selectable ? 3 : 2);
+  const tableWidth = columns.reduce((total, column) => total + column.width, 0) +
+    EXPANDER_WIDTH + ACTIONS_WIDTH + (selectable ? SELECT_WIDTH : 0);
+
+  // Every row in the filter, not just the page shown
+  const filterRows = allRows || rows;
+  const selectedCount = selectable ? filterRows.filter(defect => selectedIds.has(defect.localId)).length : 0;
+  const allSelected = selectedCount > 0 && selectedCount === filterRows.length;
+
+  const selectAllRef = useCallback((node) => {
+    if (node) node.indeterminate = selectedCount > 0 && !allSelected;
+  }, [selectedCount, allSelected]);
+
+  const toggleSelectAll = () => {
+    onSelectionChange(allSelected ? new Set() : new Set(filterRows.map(defect => defect.localId)));
+  };
+
+  // Shift-click ticks or unticks every row between this one and the last
+  const toggleSelect = (localId, range) => {
+    const index = defectKeys.indexOf(localId);
+    const checked = !selectedIds.has(localId);
+    const from = range && lastSelected.current !== null ? Math.min(lastSelected.current, index) : index;
+    const to = range && lastSelected.current !== null ? Math.max(lastSelected.current, index) : index;
+    const next = new Set(selectedIds);
+    defectKeys.slice(from, to + 1).forEach(key => (checked ? next.add(key) : next.delete(key)));
+    lastSelected.current = index;
+    onSelectionChange(next);
+  };
+
+  const selectGroup = (ids, checked) => {
+    const next = new Set(selectedIds);
+    ids.forEach(id => (checked ? next.add(id) : next.delete(id)));
+    onSelectionChange(next);
+  };
+
+  const toggleGroup = useCallback((key) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  }, []);
+
   const handleExport = () => {
-    exportToCSV(data, {
+    exportToCSV(allRows ? sortDefects(allRows, preferences.sort) : rows, {
       search: searchTerm,
       status: statusFilter,
       criticality: criticalityFilter
     });
   };
 
+  const handleSort = (id, additive) => {
+    onPreferencesChange({ ...preferences, sort: toggleSort(preferences.sort, id, additive) });
+  };
+
+  // Only the final width is saved, when the mouse is let go
+  const startResize = (e, column) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    let width = column.width;
+
+    const handleMove = (moveEvent) => {
+      width = Math.max(MIN_COLUMN_WIDTH, Math.round(column.width + moveEvent.clientX - startX));
+      setResizing({ id: column.id, width });
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setResizing(null);
+      onPreferencesChange({ ...preferences, widths: { ...preferences.widths, [column.id]: width } });
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  // A column dropped on another takes its place, pushing it away from
+  // where the dragged column came from
+  const handleDrop = (targetId) => {
+    const { order } = preferences;
+    const from = order.indexOf(dragging);
+    const to = order.indexOf(targetId);
+    setDragging(null);
+    if (from === -1 || from === to) return;
+    const beforeId = from < to ? order[to + 1] || null : targetId;
+    onPreferencesChange({ ...preferences, order: moveColumn(order, dragging, beforeId) });
+  };
+
   return (
     <div className="glass-card rounded-[4px]">
       <div className="flex justify-between items-center px-3 py-2 border-b border-white/10">
         <h2 className="text-sm font-medium text-[#f4f4f4]">Defects Register</h2>
         <div className="flex items-center gap-2">
+          <GroupByControl
+            groupBy={preferences.groupBy}
+            onChange={(groupBy) => onPreferencesChange({ ...preferences, groupBy })}
+          />
+          <ColumnChooser preferences={preferences} onChange={onPreferencesChange} />
           <ExportButton onClick={handleExport} />
           <button 
             onClick={onAddDefect} 
@@ -164,44 +712,128 @@ const DefectsTable = ({
           </button>
         </div>
       </div>
-      <div className="overflow-x-auto custom-scrollbar">
-        <table className="w-full text-xs">
-          <thead>
+      <div ref={scrollRef} className="overflow-auto max-h-[70vh] custom-scrollbar">
+        <table className="min-w-full text-xs table-fixed" style={{ width: tableWidth }}>
+          <thead className="sticky top-0 z-10">
             <tr className="bg-[#132337] border-b border-white/10">
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-8"></th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-12">#</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-28">Vessel</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-24">Status</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-24">Criticality</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-32">Equipment</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90">Description</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90">Action Planned</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-24">Reported</th>
-              <th className="px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 w-24">Completed</th>
+              {selectable && (
+                <th className="pl-3 py-2 text-left" style={{ width: SELECT_WIDTH }}>
+                  <input
+                    ref={selectAllRef}
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleSelectAll}
+                    disabled={filterRows.length === 0}
+                    className="accent-[#3BADE5] cursor-pointer"
+                    aria-label={`Select all ${filterRows.length} defects in the filter`}
+                    title="Select all in the filter"
+                  />
+                </th>
+              )}
+              <th className="px-3 py-2" style={{ width: EXPANDER_WIDTH }}></th>
+              {columns.map(column => {
+                const sortKey = preferences.sort.find(key => key.id === column.id);
+                return (
+                  <th
+                    key={column.id}
+                    style={{ width: column.width }}
+                    className={`relative px-3 py-2 text-left font-semibold text-[#f4f4f4] opacity-90 select-none ${
+                      dragging === column.id ? 'opacity-40' : ''
+                    }`}
+                    aria-sort={sortKey ? (sortKey.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      setDragging(column.id);
+                    }}
+                    onDragOver={(e) => dragging && e.preventDefault()}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      handleDrop(column.id);
+                    }}
+                    onDragEnd={() => setDragging(null)}
+                  >
+                    <button
+                      onClick={(e) => handleSort(column.id, e.shiftKey)}
+                      className="flex w-full items-center gap-1 text-left hover:text-[#3BADE5]"
+                      title="Sort - shift-click to sort by more than one column. Drag to move."
+                    >
+                      <span className="truncate">{column.label}</span>
+                      <SortIndicator sort={preferences.sort} id={column.id} />
+                    </button>
+                    <span
+                      onMouseDown={(e) => startResize(e, column)}
+                      className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-[#3BADE5]/40"
+                      role="separator"
+                      aria-orientation="vertical"
+                      aria-label={`Resize ${column.label}`}
+                    />
+                  </th>
+                );
+              })}
+              <th className="px-3 py-2" style={{ width: ACTIONS_WIDTH }}></th>
             </tr>
           </thead>
-          <tbody className="text-[#f4f4f4]">
-            {loading ? (
-              <tr>
-                <td colSpan="10" className="px-3 py-2 text-center">Loading...</td>
-              </tr>
-            ) : data.length === 0 ? (
+          {loading || rows.length === 0 ? (
+            <tbody className="text-[#f4f4f4]">
               <tr>
-                <td colSpan="10" className="px-3 py-2 text-center">No defects found</td>
+                <td colSpan={colSpan} className="px-3 py-2 text-center">
+                  {loading ? 'Loading...' : 'No defects found'}
+                </td>
               </tr>
-            ) : (
-              data.map((defect, index) => (
+            </tbody>
+          ) : (
+            <>
+              {before > 0 && <Spacer height={before} colSpan={colSpan} />}
+              {items.slice(start, end).map(({ type, key, defect, ...group }) => (type === 'group' ? (
+                <GroupRow
+                  key={key}
+                  rowRef={measure(key)}
+                  group={{ key, ...group }}
+                  colSpan={colSpan}
+                  isCollapsed={collapsed.has(key)}
+                  onToggle={toggleGroup}
+                  selectable={selectable}
+                  selectedIds={selectedIds}
+                  onSelectGroup={selectGroup}
+                />
+              ) : (
                 <DefectRow
-                  key={defect.id}
+                  key={defect.localId}
+                  rowRef={measure(defect.localId)}
                   defect={defect}
-                  index={index}
+                  columns={columns}
+                  isExpanded={Boolean(expanded[defect.localId])}
+                  onToggleExpand={toggleExpanded}
+                  selectable={selectable}
+                  isSelected={selectable && selectedIds.has(defect.localId)}
+                  onToggleSelect={toggleSelect}
+                  inlineEditable={Boolean(onInlineSave)}
+                  editing={editing?.localId === defect.localId ? editing : null}
+                  savingEdit={savingEdit}
+                  onStartEdit={startEdit}
+                  onChangeEdit={changeEdit}
+                  onCommitEdit={commitEdit}
+                  onCancelEdit={cancelEdit}
                   onEditDefect={onEditDefect}
+                  onRemoveDefect={onRemoveDefect}
+                  onRestoreDefect={onRestoreDefect}
+                  syncState={syncStates[defect.localId]}
+                  isHighlighted={Boolean(highlightedIds[defect.localId])}
+                  operations={outbox}
+                  vessels={vessels}
+                  attachmentService={attachmentService}
+                  commentService={commentService}
+                  onAttachmentsQueued={onAttachmentsQueued}
+                  duplicateOf={defect.duplicate_of && register.find(other => other.id === defect.duplicate_of)}
                 />
-              ))
-            )}
-          </tbody>
+              )))}
+              {after > 0 && <Spacer height={after} colSpan={colSpan} />}
+            </>
+          )}
         </table>
       </div>
+      {pagination && <Pager {...pagination} />}
     </div>
   );
 };
@@ -0,0 +1,80 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, Search } from 'lucide-react';
+import {
+  LEVEL_LABELS,
+  flattenTaxonomy,
+  formatEquipmentPath,
+  searchTaxonomy
+} from '../utils/equipmentTaxonomy';
+
+// Searchable picker over the equipment taxonomy. Any level can be chosen:
+// a defect on a whole system, or drilled down to one component. `label` is
+// shown for the current value, so a retired entry still reads correctly.
+const EquipmentPicker = ({ id, taxonomy, value, label, onSelect }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+
+  const entries = useMemo(() => flattenTaxonomy(taxonomy), [taxonomy]);
+  const matches = useMemo(() => searchTaxonomy(entries, query), [entries, query]);
+
+  const handleSelect = (entryId) => {
+    onSelect(entryId);
+    setOpen(false);
+    setQuery('');
+  };
+
+  return (
+    <div className="grid gap-1">
+      <button
+        id={id}
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        className="flex h-8 w-full items-center justify-between rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40"
+        aria-expanded={open}
+        aria-haspopup="listbox"
+      >
+        <span className={`truncate ${label ? '' : 'text-white/60'}`}>{label || 'Select Equipment'}</span>
+        <ChevronDown className="h-3.5 w-3.5 shrink-0 text-white/60" />
+      </button>
+
+      {open && (
+        <div className="rounded-[4px] border border-[#3BADE5]/20 bg-[#132337]">
+          <div className="flex items-center gap-1.5 border-b border-white/10 px-2">
+            <Search className="h-3.5 w-3.5 text-white/40" />
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search systems and components"
+              className="h-8 w-full bg-transparent text-xs text-white focus:outline-none"
+              autoFocus
+              aria-label="Search equipment"
+            />
+          </div>
+          <ul role="listbox" className="max-h-48 overflow-y-auto py-1 custom-scrollbar">
+            {matches.length === 0 && (
+              <li className="px-2 py-1.5 text-xs text-white/60">No equipment matches</li>
+            )}
+            {matches.map(entry => (
+              <li key={entry.id} role="option" aria-selected={entry.id === value}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(entry.id)}
+                  className={`flex w-full items-baseline gap-2 py-1 pr-2 text-left text-xs hover:bg-white/5 ${
+                    entry.id === value ? 'text-[#3BADE5]' : 'text-white'
+                  }`}
+                  style={{ paddingLeft: `${0.5 + (query ? 0 : entry.depth)}rem` }}
+                  title={formatEquipmentPath(entry.path)}
+                >
+                  <span className="truncate">{query ? formatEquipmentPath(entry.path) : entry.name}</span>
+                  <span className="ml-auto shrink-0 text-[10px] text-white/40">{LEVEL_LABELS[entry.level]}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EquipmentPicker;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { GROUP_BY, GROUP_LEVELS } from '../utils/defectColumns';
+
+const selectClass = 'h-7 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-1.5 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5] hover:border-[#3BADE5]/40';
+
+// Groups the register by up to GROUP_LEVELS fields, each within the one
+// before. A level is only offered once the one before it is chosen.
+const GroupByControl = ({ groupBy, onChange }) => {
+  const choose = (level, id) => onChange(id ? [...groupBy.slice(0, level), id] : groupBy.slice(0, level));
+
+  return (
+    <div className="flex items-center gap-1.5 text-xs text-white">
+      <label htmlFor="groupBy-0" className="inline-flex items-center gap-1 text-white/80">
+        <Layers className="h-3.5 w-3.5" />
+        Group
+      </label>
+      {Array.from({ length: GROUP_LEVELS }, (_, level) => level)
+        .filter(level => level === 0 || groupBy[level - 1])
+        .map(level => (
+          <select
+            key={level}
+            id={`groupBy-${level}`}
+            value={groupBy[level] || ''}
+            onChange={(e) => choose(level, e.target.value)}
+            className={selectClass}
+            aria-label={level === 0 ? 'Group by' : 'Then group by'}
+          >
+            <option value="">{level === 0 ? 'None' : 'Then by...'}</option>
+            {GROUP_BY
+              .filter(group => !groupBy.slice(0, level).includes(group.id))
+              .map(group => (
+                <option key={group.id} value={group.id}>{group.label}</option>
+              ))}
+          </select>
+        ))}
+    </div>
+  );
+};
+
+export default GroupByControl;
@@ -7,7 +7,7 @@ import {
   DropdownMenuSeparator,
   DropdownMenuLabel
 } from './ui/dropdown-menu';
-import { User, LogOut, ChevronDown, Download } from 'lucide-react';
+import { User, Users, LogOut, ChevronDown, Download, Wrench } from 'lucide-react';
 
 // PWA Install Button Component
 const InstallPWA = () => {
@@ -73,7 +73,7 @@ const InstallPWA = () => {
   );
 };
 
-const Header = ({ user, vessels, currentVessel, onVesselChange, onLogout }) => {
+const Header = ({ user, vessels, currentVessel, onVesselChange, onLogout, onSwitchAccount, onManageEquipment }) => {
   // Convert currentVessel to array if it's a string or empty
   const selectedVessels = Array.isArray(currentVessel) 
     ? currentVessel 
@@ -168,6 +168,18 @@ const Header = ({ user, vessels, currentVessel, onVesselChange, onLogout }) => {
                 <span className="text-sm font-medium">{user.email}</span>
               </DropdownMenuTrigger>
               <DropdownMenuContent align="end">
+                {onManageEquipment && (
+                  <DropdownMenuItem onClick={onManageEquipment}>
+                    <Wrench className="mr-2 h-4 w-4" />
+                    <span>Manage Equipment</span>
+                  </DropdownMenuItem>
+                )}
+                {onSwitchAccount && (
+                  <DropdownMenuItem onClick={onSwitchAccount}>
+                    <Users className="mr-2 h-4 w-4" />
+                    <span>Switch Account</span>
+                  </DropdownMenuItem>
+                )}
                 <DropdownMenuItem onClick={onLogout} className="text-red-500">
                   <LogOut className="mr-2 h-4 w-4" />
                   <span>Logout</span>
@@ -0,0 +1,191 @@
+import React, { useRef } from 'react';
+import {
+  STATUS_FIELD,
+  STATUS_LABELS,
+  allowedStatuses,
+  isReopen
+} from '../utils/defectWorkflow';
+import { TARGET_FIELD, defaultTargetDate, followsDefaultTarget } from '../utils/sla';
+
+// The register columns that can be changed in place, and the field each edits
+export const INLINE_FIELDS = {
+  status: STATUS_FIELD,
+  criticality: 'Criticality',
+  reported: 'Date Reported',
+  completed: 'Date Completed',
+  target: TARGET_FIELD,
+  action: 'Action Planned'
+};
+
+const DATE_FIELDS = ['Date Reported', 'Date Completed', TARGET_FIELD];
+
+const editValue = (field, value) => (DATE_FIELDS.includes(field) && value ? String(value).slice(0, 10) : value ?? '');
+
+// Only closed defects have a completion date; removed ones are read only
+export const canEditInline = (defect, columnId) => Boolean(INLINE_FIELDS[columnId]) &&
+  !defect.deleted_at &&
+  (columnId !== 'completed' || defect[STATUS_FIELD] === 'CLOSED');
+
+export const startDraft = (defect, columnId) => {
+  const field = INLINE_FIELDS[columnId];
+  return { [field]: editValue(field, defect[field]) };
+};
+
+// `draft` with `field` set to `value`. As in the defect dialog, a target date
+// still at its default follows the criticality and report date.
+export const updateDraft = (defect, draft, field, value) => {
+  const current = { ...defect, ...draft };
+  const next = { ...draft, [field]: value };
+  if ((field === 'Criticality' || field === 'Date Reported') && followsDefaultTarget(current)) {
+    const changed = { ...current, [field]: value };
+    next[TARGET_FIELD] = defaultTargetDate(changed.Criticality, changed['Date Reported']);
+  }
+  return next;
+};
+
+// Closing or reopening needs more than the status cell can hold
+export const needsDetails = (defect, draft) => {
+  const status = draft[STATUS_FIELD];
+  if (!status || status === defect[STATUS_FIELD]) return false;
+  return status === 'CLOSED' || isReopen(defect[STATUS_FIELD], status);
+};
+
+const inputClass = 'w-full rounded-[4px] border border-[#3BADE5]/40 bg-[#132337] px-1 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5]';
+
+// Enter saves, Escape gives up. Keys stop here so the cell under the editor
+// does not take them as a request to start editing.
+const editorKeys = (onCommit, onCancel, cancelled) => (e) => {
+  e.stopPropagation();
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    cancelled.current = true;
+    onCancel();
+  } else if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    onCommit();
+  }
+};
+
+// The editor shown in place of a cell's value. A choice from a list saves
+// straight away; a typed value saves on Enter or on leaving the box.
+export const CellEditor = ({ defect, columnId, draft, onChange, onCommit, onCancel }) => {
+  const cancelled = useRef(false);
+  const field = INLINE_FIELDS[columnId];
+  const handleKeyDown = editorKeys(onCommit, onCancel, cancelled);
+  const common = {
+    autoFocus: true,
+    value: draft[field] ?? '',
+    onKeyDown: handleKeyDown,
+    onClick: (e) => e.stopPropagation(),
+    'aria-label': `Edit ${field}`
+  };
+
+  if (field === STATUS_FIELD) {
+    const fromStatus = defect[STATUS_FIELD];
+    return (
+      <select
+        {...common}
+        className={`${inputClass} h-6`}
+        onChange={(e) => onChange(field, e.target.value, { commit: true })}
+      >
+        {allowedStatuses(fromStatus).map(option => (
+          <option key={option} value={option}>
+            {isReopen(fromStatus, option) ? 'Reopen' : STATUS_LABELS[option]}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  if (field === 'Criticality') {
+    return (
+      <select
+        {...common}
+        className={`${inputClass} h-6`}
+        onChange={(e) => onChange(field, e.target.value, { commit: true })}
+      >
+        <option value="High">High</option>
+        <option value="Medium">Medium</option>
+        <option value="Low">Low</option>
+      </select>
+    );
+  }
+
+  return (
+    <input
+      {...common}
+      type={DATE_FIELDS.includes(field) ? 'date' : 'text'}
+      className={`${inputClass} h-6`}
+      onChange={(e) => onChange(field, e.target.value)}
+      onBlur={() => {
+        if (!cancelled.current) onCommit();
+      }}
+    />
+  );
+};
+
+// Shown under a row whose status is being changed to closed or reopened,
+// for what the workflow asks for with it
+export const DetailsEditor = ({ draft, saving, onChange, onCommit, onCancel }) => {
+  const cancelled = useRef(false);
+  const handleKeyDown = editorKeys(onCommit, onCancel, cancelled);
+  const closing = draft[STATUS_FIELD] === 'CLOSED';
+
+  return (
+    <div className="flex flex-wrap items-end gap-3" onClick={(e) => e.stopPropagation()}>
+      {closing ? (
+        <>
+          <label className="grid gap-1 text-xs font-medium text-white/80">
+            Date Completed
+            <input
+              type="date"
+              value={draft['Date Completed'] ?? ''}
+              onChange={(e) => onChange('Date Completed', e.target.value)}
+              onKeyDown={handleKeyDown}
+              className={`${inputClass} h-7 w-36`}
+              autoFocus
+            />
+          </label>
+          <label className="grid flex-1 gap-1 text-xs font-medium text-white/80">
+            Closing Remarks
+            <input
+              value={draft.closing_remarks ?? ''}
+              onChange={(e) => onChange('closing_remarks', e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="What was done to rectify the defect"
+              className={`${inputClass} h-7 min-w-[16rem]`}
+            />
+          </label>
+        </>
+      ) : (
+        <label className="grid flex-1 gap-1 text-xs font-medium text-white/80">
+          Reopen Reason
+          <input
+            value={draft.reopen_reason ?? ''}
+            onChange={(e) => onChange('reopen_reason', e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Why does this defect need more work?"
+            className={`${inputClass} h-7 min-w-[16rem]`}
+            autoFocus
+          />
+        </label>
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onCommit}
+          disabled={saving}
+          className="h-7 px-3 text-xs font-medium rounded-[4px] text-white bg-[#3BADE5] hover:bg-[#3BADE5]/90 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
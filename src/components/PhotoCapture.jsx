@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { ArrowUpRight, Camera, Circle, Type, Undo2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { toast } from './ui/use-toast';
+import {
+  PHOTO_MAX_BYTES,
+  encodePhoto,
+  formatExifDate,
+  loadPhoto,
+  parseExifDate,
+  readPhotoTimestamp
+} from '../utils/imageCompression';
+import { formatFileSize } from '../utils/fileSize';
+
+const TOOLS = [
+  { id: 'arrow', label: 'Arrow', Icon: ArrowUpRight },
+  { id: 'circle', label: 'Circle', Icon: Circle },
+  { id: 'text', label: 'Text', Icon: Type }
+];
+const COLORS = ['#ff4d4f', '#fadb14', '#ffffff'];
+
+const strokeWidth = (canvas) => Math.max(3, Math.round(Math.max(canvas.width, canvas.height) / 250));
+
+const drawShape = (context, shape, width) => {
+  context.strokeStyle = shape.color;
+  context.fillStyle = shape.color;
+  context.lineWidth = width;
+  context.lineCap = 'round';
+
+  if (shape.type === 'arrow') {
+    const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+    const head = width * 5;
+    context.beginPath();
+    context.moveTo(shape.x1, shape.y1);
+    context.lineTo(shape.x2, shape.y2);
+    [-Math.PI / 7, Math.PI / 7].forEach(offset => {
+      context.moveTo(shape.x2, shape.y2);
+      context.lineTo(
+        shape.x2 - head * Math.cos(angle + offset),
+        shape.y2 - head * Math.sin(angle + offset)
+      );
+    });
+    context.stroke();
+  } else if (shape.type === 'circle') {
+    context.beginPath();
+    context.ellipse(
+      (shape.x1 + shape.x2) / 2,
+      (shape.y1 + shape.y2) / 2,
+      Math.abs(shape.x2 - shape.x1) / 2,
+      Math.abs(shape.y2 - shape.y1) / 2,
+      0, 0, Math.PI * 2
+    );
+    context.stroke();
+  } else if (shape.type === 'text') {
+    context.font = `bold ${width * 7}px sans-serif`;
+    context.textBaseline = 'middle';
+    // Dark outline so the text reads on any background
+    context.lineWidth = width;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.strokeText(shape.text, shape.x1, shape.y1);
+    context.fillText(shape.text, shape.x1, shape.y1);
+  }
+};
+
+const renderPhoto = (target, photo, shapes) => {
+  const context = target.getContext('2d');
+  context.drawImage(photo, 0, 0);
+  const width = strokeWidth(photo);
+  shapes.forEach(shape => drawShape(context, shape, width));
+};
+
+// Takes a photo with the device camera (or picks one on a computer), lets
+// the user mark it up and hands back a compressed JPEG that keeps the time
+// the photo was taken.
+const PhotoCapture = ({ onCapture, disabled = false, label = 'Take Photo' }) => {
+  const inputRef = useRef(null);
+  const canvasRef = useRef(null);
+  const photoRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [exifDate, setExifDate] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [shapes, setShapes] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState(COLORS[0]);
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const close = () => {
+    setFile(null);
+    setReady(false);
+    setShapes([]);
+    setDraft(null);
+    setText('');
+    photoRef.current = null;
+  };
+
+  useEffect(() => {
+    if (!file) return undefined;
+
+    let cancelled = false;
+    const preparePhoto = async () => {
+      try {
+        const [taken, photo] = await Promise.all([readPhotoTimestamp(file), loadPhoto(file)]);
+        if (cancelled) return;
+        // Without EXIF, the moment it was captured is the best we know
+        setExifDate(taken || formatExifDate(new Date(file.lastModified || Date.now())));
+        photoRef.current = photo;
+        setReady(true);
+      } catch (error) {
+        console.error('Error loading photo:', error);
+        toast({
+          title: "Error",
+          description: "Could not open the photo",
+          variant: "destructive",
+        });
+        if (!cancelled) setFile(null);
+      }
+    };
+
+    preparePhoto();
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const redraw = useCallback(() => {
+    const canvas = canvasRef.current;
+    const photo = photoRef.current;
+    if (!canvas || !photo) return;
+    canvas.width = photo.width;
+    canvas.height = photo.height;
+    renderPhoto(canvas, photo, draft ? [...shapes, draft] : shapes);
+  }, [shapes, draft]);
+
+  useEffect(() => {
+    if (ready) redraw();
+  }, [ready, redraw]);
+
+  // Pointer position in photo pixels
+  const pointFor = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvasRef.current.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvasRef.current.height
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    const { x, y } = pointFor(event);
+    if (tool === 'text') {
+      if (text.trim()) setShapes(prev => [...prev, { type: 'text', x1: x, y1: y, text: text.trim(), color }]);
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraft({ type: tool, x1: x, y1: y, x2: x, y2: y, color });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const { x, y } = pointFor(event);
+    setDraft(prev => prev && { ...prev, x2: x, y2: y });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    // Ignore taps that did not draw anything
+    if (Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) > 5) {
+      setShapes(prev => [...prev, draft]);
+    }
+    setDraft(null);
+  };
+
+  const handleAttach = async () => {
+    try {
+      setSaving(true);
+      const output = document.createElement('canvas');
+      output.width = photoRef.current.width;
+      output.height = photoRef.current.height;
+      renderPhoto(output, photoRef.current, shapes);
+
+      const taken = parseExifDate(exifDate) || new Date();
+      const name = `photo_${formatExifDate(taken).replace(/\D/g, '')}.jpg`;
+      const photo = await encodePhoto(output, { exifDate, name });
+      await onCapture(photo);
+      close();
+    } catch (error) {
+      console.error('Error attaching photo:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to attach the photo",
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const [selected] = Array.from(e.target.files);
+    e.target.value = '';
+    if (selected) setFile(selected);
+  };
+
+  const toolButtonClass = (active) => `inline-flex items-center gap-1 h-7 px-2 text-xs rounded-[4px] border ${
+    active ? 'border-[#3BADE5] text-[#3BADE5]' : 'border-[#3BADE5]/20 text-white hover:border-[#3BADE5]/40'
+  }`;
+  const dialogDescriptionId = 'photo-capture-description';
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        className="flex items-center gap-1.5 px-2 py-1 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] text-xs text-white hover:border-[#3BADE5]/40 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Camera className="h-3.5 w-3.5" />
+        {label}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        className="hidden"
+        onChange={handleFileChange}
+        aria-label="Take a photo"
+      />
+
+      <Dialog open={Boolean(file)} onOpenChange={(open) => !open && !saving && close()}>
+        <DialogContent
+          className="max-w-3xl max-h-[95vh] overflow-y-auto bg-[#0B1623]"
+          aria-describedby={dialogDescriptionId}
+        >
+          <DialogHeader>
+            <DialogTitle className="text-sm font-medium text-white">Mark Up Photo</DialogTitle>
+            <p id={dialogDescriptionId} className="text-xs text-white/60">
+              {exifDate ? `Taken ${parseExifDate(exifDate)?.toLocaleString()}. ` : ''}
+              Sent at no more than {formatFileSize(PHOTO_MAX_BYTES)}.
+            </p>
+          </DialogHeader>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {TOOLS.map(({ id, label: toolLabel, Icon }) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setTool(id)}
+                className={toolButtonClass(tool === id)}
+                aria-pressed={tool === id}
+              >
+                <Icon className="h-3.5 w-3.5" />
+                {toolLabel}
+              </button>
+            ))}
+            {tool === 'text' && (
+              <input
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="Type, then tap the photo"
+                className="h-7 w-44 rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5]"
+              />
+            )}
+            <div className="flex items-center gap-1">
+              {COLORS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setColor(option)}
+                  className={`h-5 w-5 rounded-full border-2 ${color === option ? 'border-[#3BADE5]' : 'border-transparent'}`}
+                  style={{ backgroundColor: option }}
+                  aria-label={`Colour ${option}`}
+                />
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setShapes(prev => prev.slice(0, -1))}
+              disabled={shapes.length === 0}
+              className={`${toolButtonClass(false)} ml-auto disabled:opacity-50`}
+            >
+              <Undo2 className="h-3.5 w-3.5" />
+              Undo
+            </button>
+          </div>
+
+          <div className="flex justify-center">
+            {ready ? (
+              <canvas
+                ref={canvasRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => setDraft(null)}
+                className="max-w-full max-h-[60vh] touch-none cursor-crosshair"
+              />
+            ) : (
+              <div className="py-12 text-xs text-white/60">Preparing photo...</div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <button
+              type="button"
+              onClick={close}
+              disabled={saving}
+              className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleAttach}
+              disabled={!ready || saving}
+              className="h-7 px-3 text-xs font-medium rounded-[4px] bg-[#3BADE5] hover:bg-[#3BADE5]/90 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Attaching...' : 'Attach Photo'}
+            </button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default PhotoCapture;
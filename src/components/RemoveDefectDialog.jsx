@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+
+const COPY = {
+  archive: {
+    title: 'Archive Defect',
+    description: 'Archived defects are hidden from the register but can be shown with "Show archived".',
+    confirm: 'Archive',
+    reasonRequired: false
+  },
+  delete: {
+    title: 'Delete Defect',
+    description: 'Deleted defects disappear from the register. The record is kept, with your reason, for the office.',
+    confirm: 'Delete',
+    reasonRequired: true
+  }
+};
+
+// Asks why a defect is being archived or deleted (`kind`)
+const RemoveDefectDialog = ({ isOpen, defect, kind = 'archive', onConfirm, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setReason('');
+  }, [isOpen, defect]);
+
+  const copy = COPY[kind];
+  const canConfirm = !copy.reasonRequired || reason.trim().length > 0;
+
+  const handleConfirm = async () => {
+    try {
+      setSaving(true);
+      await onConfirm(defect, kind, reason.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const dialogDescriptionId = 'remove-defect-description';
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent
+        className="max-w-md bg-[#0B1623]"
+        aria-describedby={dialogDescriptionId}
+      >
+        <DialogHeader>
+          <DialogTitle className="text-sm font-medium text-white">
+            {copy.title}{defect?.Equipments ? ` - ${defect.Equipments}` : ''}
+          </DialogTitle>
+          <p id={dialogDescriptionId} className="text-xs text-white/60">
+            {copy.description}
+          </p>
+        </DialogHeader>
+
+        <div className="space-y-1">
+          <label className="text-xs font-medium text-white/80" htmlFor="remove-defect-reason">
+            Reason{copy.reasonRequired ? '' : ' (optional)'}
+          </label>
+          <textarea
+            id="remove-defect-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={kind === 'delete' ? 'e.g. Duplicate of another entry' : 'e.g. Superseded by drydock work list'}
+            className="w-full h-20 px-2 py-1.5 text-xs rounded-[4px] bg-[#132337] border border-white/10 text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5]"
+          />
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving || !canConfirm}
+            className={`h-7 px-3 text-xs font-medium rounded-[4px] text-white disabled:opacity-50 disabled:cursor-not-allowed ${
+              kind === 'delete' ? 'bg-red-500 hover:bg-red-500/90' : 'bg-[#3BADE5] hover:bg-[#3BADE5]/90'
+            }`}
+          >
+            {saving ? 'Saving...' : copy.confirm}
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RemoveDefectDialog;
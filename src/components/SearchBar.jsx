@@ -1,8 +1,22 @@
 import React from 'react';
 import { Input } from './ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { DUE_STATES } from '../utils/sla';
 
-const SearchBar = ({ onSearch, onFilterStatus, onFilterCriticality, status, criticality }) => {
+const SearchBar = ({
+  onSearch,
+  onFilterStatus,
+  onFilterCriticality,
+  status,
+  criticality,
+  onFilterDue,
+  due = '',
+  equipmentOptions = [],
+  onFilterEquipment,
+  equipment = '',
+  showArchived = false,
+  onToggleArchived
+}) => {
   return (
     <div className="flex items-center justify-between gap-3 px-2 py-2 mb-2">
       <div className="w-full max-w-xs">
@@ -13,7 +27,19 @@ const SearchBar = ({ onSearch, onFilterStatus, onFilterCriticality, status, crit
         />
       </div>
       
-      <div className="flex gap-2">
+      <div className="flex items-center gap-2">
+        {onToggleArchived && (
+          <label className="flex items-center gap-1.5 h-8 px-2 text-xs text-white/80 cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => onToggleArchived(e.target.checked)}
+              className="accent-[#3BADE5]"
+            />
+            Show archived
+          </label>
+        )}
+
         <Select value={status} onValueChange={onFilterStatus}>
           <SelectTrigger className="w-[140px] h-8 text-xs bg-[#132337]/30 border-white/10">
             <SelectValue placeholder="All Status" />
@@ -37,6 +63,34 @@ const SearchBar = ({ onSearch, onFilterStatus, onFilterCriticality, status, crit
             <SelectItem value="Low">Low</SelectItem>
           </SelectContent>
         </Select>
+
+        {onFilterEquipment && (
+          <Select value={equipment} onValueChange={onFilterEquipment}>
+            <SelectTrigger className="w-[160px] h-8 text-xs bg-[#132337]/30 border-white/10">
+              <SelectValue placeholder="All Equipment" />
+            </SelectTrigger>
+            <SelectContent className="text-xs">
+              <SelectItem value="">All Equipment</SelectItem>
+              {equipmentOptions.map(name => (
+                <SelectItem key={name} value={name}>{name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+
+        {onFilterDue && (
+          <Select value={due} onValueChange={onFilterDue}>
+            <SelectTrigger className="w-[140px] h-8 text-xs bg-[#132337]/30 border-white/10">
+              <SelectValue placeholder="All Due Dates" />
+            </SelectTrigger>
+            <SelectContent className="text-xs">
+              <SelectItem value="">All Due Dates</SelectItem>
+              {Object.entries(DUE_STATES).map(([value, { label }]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import React, { useMemo } from 'react';
 import { Card, CardContent } from './ui/card';
 import { BarChart, Bar, Cell, ResponsiveContainer, XAxis, YAxis, Tooltip } from 'recharts';
 import { TrendingUp, TrendingDown } from 'lucide-react';
+import { dueState } from '../utils/sla';
 
 const CustomTooltip = ({ active, payload, label }) => {
   if (active && payload && payload.length) {
@@ -48,11 +49,16 @@ const StatsCards = ({ data }) => {
     const currentRate = (closed / (total || 1)) * 100;
     const rateChange = currentRate - previousRate;
 
+    const overdue = data.filter(item => dueState(item) === 'overdue').length;
+    const dueSoon = data.filter(item => dueState(item) === 'due-soon').length;
+
     return {
       total,
       closed,
       open,
       inProgress,
+      overdue,
+      dueSoon,
       closureRate: (closed / (total || 1)) * 100,
       openRate: (open / (total || 1)) * 100,
       inProgressRate: (inProgress / (total || 1)) * 100,
@@ -122,7 +128,7 @@ const StatsCards = ({ data }) => {
             Status Overview
           </h3>
 
-          <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="grid grid-cols-3 gap-4 mb-6">
             <div className="text-center">
               <div className="text-2xl font-bold text-[#3BADE5]">
                 {statusMetrics.closureRate.toFixed(1)}%
@@ -148,6 +154,19 @@ const StatsCards = ({ data }) => {
                 Total Defects
               </div>
             </div>
+            <div className="text-center">
+              <div className={`text-2xl font-bold ${statusMetrics.overdue > 0 ? 'text-red-400' : 'text-[#f4f4f4]'}`}>
+                {statusMetrics.overdue}
+              </div>
+              <div className="text-xs text-[#f4f4f4]/60 mt-1.5">
+                Overdue
+                {statusMetrics.dueSoon > 0 && (
+                  <span className="ml-2 text-[10px] text-yellow-400">
+                    +{statusMetrics.dueSoon} due soon
+                  </span>
+                )}
+              </div>
+            </div>
           </div>
 
           <div className="space-y-4">
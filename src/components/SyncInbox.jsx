@@ -0,0 +1,219 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { ATTACHMENTS_TABLE } from '../services/attachmentStorage';
+import { COMMENTS_TABLE } from '../services/defectComments';
+
+const CHANGE_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted'
+};
+
+const ATTACHMENT_LABELS = {
+  create: 'File added',
+  delete: 'File removed'
+};
+
+const changeLabel = (change) => {
+  if (change.table === ATTACHMENTS_TABLE) {
+    return `${ATTACHMENT_LABELS[change.type] || change.type}: ${change.payload?.file_name || ''}`;
+  }
+  if (change.table === COMMENTS_TABLE) {
+    const body = change.payload?.body || '';
+    return `Comment: ${body.length > 40 ? `${body.slice(0, 40)}...` : body}`;
+  }
+  return CHANGE_LABELS[change.type] || change.type;
+};
+
+export const SYNC_STATE_STYLES = {
+  pending: { label: 'Pending', className: 'bg-yellow-500/20 text-yellow-300' },
+  failed: { label: 'Failed', className: 'bg-red-500/20 text-red-300' },
+  conflict: { label: 'Conflict', className: 'bg-orange-500/20 text-orange-300' }
+};
+
+export const operationState = (operation) => {
+  if (operation.conflict) return 'conflict';
+  return operation.attempts > 0 ? 'failed' : 'pending';
+};
+
+const STATE_RANK = { pending: 0, failed: 1, conflict: 2 };
+
+// Worst sync state per record, keyed by localId
+export const syncStatesByRecord = (operations) => operations.reduce((acc, operation) => {
+  const state = operationState(operation);
+  const current = acc[operation.localId];
+  if (!current || STATE_RANK[state] > STATE_RANK[current.state]) {
+    acc[operation.localId] = { state, error: operation.lastError };
+  }
+  return acc;
+}, {});
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const SyncInbox = ({
+  isOpen,
+  operations = [],
+  defects = [],
+  vessels = {},
+  isOnline,
+  onRetry,
+  onEdit,
+  onDiscard,
+  onResolve,
+  onClose
+}) => {
+  const [busy, setBusy] = useState(null);
+
+  // One entry per record, in the order its first change was queued
+  const groups = useMemo(() => {
+    const byRecord = new Map();
+    operations.forEach(operation => {
+      if (!byRecord.has(operation.localId)) byRecord.set(operation.localId, []);
+      byRecord.get(operation.localId).push(operation);
+    });
+    return Array.from(byRecord, ([localId, changes]) => {
+      const record = defects.find(defect => defect.localId === localId);
+      const latest = changes[changes.length - 1];
+      return {
+        localId,
+        changes,
+        record,
+        summary: record || latest.payload || latest.base || {},
+        deleted: changes.some(change => change.type === 'delete' && change.table !== ATTACHMENTS_TABLE),
+        conflict: changes.find(change => change.conflict)
+      };
+    });
+  }, [operations, defects]);
+
+  const run = async (localId, action) => {
+    try {
+      setBusy(localId);
+      await action();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDiscard = (group) => {
+    const confirmed = window.confirm(
+      group.changes.length > 1
+        ? `Discard all ${group.changes.length} unsynced changes to this defect?`
+        : 'Discard this unsynced change?'
+    );
+    if (confirmed) run(group.localId, () => onDiscard(group.localId));
+  };
+
+  const dialogDescriptionId = 'sync-inbox-description';
+  const buttonClass = 'h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent
+        className="max-w-3xl max-h-[90vh] overflow-y-auto bg-[#0B1623]"
+        aria-describedby={dialogDescriptionId}
+      >
+        <DialogHeader>
+          <DialogTitle className="text-sm font-medium text-white">
+            Unsynced Changes
+          </DialogTitle>
+          <p id={dialogDescriptionId} className="text-xs text-white/60">
+            {groups.length === 0
+              ? 'Everything has reached the office.'
+              : 'These changes are saved on this computer but have not reached the office yet.'}
+          </p>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {groups.map(group => {
+            const state = syncStatesByRecord(group.changes)[group.localId].state;
+            const isBusy = busy === group.localId;
+
+            return (
+              <div key={group.localId} className="rounded-[4px] border border-white/10 bg-[#132337]/50">
+                <div className="flex items-start justify-between gap-3 px-3 py-2 border-b border-white/10">
+                  <div className="min-w-0">
+                    <div className="text-xs font-medium text-white truncate">
+                      {[group.summary.defect_ref, group.summary.Equipments].filter(Boolean).join(' - ') || 'Untitled defect'}
+                    </div>
+                    <div className="text-[11px] text-white/60 truncate">
+                      {vessels[group.summary.vessel_id] || group.summary.vessel_name || ''}
+                      {group.summary.Description ? ` - ${group.summary.Description}` : ''}
+                    </div>
+                  </div>
+                  <span className={`shrink-0 px-2 py-0.5 rounded-full text-[10px] ${SYNC_STATE_STYLES[state].className}`}>
+                    {SYNC_STATE_STYLES[state].label}
+                  </span>
+                </div>
+
+                <table className="w-full text-xs text-white">
+                  <tbody>
+                    {group.changes.map(change => (
+                      <tr key={change.seq} className="border-b border-white/5 align-top">
+                        <td className="px-3 py-1.5 w-32 text-white/80 break-words">{changeLabel(change)}</td>
+                        <td className="px-3 py-1.5 w-40 text-white/60">
+                          <div>Saved {formatTime(change.createdAt)}</div>
+                          {change.lastAttemptAt && (
+                            <div>Tried {formatTime(change.lastAttemptAt)} ({change.attempts}x)</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-1.5 break-words">
+                          {change.conflict
+                            ? 'Also changed ashore - needs review'
+                            : change.lastError
+                              ? <span className="text-red-300">{change.lastError}</span>
+                              : <span className="text-white/60">Waiting to sync</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="flex justify-end gap-2 px-3 py-2">
+                  {group.conflict ? (
+                    <button
+                      onClick={() => onResolve(group.conflict)}
+                      disabled={isBusy}
+                      className={buttonClass}
+                    >
+                      Resolve
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => run(group.localId, () => onRetry(group.localId))}
+                      disabled={isBusy || !isOnline}
+                      title={isOnline ? '' : 'Available when back online'}
+                      className={buttonClass}
+                    >
+                      {isBusy ? 'Working...' : 'Retry'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onEdit(group.record)}
+                    disabled={isBusy || group.deleted || !group.record || Boolean(group.conflict)}
+                    className={buttonClass}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(group)}
+                    disabled={isBusy}
+                    className="h-7 px-3 text-xs font-medium rounded-[4px] border border-red-500/30 hover:border-red-500/60 text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Discard
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SyncInbox;
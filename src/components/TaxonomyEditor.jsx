@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from 'react';
+import { Pencil, Plus } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { toast } from './ui/use-toast';
+import { LEVEL_LABELS, MAX_LEVEL, flattenTaxonomy } from '../utils/equipmentTaxonomy';
+
+const inputClass = 'h-7 w-full rounded-[4px] border border-[#3BADE5]/20 bg-[#132337] px-2 text-xs text-white focus:outline-none focus:ring-1 focus:ring-[#3BADE5]';
+const actionClass = 'px-1.5 py-0.5 rounded-[4px] text-[11px] text-white/60 hover:text-[#3BADE5] hover:bg-white/5 disabled:opacity-40';
+
+// Admin screen for the equipment taxonomy: add systems, sub-systems and
+// components, rename them, and retire the ones no longer in use. Retired
+// entries stay on defects already raised against them but are no longer
+// offered in the picker.
+const TaxonomyEditor = ({ isOpen, onClose, taxonomy, service, onChanged }) => {
+  // { mode: 'add' | 'rename', parentId, entryId, name }
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const entries = useMemo(() => flattenTaxonomy(taxonomy, { includeRetired: true }), [taxonomy]);
+
+  const nextSortOrder = (parentId) => Math.max(0, ...taxonomy
+    .filter(entry => (entry.parent_id || null) === parentId)
+    .map(entry => entry.sort_order)) + 10;
+
+  const run = async (action, failure) => {
+    try {
+      setBusy(true);
+      await action();
+      setDraft(null);
+      await onChanged();
+    } catch (error) {
+      console.error(`Error ${failure}:`, error);
+      toast({
+        title: "Error",
+        description: error.message || `Failed ${failure}`,
+        variant: "destructive",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!draft?.name.trim()) return;
+    if (draft.mode === 'add') {
+      run(() => service.add({
+        name: draft.name,
+        parentId: draft.parentId,
+        sortOrder: nextSortOrder(draft.parentId)
+      }), 'adding equipment');
+    } else {
+      run(() => service.update(draft.entryId, { name: draft.name.trim() }), 'renaming equipment');
+    }
+  };
+
+  const renderDraft = (depth) => (
+    <li className="flex items-center gap-2 py-1" style={{ paddingLeft: `${depth}rem` }}>
+      <input
+        value={draft.name}
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') handleSubmit();
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        placeholder={draft.mode === 'add' ? 'Name' : undefined}
+        className={inputClass}
+        autoFocus
+        disabled={busy}
+        aria-label="Equipment name"
+      />
+      <button onClick={handleSubmit} disabled={busy || !draft.name.trim()} className={actionClass}>
+        Save
+      </button>
+      <button onClick={() => setDraft(null)} disabled={busy} className={actionClass}>
+        Cancel
+      </button>
+    </li>
+  );
+
+  return (
+    <Dialog open={isOpen} onOpenChange={() => !busy && onClose()}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto bg-[#0B1623]" aria-describedby="taxonomy-editor-description">
+        <DialogHeader>
+          <DialogTitle className="text-sm font-medium text-white">Equipment</DialogTitle>
+          <p id="taxonomy-editor-description" className="text-xs text-white/60">
+            Systems, sub-systems and components offered when raising a defect.
+          </p>
+        </DialogHeader>
+
+        {!navigator.onLine && (
+          <div className="text-xs text-yellow-300">Equipment can only be changed while online</div>
+        )}
+
+        <ul className="text-xs">
+          {entries.map(entry => (
+            <React.Fragment key={entry.id}>
+              {draft?.mode === 'rename' && draft.entryId === entry.id ? renderDraft(entry.depth) : (
+                <li
+                  className={`flex items-center gap-2 py-1 border-b border-white/5 ${entry.inactive ? 'opacity-50' : ''}`}
+                  style={{ paddingLeft: `${entry.depth}rem` }}
+                >
+                  <span className="truncate text-white">{entry.name}</span>
+                  <span className="shrink-0 text-[10px] text-white/40">
+                    {LEVEL_LABELS[entry.level]}{!entry.active ? ' (retired)' : ''}
+                  </span>
+                  <div className="ml-auto flex items-center gap-0.5 shrink-0">
+                    {entry.level < MAX_LEVEL && !entry.inactive && (
+                      <button
+                        onClick={() => setDraft({ mode: 'add', parentId: entry.id, name: '' })}
+                        disabled={busy || entry.builtIn}
+                        className={actionClass}
+                        title={`Add ${LEVEL_LABELS[entry.level + 1].toLowerCase()}`}
+                      >
+                        <Plus className="h-3 w-3" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setDraft({ mode: 'rename', entryId: entry.id, name: entry.name })}
+                      disabled={busy || entry.builtIn}
+                      className={actionClass}
+                      title="Rename"
+                    >
+                      <Pencil className="h-3 w-3" />
+                    </button>
+                    <button
+                      onClick={() => run(
+                        () => service.update(entry.id, { active: !entry.active }),
+                        entry.active ? 'retiring equipment' : 'restoring equipment'
+                      )}
+                      disabled={busy || entry.builtIn || (entry.inactive && entry.active)}
+                      className={actionClass}
+                    >
+                      {entry.active ? 'Retire' : 'Restore'}
+                    </button>
+                  </div>
+                </li>
+              )}
+              {draft?.mode === 'add' && draft.parentId === entry.id && renderDraft(entry.depth + 1)}
+            </React.Fragment>
+          ))}
+          {draft?.mode === 'add' && draft.parentId === null && renderDraft(0)}
+        </ul>
+
+        <div className="flex justify-between gap-2 pt-2">
+          <button
+            onClick={() => setDraft({ mode: 'add', parentId: null, name: '' })}
+            disabled={busy || Boolean(draft)}
+            className="inline-flex items-center gap-1 h-7 px-3 text-xs font-medium rounded-[4px] border border-[#3BADE5]/20 hover:border-[#3BADE5]/40 text-white disabled:opacity-50"
+          >
+            <Plus className="h-3.5 w-3.5" />
+            Add System
+          </button>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            className="h-7 px-3 text-xs font-medium rounded-[4px] bg-[#3BADE5] hover:bg-[#3BADE5]/90 text-white disabled:opacity-50"
+          >
+            Done
+          </button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TaxonomyEditor;
@@ -0,0 +1,120 @@
+// src/components/UnlockCache.jsx
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Input } from './ui/input';
+
+// Shown when the session outlived the page (or the password changed) and
+// the encrypted offline data needs a password before it can be read.
+// `mode` is 'locked' for the current password, 'rekey' for the previous one.
+const UnlockCache = ({ email, mode, onUnlock, onDiscard, onSignOut }) => {
+  const [loading, setLoading] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const isRekey = mode === 'rekey';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      setLoading(true);
+
+      const unlocked = await onUnlock(password);
+      if (!unlocked) {
+        setError('Incorrect password');
+      }
+      setPassword('');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    const confirmed = window.confirm(
+      'Offline changes that have not been synced will be lost. Continue?'
+    );
+    if (!confirmed) return;
+
+    try {
+      setLoading(true);
+      await onDiscard();
+    } catch (error) {
+      setError(error.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold text-center">
+            {isRekey ? 'Password Changed' : 'Unlock Offline Data'}
+          </CardTitle>
+          <p className="text-sm text-center opacity-70">
+            {isRekey
+              ? 'The offline data on this computer was protected with your previous password. Enter it once to carry the data over.'
+              : `Enter the password for ${email} to open the offline data on this computer.`}
+          </p>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <div className="mb-4 p-4 text-sm rounded bg-red-500/10 border border-red-500/20 text-red-500">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="unlock-password">
+                {isRekey ? 'Previous password' : 'Password'}
+              </label>
+              <Input
+                id="unlock-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full px-4 py-2 text-sm font-medium text-white bg-primary hover:bg-primary/90 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+
+          <div className="flex justify-between mt-4 text-sm">
+            <button
+              type="button"
+              onClick={onSignOut}
+              disabled={loading}
+              className="opacity-70 hover:opacity-100"
+            >
+              Sign out
+            </button>
+            {isRekey && (
+              <button
+                type="button"
+                onClick={handleDiscard}
+                disabled={loading}
+                className="text-red-500 opacity-80 hover:opacity-100"
+              >
+                Discard offline data
+              </button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default UnlockCache;
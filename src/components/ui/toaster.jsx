@@ -0,0 +1,36 @@
+import * as React from "react"
+import {
+  Toast,
+  ToastClose,
+  ToastDescription,
+  ToastTitle,
+  ToastViewport,
+} from "./toast"
+import { useToast } from "./use-toast"
+
+// Renders the toasts queued through useToast. Lives inside App's
+// ToastProvider.
+export function Toaster() {
+  const { toasts } = useToast()
+
+  return (
+    <>
+      {toasts.map(({ id, title, description, action, variant, ...props }) => (
+        <Toast
+          key={id}
+          variant={variant}
+          className={variant === "destructive" ? "" : "border-white/10 bg-[#132337] text-white"}
+          {...props}
+        >
+          <div className="grid gap-1">
+            {title && <ToastTitle>{title}</ToastTitle>}
+            {description && <ToastDescription>{description}</ToastDescription>}
+          </div>
+          {action}
+          <ToastClose />
+        </Toast>
+      ))}
+      <ToastViewport />
+    </>
+  )
+}
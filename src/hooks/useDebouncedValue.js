@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+
+// `value`, but only once it has stopped changing for `delay` ms. Lets an
+// input update on every keystroke while the expensive work behind it waits.
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,125 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// Windowed rendering for a long list inside a scrolling element: only the
+// rows in view, plus `overscan` pixels either side, are rendered, with
+// spacers of the right height standing in for the rest. Rows need not all
+// be the same height - each rendered one is measured (an expanded defect
+// grows, say) and `estimate` is used for those never seen.
+//
+// Returns the [start, end) slice of `keys` to render, the `before` and
+// `after` spacer heights, and `measure(key)` to pass as the ref of the
+// element wrapping each row.
+const useVirtualRows = ({ keys, scrollRef, estimate, overscan = 400 }) => {
+  const nodes = useRef(new Map());
+  const refs = useRef(new Map());
+  const observer = useRef(null);
+  const frame = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  const [heights, setHeights] = useState(() => new Map());
+
+  // Scrolling and resizing are read at most once per frame
+  const schedule = useCallback((update) => {
+    if (frame.current) return;
+    frame.current = requestAnimationFrame(() => {
+      frame.current = null;
+      update();
+    });
+  }, []);
+
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return undefined;
+
+    const read = () => setViewport({ top: element.scrollTop, height: element.clientHeight });
+    const handleScroll = () => schedule(read);
+    read();
+
+    element.addEventListener('scroll', handleScroll, { passive: true });
+    const resize = new ResizeObserver(handleScroll);
+    resize.observe(element);
+    return () => {
+      element.removeEventListener('scroll', handleScroll);
+      resize.disconnect();
+    };
+  }, [scrollRef, schedule]);
+
+  useEffect(() => {
+    observer.current = new ResizeObserver(entries => {
+      const measured = entries
+        .map(entry => [entry.target.dataset.rowKey, Math.round(entry.target.getBoundingClientRect().height)])
+        .filter(([key, height]) => key && height);
+
+      setHeights(previous => {
+        const changed = measured.filter(([key, height]) => previous.get(key) !== height);
+        if (changed.length === 0) return previous;
+        const next = new Map(previous);
+        changed.forEach(([key, height]) => next.set(key, height));
+        return next;
+      });
+    });
+    nodes.current.forEach(node => observer.current.observe(node));
+
+    return () => {
+      observer.current.disconnect();
+      observer.current = null;
+      if (frame.current) cancelAnimationFrame(frame.current);
+    };
+  }, []);
+
+  // One ref callback per key, so React does not detach and reattach it on
+  // every render
+  const measure = useCallback((key) => {
+    if (!refs.current.has(key)) {
+      refs.current.set(key, (node) => {
+        const previous = nodes.current.get(key);
+        if (previous) {
+          observer.current?.unobserve(previous);
+          nodes.current.delete(key);
+        }
+        if (node) {
+          node.dataset.rowKey = key;
+          nodes.current.set(key, node);
+          observer.current?.observe(node);
+        } else {
+          refs.current.delete(key);
+        }
+      });
+    }
+    return refs.current.get(key);
+  }, []);
+
+  // offsets[i] is where row i starts; offsets[keys.length] is the total
+  const offsets = useMemo(() => {
+    const result = new Array(keys.length + 1);
+    result[0] = 0;
+    keys.forEach((key, index) => {
+      result[index + 1] = result[index] + (heights.get(key) ?? estimate);
+    });
+    return result;
+  }, [keys, heights, estimate]);
+
+  // Last row starting at or before `position`
+  const rowAt = (position) => {
+    let low = 0;
+    let high = keys.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (offsets[middle] <= position) low = middle; else high = middle - 1;
+    }
+    return Math.max(0, low);
+  };
+
+  const total = offsets[keys.length];
+  const start = keys.length ? rowAt(viewport.top - overscan) : 0;
+  const end = keys.length ? Math.min(keys.length, rowAt(viewport.top + viewport.height + overscan) + 1) : 0;
+
+  return {
+    start,
+    end,
+    before: offsets[start],
+    after: total - offsets[end],
+    measure
+  };
+};
+
+export default useVirtualRows;
@@ -0,0 +1,93 @@
+import { isProvisionalId } from './OfflineSync';
+import {
+  ATTACHMENTS_TABLE,
+  buildAttachment,
+  deleteAttachment,
+  downloadAttachment,
+  fetchAttachments,
+  uploadAttachment
+} from './attachmentStorage';
+import { compressPhoto } from '../utils/imageCompression';
+
+// Files attached to defects. Online, and when nothing is queued ahead for the
+// defect, changes go straight to storage; otherwise they wait in the outbox
+// (see OfflineSync.queueAttachment) and go out with the next sync.
+class AttachmentService {
+  constructor(offlineSync) {
+    this.offlineSync = offlineSync;
+  }
+
+  async canSendNow(defect) {
+    return navigator.onLine &&
+      !isProvisionalId(defect.id) &&
+      !(await this.offlineSync.hasPendingChanges(defect.localId));
+  }
+
+  // What is attached to a defect as far as this computer knows: the server's
+  // list (when online) less anything queued for removal, plus files still
+  // waiting to upload. Pending ones are flagged `pending`.
+  async list(defect) {
+    const [queued, pending] = await Promise.all([
+      this.offlineSync.getRecordChanges(defect.localId),
+      this.offlineSync.getPendingAttachments(defect.localId)
+    ]);
+    const removing = new Set(queued
+      .filter(operation => operation.table === ATTACHMENTS_TABLE && operation.type === 'delete')
+      .map(operation => operation.recordId));
+
+    const uploaded = navigator.onLine && !isProvisionalId(defect.id)
+      ? await fetchAttachments(defect.id)
+      : [];
+
+    return {
+      attachments: [
+        ...uploaded.filter(attachment => !removing.has(attachment.id)),
+        ...pending.map(attachment => ({ ...attachment, pending: true }))
+      ],
+      complete: navigator.onLine || isProvisionalId(defect.id)
+    };
+  }
+
+  // Both resolve to true when the change went to the outbox instead. A file
+  // that fails to upload is queued rather than lost - a ship's connection
+  // often drops halfway through one.
+  async add(defect, original) {
+    return (await this.attach(defect, original)).queued;
+  }
+
+  // Like add, for callers that also need the attachment row.
+  async attach(defect, original) {
+    // Photos are shrunk to the size budget before they are stored or sent
+    const file = await compressPhoto(original);
+    const attachment = buildAttachment(defect, file);
+    if (await this.canSendNow(defect)) {
+      try {
+        await uploadAttachment(attachment, file);
+        return { attachment, queued: false };
+      } catch (error) {
+        console.error('Error uploading attachment, queueing it:', error);
+      }
+    }
+    await this.offlineSync.queueAttachment(attachment, file, defect.localId);
+    return { attachment, queued: true };
+  }
+
+  async remove(defect, attachment) {
+    if (!attachment.pending && await this.canSendNow(defect)) {
+      await deleteAttachment(attachment);
+      return false;
+    }
+    await this.offlineSync.queueAttachmentRemoval(attachment, defect.localId);
+    return true;
+  }
+
+  // The file itself, from this computer while it waits to upload.
+  async open(attachment) {
+    if (attachment.pending) {
+      return this.offlineSync.readAttachmentBlob(attachment.id);
+    }
+    return downloadAttachment(attachment);
+  }
+}
+
+export default AttachmentService;
@@ -0,0 +1,59 @@
+import { isProvisionalId } from './OfflineSync';
+import { buildComment, fetchComments, postComment, threadComments } from './defectComments';
+
+// Comment threads on defects. Like attachments, a comment goes straight to
+// the server when it can and otherwise waits in the outbox behind its defect
+// (see OfflineSync.queueComment).
+class CommentService {
+  constructor(offlineSync, attachmentService) {
+    this.offlineSync = offlineSync;
+    this.attachmentService = attachmentService;
+  }
+
+  async canSendNow(defect) {
+    return navigator.onLine &&
+      !isProvisionalId(defect.id) &&
+      !(await this.offlineSync.hasPendingChanges(defect.localId));
+  }
+
+  // The threads as far as this computer knows: the server's comments (when
+  // online) plus those still waiting to be posted, flagged `pending`.
+  async list(defect) {
+    const pending = await this.offlineSync.getPendingComments(defect.localId);
+    const posted = navigator.onLine && !isProvisionalId(defect.id)
+      ? await fetchComments(defect.id)
+      : [];
+    const postedIds = new Set(posted.map(comment => comment.id));
+
+    return {
+      threads: threadComments([
+        ...posted,
+        ...pending
+          .filter(comment => !postedIds.has(comment.id))
+          .map(comment => ({ ...comment, pending: true }))
+      ]),
+      complete: navigator.onLine || isProvisionalId(defect.id)
+    };
+  }
+
+  // Resolves to true when the comment (or its file) went to the outbox. A
+  // comment whose file is queued is queued too, so it never arrives before
+  // the file it refers to.
+  async post(defect, { body, parentId = null, file = null }) {
+    const upload = file ? await this.attachmentService.attach(defect, file) : null;
+    const comment = buildComment(defect, { body, parentId, attachment: upload?.attachment });
+
+    if (!upload?.queued && await this.canSendNow(defect)) {
+      try {
+        await postComment(comment);
+        return false;
+      } catch (error) {
+        console.error('Error posting comment, queueing it:', error);
+      }
+    }
+    await this.offlineSync.queueComment(comment, defect.localId);
+    return true;
+  }
+}
+
+export default CommentService;
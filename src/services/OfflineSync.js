@@ -1,55 +1,393 @@
 import { supabase } from '../supabaseClient';
+import { pickSyncFields, changedFields } from '../utils/defectFields';
+import { workflowErrors } from '../utils/defectWorkflow';
+import {
+  DB_VERSION,
+  openDatabase,
+  requestToPromise,
+  transactionDone,
+  withIndexFields
+} from './offlineSchema';
+import { removeAccount } from './accountRegistry';
+import {
+  createCacheKey,
+  openBlob,
+  openRecord,
+  rewrapCacheKey,
+  sealBlob,
+  sealRecord,
+  unlockCacheKey
+} from './cacheCrypto';
+import { ATTACHMENTS_TABLE, deleteAttachment, uploadAttachment } from './attachmentStorage';
+import { COMMENTS_TABLE, postComment } from './defectComments';
+
+export const DEFECTS_TABLE = 'defects register';
+const TOMBSTONES_TABLE = 'defect_tombstones';
+const PROVISIONAL_ID_PREFIX = 'offline_';
+const PAGE_SIZE = 1000;
+
+// A change is stamped with when its transaction began but only shows once it
+// commits, so a slow one can land behind a checkpoint already taken. Each
+// delta reads again from this far before it; a row read twice merges once.
+const CHECKPOINT_OVERLAP_MS = 5 * 60 * 1000;
+
+// A value for a PostgREST `or` filter, quoted since timestamps hold the
+// separators it uses
+const filterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const LEGACY_DB_NAME = 'defect-manager-db';
+const CACHE_STORES = ['defects', 'outbox', 'idMap', 'meta'];
+
+// Shared with public/service-worker.js, which flushes the same outbox. The
+// sync tag and lock carry the user id so the worker knows whose cache to open.
+export const BACKGROUND_SYNC_TAG = 'defect-outbox';
+const OUTBOX_LOCK = 'defect-outbox';
+// Where earlier versions stored the worker's session in plain text
+const BACKGROUND_AUTH_KEY = 'backgroundSyncAuth';
+const BACKGROUND_REPORT_KEY = 'backgroundSyncReport';
+const CACHE_KEY_MESSAGE = 'CACHE_KEY';
+
+// The wrapped cache key lives in the meta store. Records keep only their keys
+// and index columns readable; everything else is sealed (see cacheCrypto.js).
+const CACHE_KEY_META = 'cacheKey';
+const DEFECT_CLEAR_FIELDS = ['localId', 'id', 'vessel_id', '_status', '_criticality', '_dateReported', 'lastModified'];
+const OUTBOX_CLEAR_FIELDS = [
+  'seq', 'type', 'table', 'localId', 'recordId', 'attempts',
+  'lastError', 'lastAttemptAt', 'createdAt', 'updatedAt'
+];
+const ATTACHMENT_CLEAR_FIELDS = ['id', 'localId'];
+
+// Columns only the server writes. They are taken from its copy of a record
+// even while later edits to it are still queued.
+const SERVER_ASSIGNED_FIELDS = ['defect_ref'];
+
+// Payload columns that point at a defect and must follow it when its
+// provisional id is swapped for the server one.
+const DEFECT_REFERENCE_FIELDS = ['defect_id', 'duplicate_of'];
+
+export const cacheDbName = (userId) => `${LEGACY_DB_NAME}:${userId}`;
+
+export const isProvisionalId = (id) =>
+  typeof id === 'string' && id.startsWith(PROVISIONAL_ID_PREFIX);
+
+export const createProvisionalId = () =>
+  `${PROVISIONAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+// Drops the bookkeeping fields we keep next to a cached defect so only
+// real columns are sent to Supabase.
+const toServerPayload = (record) => Object.fromEntries(
+  Object.entries(record).filter(([key]) =>
+    key !== 'localId' && key !== 'lastModified' && !key.startsWith('_')
+  )
+);
+
+// Whether `record` can be folded into `last`, the newest queued change to
+// it, rather than queued behind it. Only a defect change can take it: an
+// upload or comment queued since must keep its own payload. And the server
+// checks each write against the status workflow, so the merged change must
+// still be a legal move from where `last` started: `previous`, the change
+// queued before it, its base, or nothing for a defect not yet created.
+export const canMergeChange = (last, previous, record) => {
+  if (!last || last.table !== DEFECTS_TABLE || last.conflict || last.type === 'delete') return false;
+  const start = last.type === 'create'
+    ? null
+    : previous?.payload || last.base || null;
+  if (last.type !== 'create' && !start) return true;
+  return workflowErrors(start, toServerPayload(record)).length === 0;
+};
+
+// Tells the history trigger (see the defect_history migration) where and when
+// a queued change was made, rather than when it finally synced.
+const withChangeHeaders = (query, operation) => query
+  .setHeader('x-change-origin', operation.origin || 'offline')
+  .setHeader('x-changed-at', operation.changedAt || operation.createdAt);
+
+const rewriteOperationIds = (operation, { provisionalId, serverId, fromLocalId, toLocalId }) => {
+  const swap = (value) => (value === provisionalId ? serverId : value);
+  const payload = operation.payload && Object.fromEntries(
+    Object.entries(operation.payload).map(([key, value]) => (
+      key === 'id' || DEFECT_REFERENCE_FIELDS.includes(key) ? [key, swap(value)] : [key, value]
+    ))
+  );
+
+  return {
+    ...operation,
+    localId: operation.localId === fromLocalId ? toLocalId : operation.localId,
+    recordId: swap(operation.recordId),
+    payload
+  };
+};
 
 class OfflineSync {
   constructor() {
-    this.dbName = 'defect-manager-db';
-    this.dbVersion = 1;
+    this.userId = null;
+    this.dbName = null;
+    this.dbVersion = DB_VERSION;
+    this.dbPromise = null;
+    this.cacheKey = null;
+    this.backgroundAuth = null;
+    this.switching = Promise.resolve();
   }
 
-  async initDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
+  // Binds the cache to one account. Every user gets a database of their own,
+  // so nothing cached for one login can be read while another is signed in.
+  // Concurrent calls for the same user share one switch.
+  async setUser(userId) {
+    if (this.userId === (userId || null)) return this.switching;
+
+    this.lock();
+    this.backgroundAuth = null;
+    const closing = this.close();
+    this.userId = userId || null;
+    this.dbName = userId ? cacheDbName(userId) : null;
+
+    this.switching = closing.then(() => userId && this.adoptLegacyCache(userId));
+    return this.switching;
+  }
 
-      request.onerror = () => reject(request.error);
+  async close() {
+    const pending = this.dbPromise;
+    this.dbPromise = null;
+    if (pending) {
+      const db = await pending.catch(() => null);
+      db?.close();
+    }
+  }
+
+  // Before partitioning there was one database shared by every login. Its
+  // contents move to the user it belonged to - known from the session the
+  // background sync left in it - and it is deleted either way.
+  async adoptLegacyCache(userId) {
+    const legacy = await new Promise((resolve) => {
+      const request = indexedDB.open(LEGACY_DB_NAME);
+      request.onupgradeneeded = () => request.transaction.abort();
       request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+    if (!legacy) return;
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        if (!db.objectStoreNames.contains('defects')) {
-          db.createObjectStore('defects', { 
-            keyPath: 'localId' 
-          });
+    try {
+      const stores = CACHE_STORES.filter(name => legacy.objectStoreNames.contains(name));
+      if (stores.length === CACHE_STORES.length) {
+        const tx = legacy.transaction(stores, 'readonly');
+        const auth = await requestToPromise(tx.objectStore('meta').get(BACKGROUND_AUTH_KEY));
+
+        if (auth?.value?.userId === userId) {
+          const contents = {};
+          for (const name of stores) {
+            contents[name] = await requestToPromise(tx.objectStore(name).getAll());
+          }
+
+          const db = await this.initDB();
+          const copy = db.transaction(stores, 'readwrite');
+          stores.forEach(name => contents[name].forEach(record => copy.objectStore(name).put(record)));
+          await transactionDone(copy);
         }
-      };
-    });
+      }
+    } catch (error) {
+      console.error('Error adopting legacy offline cache:', error);
+    } finally {
+      legacy.close();
+      indexedDB.deleteDatabase(LEGACY_DB_NAME);
+    }
+  }
+
+  // Removes an account's cache from this computer entirely.
+  async forgetUser(userId) {
+    if (this.userId === userId) {
+      this.lock();
+      await this.close();
+      this.userId = null;
+      this.dbName = null;
+    }
+    await requestToPromise(indexedDB.deleteDatabase(cacheDbName(userId)));
+    await removeAccount(userId);
+  }
+
+  isUnlocked() {
+    return Boolean(this.cacheKey);
+  }
+
+  // Opens the current user's cache with their password, creating its key on
+  // first use. After a password change the cache still opens with the old
+  // one: pass it as `previousPassword` to re-wrap the key. Resolves to false
+  // when the password does not fit.
+  async unlock(password, previousPassword = null) {
+    const keyRecord = await this.getMeta(CACHE_KEY_META);
+    let unlocked;
+
+    if (!keyRecord) {
+      unlocked = await createCacheKey(password);
+    } else if (previousPassword) {
+      unlocked = await rewrapCacheKey(previousPassword, password, keyRecord);
+    } else {
+      const key = await unlockCacheKey(password, keyRecord);
+      unlocked = key && { key, keyRecord };
+    }
+    if (!unlocked) return false;
+
+    if (unlocked.keyRecord !== keyRecord) {
+      await this.setMeta(CACHE_KEY_META, unlocked.keyRecord);
+    }
+    this.cacheKey = unlocked.key;
+    await this.sealPlainRecords();
+    this.shareCacheKey();
+    return true;
+  }
+
+  // Forgets the key, here and in the service worker.
+  lock() {
+    if (!this.cacheKey) return;
+    this.cacheKey = null;
+    this.shareCacheKey();
+  }
+
+  // The service worker flushes the outbox with its own copy of the key and
+  // session, held in memory only. It loses them whenever the browser stops
+  // the worker, so they are handed over again with every queued change.
+  async shareCacheKey() {
+    const message = {
+      type: CACHE_KEY_MESSAGE,
+      userId: this.userId,
+      key: this.cacheKey,
+      auth: this.cacheKey ? this.backgroundAuth : null
+    };
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      registration?.active?.postMessage(message);
+    } catch (error) {
+      console.error('Error sharing cache key with service worker:', error);
+    }
+  }
+
+  requireKey() {
+    if (!this.cacheKey) {
+      throw new Error('Offline cache is locked');
+    }
+    return this.cacheKey;
+  }
+
+  sealDefect(record) {
+    return sealRecord(this.requireKey(), withIndexFields(record), DEFECT_CLEAR_FIELDS);
+  }
+
+  sealOperation(operation) {
+    return sealRecord(this.requireKey(), operation, OUTBOX_CLEAR_FIELDS);
+  }
+
+  openStored(stored) {
+    return stored ? openRecord(this.requireKey(), stored) : stored;
+  }
+
+  // Decrypting is asynchronous and an IndexedDB transaction commits as soon
+  // as it is left waiting on anything else, so records are read and opened
+  // first and changes are sealed before the transaction that writes them.
+  async readOne(storeName, key) {
+    const db = await this.initDB();
+    const tx = db.transaction(storeName, 'readonly');
+    return this.openStored(await requestToPromise(tx.objectStore(storeName).get(key)));
+  }
+
+  async readAll(storeName, { index = null, range = null } = {}) {
+    const db = await this.initDB();
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const source = index ? store.index(index) : store;
+    const stored = (await requestToPromise(source.getAll(range))) || [];
+    return Promise.all(stored.map(record => this.openStored(record)));
+  }
+
+  // Anything cached before encryption (or adopted from the shared legacy
+  // database) is still plain text; it is sealed as soon as there is a key.
+  // The session earlier versions stored for the service worker is removed.
+  async sealPlainRecords() {
+    const db = await this.initDB();
+    const read = db.transaction(['defects', 'outbox', 'meta'], 'readonly');
+    const [defects, operations, storedAuth] = await Promise.all([
+      requestToPromise(read.objectStore('defects').getAll()),
+      requestToPromise(read.objectStore('outbox').getAll()),
+      requestToPromise(read.objectStore('meta').get(BACKGROUND_AUTH_KEY))
+    ]);
+
+    const [sealedDefects, sealedOperations] = await Promise.all([
+      Promise.all(defects.filter(record => !record._sealed).map(record => this.sealDefect(record))),
+      Promise.all(operations.filter(operation => !operation._sealed).map(operation => this.sealOperation(operation)))
+    ]);
+    if (sealedDefects.length === 0 && sealedOperations.length === 0 && !storedAuth) return;
+
+    const tx = db.transaction(['defects', 'outbox', 'meta'], 'readwrite');
+    sealedDefects.forEach(record => tx.objectStore('defects').put(record));
+    sealedOperations.forEach(operation => tx.objectStore('outbox').put(operation));
+    if (storedAuth) tx.objectStore('meta').delete(BACKGROUND_AUTH_KEY);
+    await transactionDone(tx);
+  }
+
+  // Keeps one connection open for the lifetime of the page and lets it go
+  // when another tab needs to upgrade the schema.
+  async initDB() {
+    if (!this.dbName) {
+      throw new Error('Offline cache is not bound to a user');
+    }
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.dbName, this.dbVersion)
+        .then(db => {
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          return db;
+        })
+        .catch(error => {
+          this.dbPromise = null;
+          throw error;
+        });
+    }
+    return this.dbPromise;
   }
 
   generateLocalId() {
     return `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  // Server rows always live under `server_<id>` so that the same defect is
+  // cached once no matter which code path stored it.
+  localIdFor(record) {
+    if (record.id && !isProvisionalId(record.id)) return `server_${record.id}`;
+    return record.localId || this.generateLocalId();
+  }
+
+  buildOperation(type, record, timestamp = new Date().toISOString(), table = DEFECTS_TABLE) {
+    return {
+      type,
+      table,
+      localId: record.localId,
+      recordId: record.id ?? null,
+      payload: type === 'delete' ? null : toServerPayload(record),
+      base: record._base || null,
+      conflict: null,
+      attempts: 0,
+      lastError: null,
+      lastAttemptAt: null,
+      origin: navigator.onLine ? 'online' : 'offline',
+      changedAt: timestamp,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+  }
+
   async storeData(defects) {  // Keep this method for compatibility
     try {
-      const db = await this.initDB();
-      const tx = db.transaction('defects', 'readwrite');
-      const store = tx.objectStore('defects');
-
       const defectsWithIds = Array.isArray(defects) ? defects : [defects];
-      
-      for (const defect of defectsWithIds) {
-        const defectWithId = {
-          ...defect,
-          localId: defect.localId || this.generateLocalId(),
-          lastModified: new Date().toISOString()
-        };
-        await store.put(defectWithId);
-      }
+      const sealed = await Promise.all(defectsWithIds.map(defect => this.sealDefect({
+        ...defect,
+        localId: defect.localId || this.localIdFor(defect),
+        lastModified: new Date().toISOString()
+      })));
 
-      return new Promise((resolve, reject) => {
-        tx.oncomplete = () => resolve(defectsWithIds);
-        tx.onerror = () => reject(tx.error);
-      });
+      const db = await this.initDB();
+      const tx = db.transaction('defects', 'readwrite');
+      sealed.forEach(record => tx.objectStore('defects').put(record));
+      await transactionDone(tx);
+      return defectsWithIds;
     } catch (error) {
       console.error('Error storing data:', error);
       return Array.isArray(defects) ? defects : [defects];
@@ -60,91 +398,895 @@ class OfflineSync {
     return this.getDefects();
   }
 
+  async getDefect(localId) {
+    return this.readOne('defects', localId);
+  }
+
   async getDefects() {
+    try {
+      return await this.readAll('defects');
+    } catch (error) {
+      console.error('Error getting defects:', error);
+      return [];
+    }
+  }
+
+  // Pages through cached defects newest first (or oldest with order 'asc')
+  // without loading the whole store. The most selective filter picks the
+  // index; the others are checked on the cursor. `from`/`to` are inclusive
+  // YYYY-MM-DD bounds on Date Reported and `filter` is an optional predicate.
+  // Resolves to { items, hasMore }. Only the clear index fields can be checked
+  // on the cursor, so a `filter` is applied after decrypting every candidate.
+  async query({
+    vesselIds = [],
+    status = '',
+    criticality = '',
+    from = '',
+    to = '\uffff',
+    offset = 0,
+    limit = 50,
+    order = 'desc',
+    filter = null
+  } = {}) {
     try {
       const db = await this.initDB();
-      const tx = db.transaction('defects', 'readonly');
-      const store = tx.objectStore('defects');
+      const store = db.transaction('defects', 'readonly').objectStore('defects');
+
+      let source;
+      let range;
+      if (status) {
+        source = store.index('status');
+        range = IDBKeyRange.bound([status, from], [status, to]);
+      } else if (criticality) {
+        source = store.index('criticality');
+        range = IDBKeyRange.bound([criticality, from], [criticality, to]);
+      } else if (vesselIds.length === 1) {
+        source = store.index('vessel_id');
+        range = IDBKeyRange.bound([vesselIds[0], from], [vesselIds[0], to]);
+      } else {
+        source = store.index('dateReported');
+        range = IDBKeyRange.bound(from, to);
+      }
+
+      const matches = (record) =>
+        (vesselIds.length === 0 || vesselIds.includes(record.vessel_id)) &&
+        (!status || record._status === status) &&
+        (!criticality || record._criticality === criticality) &&
+        record._dateReported >= from && record._dateReported <= to;
+      const [skip, take] = filter ? [0, Infinity] : [offset, limit];
+
+      const page = await new Promise((resolve, reject) => {
+        const items = [];
+        let skipped = 0;
+        const request = source.openCursor(range, order === 'asc' ? 'next' : 'prev');
 
-      return new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result || []);
         request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve({ items, hasMore: false });
+            return;
+          }
+          if (matches(cursor.value)) {
+            if (skipped < skip) {
+              skipped += 1;
+            } else if (items.length < take) {
+              items.push(cursor.value);
+            } else {
+              resolve({ items, hasMore: true });
+              return;
+            }
+          }
+          cursor.continue();
+        };
       });
+
+      const items = await Promise.all(page.items.map(record => this.openStored(record)));
+      if (!filter) return { items, hasMore: page.hasMore };
+
+      const kept = items.filter(filter);
+      return { items: kept.slice(offset, offset + limit), hasMore: kept.length > offset + limit };
     } catch (error) {
-      console.error('Error getting defects:', error);
-      return [];
+      console.error('Error querying defects:', error);
+      return { items: [], hasMore: false };
     }
   }
 
-  async saveDefect(defect) {
-    try {
-      const defectWithId = {
+  // Applies a create/update/delete to the local copy and appends it to the
+  // outbox in the same transaction, so the cache and the queue never disagree.
+  // Updates remember the server version they started from (`_base`) so sync
+  // can tell when the shore side changed the row in the meantime.
+  //
+  // An update to a record whose last queued change has not reached the server
+  // replaces that change instead of queueing behind it, so correcting a change
+  // the server rejected actually gets it through; see canMergeChange for when
+  // it is queued on its own instead. Runs under the outbox lock so a change is
+  // never rewritten while it is being sent.
+  async queueChange(type, defect) {
+    const record = await this.withOutboxLock(async () => {
+      const now = new Date().toISOString();
+      const localId = defect.localId || this.localIdFor(defect);
+
+      // Partial updates (an archive, say) keep the rest of the cached row
+      const existing = await this.readOne('defects', localId);
+      const record = {
+        ...(type === 'update' ? existing : null),
         ...defect,
-        localId: defect.localId || this.generateLocalId(),
-        lastModified: new Date().toISOString(),
-        _syncStatus: navigator.onLine ? 'synced' : 'pending'
+        localId,
+        lastModified: now,
+        _base: existing?._base || (existing ? pickSyncFields(existing) : null)
       };
 
+      const queued = type === 'update' ? await this.getRecordChanges(localId) : [];
+      const last = queued[queued.length - 1];
+      const previous = queued.slice(0, -1).filter(operation => operation.table === DEFECTS_TABLE).pop();
+      const operation = canMergeChange(last, previous, record)
+        ? {
+          ...last,
+          payload: toServerPayload(record),
+          attempts: 0,
+          lastError: null,
+          origin: navigator.onLine ? last.origin : 'offline',
+          changedAt: now,
+          updatedAt: now
+        }
+        : this.buildOperation(type, record, now);
+
+      const [sealedRecord, sealedOperation] = await Promise.all([
+        this.sealDefect(record),
+        this.sealOperation(operation)
+      ]);
+
+      const db = await this.initDB();
+      const tx = db.transaction(['defects', 'outbox'], 'readwrite');
+      if (type === 'delete') {
+        tx.objectStore('defects').delete(record.localId);
+      } else {
+        tx.objectStore('defects').put(sealedRecord);
+      }
+      tx.objectStore('outbox').put(sealedOperation);
+
+      await transactionDone(tx);
+      return record;
+    });
+
+    this.requestBackgroundSync();
+    return record;
+  }
+
+  // Queued changes to one record, oldest first.
+  async getRecordChanges(localId) {
+    return this.readAll('outbox', { index: 'localId', range: IDBKeyRange.only(localId) });
+  }
+
+  async hasPendingChanges(localId) {
+    try {
+      const db = await this.initDB();
+      const index = db.transaction('outbox', 'readonly').objectStore('outbox').index('localId');
+      return (await requestToPromise(index.count(IDBKeyRange.only(localId)))) > 0;
+    } catch (error) {
+      console.error('Error checking pending changes:', error);
+      return false;
+    }
+  }
+
+  // Drops every queued change to one record and puts back the last copy the
+  // server confirmed: fetched fresh when online, otherwise rebuilt from the
+  // base the first change started from. A record that only ever existed
+  // offline simply goes away. Resolves to the restored record, or null.
+  async discardChanges(localId) {
+    return this.withOutboxLock(async () => {
+      const operations = await this.getRecordChanges(localId);
+      if (operations.length === 0) return null;
+
+      const first = operations.find(operation => operation.table === DEFECTS_TABLE);
+      const cached = await this.readOne('defects', localId);
+      let restored = cached || null;
+
+      if (first) {
+        if (isProvisionalId(first.recordId)) {
+          restored = null;
+        } else if (navigator.onLine) {
+          const { data, error } = await supabase
+            .from(DEFECTS_TABLE)
+            .select('*')
+            .eq('id', first.recordId)
+            .maybeSingle();
+          if (error) throw error;
+          restored = data && { ...data, localId };
+        } else if (first.base) {
+          restored = { ...cached, ...first.base, id: first.recordId, localId, _base: null };
+        }
+      }
+
+      const sealed = restored && await this.sealDefect({
+        ...restored,
+        lastModified: new Date().toISOString()
+      });
+
+      const db = await this.initDB();
+      const tx = db.transaction(['defects', 'outbox', 'attachments'], 'readwrite');
+      operations.forEach(operation => {
+        tx.objectStore('outbox').delete(operation.seq);
+        if (operation.table === ATTACHMENTS_TABLE && operation.type === 'create') {
+          tx.objectStore('attachments').delete(operation.recordId);
+        }
+      });
+      if (sealed) {
+        tx.objectStore('defects').put(sealed);
+      } else {
+        tx.objectStore('defects').delete(localId);
+      }
+      await transactionDone(tx);
+      return restored;
+    });
+  }
+
+  // Attachments ride the outbox behind the defect they belong to (`localId`),
+  // so a file added to a defect raised offline uploads after the defect
+  // itself. The file waits, sealed, in the attachments store until then.
+  async queueAttachment(attachment, blob, localId) {
+    await this.withOutboxLock(async () => {
+      const now = new Date().toISOString();
+      const record = { ...attachment, localId, addedAt: now };
+      const [sealedFile, sealedOperation] = await Promise.all([
+        sealRecord(this.requireKey(), record, ATTACHMENT_CLEAR_FIELDS),
+        this.sealOperation(this.buildOperation('create', record, now, ATTACHMENTS_TABLE))
+      ]);
+      sealedFile._blob = await sealBlob(this.requireKey(), blob);
+
+      const db = await this.initDB();
+      const tx = db.transaction(['attachments', 'outbox'], 'readwrite');
+      tx.objectStore('attachments').put(sealedFile);
+      tx.objectStore('outbox').put(sealedOperation);
+      await transactionDone(tx);
+    });
+    this.requestBackgroundSync();
+  }
+
+  // Removing an attachment that has not uploaded yet just drops it; one that
+  // is on the server is queued for removal there.
+  async queueAttachmentRemoval(attachment, localId) {
+    await this.withOutboxLock(async () => {
+      const now = new Date().toISOString();
+      const upload = (await this.getRecordChanges(localId)).find(operation =>
+        operation.table === ATTACHMENTS_TABLE && operation.recordId === attachment.id
+      );
+
+      const db = await this.initDB();
+      if (upload) {
+        const tx = db.transaction(['attachments', 'outbox'], 'readwrite');
+        tx.objectStore('attachments').delete(attachment.id);
+        tx.objectStore('outbox').delete(upload.seq);
+        await transactionDone(tx);
+        return;
+      }
+
+      const operation = this.buildOperation('delete', { ...attachment, localId }, now, ATTACHMENTS_TABLE);
+      const sealed = await this.sealOperation({ ...operation, payload: toServerPayload(attachment) });
+      const tx = db.transaction('outbox', 'readwrite');
+      tx.objectStore('outbox').put(sealed);
+      await transactionDone(tx);
+    });
+    this.requestBackgroundSync();
+  }
+
+  // Comments wait in the outbox behind their defect, like attachments, so a
+  // comment that refers to a queued file goes out after it.
+  async queueComment(comment, localId) {
+    await this.withOutboxLock(async () => {
+      const now = new Date().toISOString();
+      const sealed = await this.sealOperation(
+        this.buildOperation('create', { ...comment, localId }, now, COMMENTS_TABLE)
+      );
+
+      const db = await this.initDB();
+      const tx = db.transaction('outbox', 'readwrite');
+      tx.objectStore('outbox').put(sealed);
+      await transactionDone(tx);
+    });
+    this.requestBackgroundSync();
+  }
+
+  // Comments on one record still waiting to be posted.
+  async getPendingComments(localId) {
+    return (await this.getRecordChanges(localId))
+      .filter(operation => operation.table === COMMENTS_TABLE)
+      .map(operation => operation.payload);
+  }
+
+  // Attachments of one record still waiting to upload, without their files.
+  async getPendingAttachments(localId) {
+    const files = await this.readAll('attachments', { index: 'localId', range: IDBKeyRange.only(localId) });
+    return files.map(({ _blob, ...attachment }) => attachment);
+  }
+
+  async readAttachmentBlob(id) {
+    const file = await this.readOne('attachments', id);
+    return file ? openBlob(this.requireKey(), file._blob) : null;
+  }
+
+  async getOutbox() {
+    try {
+      return await this.readAll('outbox');
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return [];
+    }
+  }
+
+  async getConflicts() {
+    const operations = await this.getOutbox();
+    return operations.filter(operation => operation.conflict);
+  }
+
+  // Settles a conflicting update. `choices` maps each differing field to
+  // 'mine' or 'theirs'; picking theirs everywhere simply drops the local edit.
+  async resolveConflict(seq, choices) {
+    const operation = await this.readOne('outbox', seq);
+    if (!operation?.conflict) return;
+
+    const server = operation.conflict.server;
+    const serverBase = pickSyncFields(server);
+    const merged = { ...operation.payload };
+    Object.entries(choices).forEach(([field, choice]) => {
+      if (choice === 'theirs') merged[field] = server[field];
+    });
+
+    const keepsLocalChange = changedFields(serverBase, merged).length > 0;
+    const now = new Date().toISOString();
+    const record = await this.readOne('defects', operation.localId);
+    const later = (await this.getRecordChanges(operation.localId))
+      .filter(next => next.seq !== seq);
+
+    // Whatever is still queued behind this edit now starts from the server copy.
+    const operations = later.map(next => ({ ...next, base: serverBase }));
+    let resolved;
+    if (keepsLocalChange) {
+      operations.push({
+        ...operation,
+        payload: merged,
+        base: serverBase,
+        conflict: null,
+        lastError: null,
+        updatedAt: now
+      });
+      resolved = { ...record, ...merged, _base: serverBase, lastModified: now };
+    } else {
+      resolved = later.length > 0
+        ? { ...record, _base: serverBase, lastModified: now }
+        : { ...server, localId: operation.localId, lastModified: now };
+    }
+
+    const [sealedRecord, ...sealedOperations] = await Promise.all([
+      this.sealDefect(resolved),
+      ...operations.map(next => this.sealOperation(next))
+    ]);
+
+    const db = await this.initDB();
+    const tx = db.transaction(['defects', 'outbox'], 'readwrite');
+    if (!keepsLocalChange) tx.objectStore('outbox').delete(seq);
+    sealedOperations.forEach(next => tx.objectStore('outbox').put(next));
+    tx.objectStore('defects').put(sealedRecord);
+    await transactionDone(tx);
+  }
+
+  async saveDefect(defect) {
+    try {
       if (navigator.onLine) {
         const { data, error } = await supabase
-          .from('defects register')
-          .upsert([defect])
+          .from(DEFECTS_TABLE)
+          .upsert([toServerPayload(defect)])
           .select()
           .single();
 
         if (error) throw error;
-        
+
         await this.storeData({
           ...data,
-          localId: defectWithId.localId
+          localId: this.localIdFor(data)
         });
         return data;
       }
 
-      await this.storeData(defectWithId);
-      return defectWithId;
+      return await this.queueChange(defect.id ? 'update' : 'create', defect);
     } catch (error) {
+      // The caller has to know: a defect that was neither saved nor queued
+      // must not look saved
       console.error('Error saving defect:', error);
-      return defect;
+      throw error;
+    }
+  }
+
+  async pushOperation(operation) {
+    if (operation.table === ATTACHMENTS_TABLE) return this.pushAttachment(operation);
+    if (operation.table === COMMENTS_TABLE) return postComment(operation.payload);
+    const table = supabase.from(operation.table);
+
+    switch (operation.type) {
+      case 'create': {
+        // The server assigns the real id; a provisional one is only local.
+        const { id, ...payload } = operation.payload;
+        const row = isProvisionalId(id) ? payload : { id, ...payload };
+        const { data, error } = await withChangeHeaders(
+          table.insert([row]).select().single(),
+          operation
+        );
+        if (error) throw error;
+        return data;
+      }
+      case 'update': {
+        const { id, ...payload } = operation.payload;
+        const { data, error } = await withChangeHeaders(
+          table.update(payload).eq('id', operation.recordId).select().single(),
+          operation
+        );
+        if (error) throw error;
+        return data;
+      }
+      case 'delete': {
+        const { error } = await withChangeHeaders(
+          table.delete().eq('id', operation.recordId),
+          operation
+        );
+        if (error) throw error;
+        return null;
+      }
+      default:
+        throw new Error(`Unknown outbox operation: ${operation.type}`);
+    }
+  }
+
+  async pushAttachment(operation) {
+    switch (operation.type) {
+      case 'create': {
+        const blob = await this.readAttachmentBlob(operation.recordId);
+        if (!blob) throw new Error('The attached file is no longer on this computer');
+        return uploadAttachment(operation.payload, blob);
+      }
+      case 'delete':
+        await deleteAttachment(operation.payload);
+        return null;
+      default:
+        throw new Error(`Unknown attachment operation: ${operation.type}`);
+    }
+  }
+
+  // Returns the current server row and the fields it changed since
+  // `operation.base`, or null when the update can be applied as is.
+  async detectConflict(operation) {
+    if (operation.type !== 'update' || !operation.base) return null;
+
+    const { data: server, error } = await supabase
+      .from(operation.table)
+      .select('*')
+      .eq('id', operation.recordId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!server) throw new Error('Defect no longer exists on the server');
+
+    const theirs = changedFields(operation.base, server);
+    return theirs.length > 0 ? { server, fields: theirs } : null;
+  }
+
+  async markConflict(operation, conflict) {
+    const now = new Date().toISOString();
+    const sealed = await this.sealOperation({
+      ...operation,
+      conflict: { ...conflict, detectedAt: now },
+      lastAttemptAt: now,
+      updatedAt: now
+    });
+
+    const db = await this.initDB();
+    const tx = db.transaction('outbox', 'readwrite');
+    tx.objectStore('outbox').put(sealed);
+    await transactionDone(tx);
+  }
+
+  async completeOperation(operation, serverRecord) {
+    const mapping = operation.type === 'create' && isProvisionalId(operation.recordId) && serverRecord
+      ? this.idMapping(operation, serverRecord)
+      : null;
+    const localId = mapping ? mapping.toLocalId : operation.localId;
+
+    const queued = (await this.readAll('outbox'))
+      .filter(next => next.seq !== operation.seq)
+      .map(next => (mapping ? rewriteOperationIds(next, mapping) : next));
+    const remaining = queued.filter(next => next.localId === localId);
+    const cached = await this.readOne('defects', mapping ? mapping.fromLocalId : localId);
+
+    // Only take the server copy when nothing newer is still queued for this
+    // record, otherwise we would overwrite edits that have not been sent yet.
+    // Those later edits are now based on what we just wrote.
+    let record = null;
+    let base = null;
+    if (serverRecord && remaining.length === 0) {
+      record = { ...serverRecord, localId, lastModified: new Date().toISOString() };
+    } else if (serverRecord) {
+      base = pickSyncFields(serverRecord);
+      record = cached && {
+        ...cached,
+        ...Object.fromEntries(SERVER_ASSIGNED_FIELDS.map(field => [field, serverRecord[field]])),
+        id: mapping ? mapping.serverId : cached.id,
+        localId,
+        _base: base
+      };
+    }
+    const operations = (mapping ? queued : base ? remaining : []).map(next => (
+      base && next.localId === localId ? { ...next, base } : next
+    ));
+
+    const [sealedRecord, ...sealedOperations] = await Promise.all([
+      record && this.sealDefect(record),
+      ...operations.map(next => this.sealOperation(next))
+    ]);
+
+    const db = await this.initDB();
+    const tx = db.transaction(['defects', 'outbox', 'idMap', 'attachments'], 'readwrite');
+    const defects = tx.objectStore('defects');
+    const attachments = tx.objectStore('attachments');
+
+    tx.objectStore('outbox').delete(operation.seq);
+    sealedOperations.forEach(next => tx.objectStore('outbox').put(next));
+    if (operation.table === ATTACHMENTS_TABLE && operation.type === 'create') {
+      attachments.delete(operation.recordId);
+    }
+    if (mapping) {
+      if (cached) defects.delete(mapping.fromLocalId);
+      // Files waiting to upload follow the defect to its new key
+      const moving = await requestToPromise(attachments.index('localId').getAll(mapping.fromLocalId));
+      moving.forEach(file => attachments.put({ ...file, localId: mapping.toLocalId }));
+      tx.objectStore('idMap').put({
+        provisionalId: mapping.provisionalId,
+        serverId: mapping.serverId,
+        localId: mapping.toLocalId,
+        mappedAt: new Date().toISOString()
+      });
+    }
+    if (sealedRecord) defects.put(sealedRecord);
+
+    await transactionDone(tx);
+  }
+
+  // Swapping a provisional id for the one the server assigned moves the
+  // cached record to its `server_<id>` key, rewrites every queued operation
+  // that refers to the old id, and keeps the mapping for anything still
+  // holding it.
+  idMapping(operation, serverRecord) {
+    return {
+      provisionalId: operation.recordId,
+      serverId: serverRecord.id,
+      fromLocalId: operation.localId,
+      toLocalId: this.localIdFor(serverRecord)
+    };
+  }
+
+  // Resolves an id that may have been provisional to the server id, for
+  // callers that held on to a defect across a sync.
+  async resolveId(id) {
+    if (!isProvisionalId(id)) return id;
+    try {
+      const db = await this.initDB();
+      const tx = db.transaction('idMap', 'readonly');
+      const entry = await requestToPromise(tx.objectStore('idMap').get(id));
+      return entry?.serverId ?? id;
+    } catch (error) {
+      console.error('Error resolving id:', error);
+      return id;
     }
   }
 
-  async syncWithServer() {
-    if (!navigator.onLine) return;
+  async getOperation(seq) {
+    return this.readOne('outbox', seq);
+  }
+
+  async recordFailure(operation, error) {
+    const now = new Date().toISOString();
+    const sealed = await this.sealOperation({
+      ...operation,
+      attempts: operation.attempts + 1,
+      lastError: error?.message || String(error),
+      lastAttemptAt: now,
+      updatedAt: now
+    });
+
+    const db = await this.initDB();
+    const tx = db.transaction('outbox', 'readwrite');
+    tx.objectStore('outbox').put(sealed);
+    await transactionDone(tx);
+  }
 
+  // The service worker flushes the same outbox; the lock keeps the two from
+  // sending an operation twice. Browsers without Web Locks only ever flush
+  // from the page.
+  async withOutboxLock(task) {
+    if (!navigator.locks) return task();
+    return navigator.locks.request(`${OUTBOX_LOCK}:${this.userId}`, task);
+  }
+
+  // Asks the service worker to flush the outbox once connectivity returns,
+  // even if every tab has been closed by then. It can only do so while it
+  // still holds the cache key from an open tab; if the browser has stopped it
+  // since, the changes wait for the app (see public/service-worker.js).
+  async requestBackgroundSync() {
     try {
-      const defects = await this.getDefects();
-      const pendingDefects = defects.filter(d => d._syncStatus === 'pending');
+      await this.shareCacheKey();
+      const registration = await navigator.serviceWorker?.getRegistration();
+      if (!registration?.sync) return false;
+      await registration.sync.register(`${BACKGROUND_SYNC_TAG}:${this.userId}`);
+      return true;
+    } catch (error) {
+      console.error('Error registering background sync:', error);
+      return false;
+    }
+  }
 
-      for (const defect of pendingDefects) {
-        try {
-          const { data, error } = await supabase
-            .from('defects register')
-            .upsert([defect])
-            .select()
-            .single();
+  // The service worker cannot reach supabase-js, so it talks to the REST API
+  // with the session handed over here, together with the cache key and never
+  // written to disk. It never refreshes the token itself (that would rotate
+  // the refresh token under the page); if it has expired the outbox simply
+  // waits for the app to be opened again.
+  setBackgroundSyncAuth(session) {
+    // Only ever hand over a token for the account whose cache is open
+    if (!this.userId || (session && session.user?.id !== this.userId)) return;
+    this.backgroundAuth = session ? {
+      url: process.env.REACT_APP_SUPABASE_URL,
+      anonKey: process.env.REACT_APP_SUPABASE_ANON_KEY,
+      accessToken: session.access_token,
+      expiresAt: session.expires_at,
+      userId: session.user?.id
+    } : null;
+    this.shareCacheKey();
+  }
 
-          if (error) throw error;
+  // Returns what the service worker synced while no tab was open (or null)
+  // and clears it so it is reported only once.
+  async takeBackgroundSyncReport() {
+    const report = await this.getMeta(BACKGROUND_REPORT_KEY);
+    if (report) await this.setMeta(BACKGROUND_REPORT_KEY, null);
+    return report;
+  }
+
+  // Replays the outbox oldest first. A failed or conflicting operation holds
+  // back every later operation for the same record so changes always land in
+  // the order made. Pass `localId` to retry a single record.
+  async syncWithServer(options) {
+    return this.withOutboxLock(() => this.flushOutbox(options));
+  }
+
+  async flushOutbox({ localId = null } = {}) {
+    const result = { synced: 0, failed: 0, conflicts: 0, idMap: {} };
+    if (!navigator.onLine) return result;
+
+    try {
+      const queued = (await this.getOutbox())
+        .filter(operation => !localId || operation.localId === localId);
+      const blocked = new Set();
+
+      for (const { seq } of queued) {
+        // Re-read each entry: an earlier create may have rewritten its ids.
+        const operation = await this.getOperation(seq);
+        if (!operation || blocked.has(operation.localId)) continue;
+        if (operation.conflict) {
+          blocked.add(operation.localId);
+          result.conflicts += 1;
+          continue;
+        }
+
+        try {
+          const conflict = await this.detectConflict(operation);
+          if (conflict) {
+            blocked.add(operation.localId);
+            await this.markConflict(operation, conflict);
+            result.conflicts += 1;
+            continue;
+          }
 
-          await this.storeData({
-            ...data,
-            localId: defect.localId,
-            _syncStatus: 'synced'
-          });
+          const serverRecord = await this.pushOperation(operation);
+          await this.completeOperation(
+            operation,
+            operation.table === DEFECTS_TABLE ? serverRecord : null
+          );
+          if (operation.type === 'create' && isProvisionalId(operation.recordId)) {
+            result.idMap[operation.recordId] = serverRecord.id;
+          }
+          result.synced += 1;
         } catch (error) {
-          console.error('Error syncing defect:', error);
+          console.error('Error syncing operation:', error);
+          blocked.add(operation.localId);
+          await this.recordFailure(operation, error);
+          result.failed += 1;
         }
       }
     } catch (error) {
       console.error('Error in sync process:', error);
     }
+
+    return result;
+  }
+
+  async getMeta(key) {
+    try {
+      const db = await this.initDB();
+      const tx = db.transaction('meta', 'readonly');
+      const entry = await requestToPromise(tx.objectStore('meta').get(key));
+      return entry?.value ?? null;
+    } catch (error) {
+      console.error('Error reading offline metadata:', error);
+      return null;
+    }
+  }
+
+  async setMeta(key, value) {
+    const db = await this.initDB();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put({ key, value });
+    await transactionDone(tx);
+  }
+
+  // PostgREST caps each response, so larger result sets are read in pages,
+  // in (`timeField`, `idField`) order from `since`. Each page starts after
+  // the last row of the one before rather than at an offset, so rows sharing
+  // a timestamp are neither skipped nor read twice, and rows changing
+  // meanwhile cannot shift the pages.
+  async fetchAllPages(buildQuery, { timeField, idField, since = null }) {
+    const rows = [];
+    let last = null;
+    for (;;) {
+      let query = buildQuery();
+      if (last) {
+        const time = filterValue(last[timeField]);
+        query = query.or(
+          `${timeField}.gt.${time},and(${timeField}.eq.${time},${idField}.gt.${filterValue(last[idField])})`
+        );
+      } else if (since) {
+        query = query.gte(timeField, since);
+      }
+
+      const { data, error } = await query
+        .order(timeField, { ascending: true })
+        .order(idField, { ascending: true })
+        .limit(PAGE_SIZE);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+      last = data[data.length - 1];
+    }
+  }
+
+  // Writes server rows into the cache without clobbering records that still
+  // have queued local changes - those are settled by syncWithServer().
+  // `removedIds` are server ids deleted ashore; with `replaceVessels` any
+  // cached server row of those vessels that the server no longer returned is
+  // dropped as well.
+  async mergeServerRecords(rows, { removedIds = [], replaceVessels = null } = {}) {
+    const now = new Date().toISOString();
+    const sealed = await Promise.all(rows.map(row => this.sealDefect({
+      ...row,
+      localId: this.localIdFor(row),
+      lastModified: now
+    })));
+
+    // The outbox check only needs the clear `localId`, so it can run inside
+    // the write transaction and catch changes queued while rows were sealed.
+    const db = await this.initDB();
+    const tx = db.transaction(['defects', 'outbox'], 'readwrite');
+    const defects = tx.objectStore('defects');
+    const queued = await requestToPromise(tx.objectStore('outbox').getAll());
+    const pending = new Set(queued.map(operation => operation.localId));
+
+    const received = new Set();
+    sealed.forEach(record => {
+      received.add(record.localId);
+      if (!pending.has(record.localId)) defects.put(record);
+    });
+
+    removedIds.forEach(id => {
+      const localId = this.localIdFor({ id });
+      if (!pending.has(localId)) defects.delete(localId);
+    });
+
+    if (replaceVessels) {
+      const cached = await requestToPromise(defects.getAll());
+      cached
+        .filter(record =>
+          record.localId.startsWith('server_') &&
+          replaceVessels.includes(record.vessel_id) &&
+          !received.has(record.localId) &&
+          !pending.has(record.localId)
+        )
+        .forEach(record => defects.delete(record.localId));
+    }
+
+    await transactionDone(tx);
+  }
+
+  // Applies one change pushed by the server and resolves to what the cache
+  // now holds for that defect: the server row, the local copy if it still
+  // has unsynced changes, or null once it is gone.
+  async applyRemoteChange(type, row) {
+    if (type === 'DELETE') {
+      await this.mergeServerRecords([], { removedIds: [row.id] });
+    } else {
+      await this.mergeServerRecords([row]);
+    }
+    return (await this.readOne('defects', this.localIdFor({ id: row.id }))) || null;
+  }
+
+  // Brings the cache up to date for `vesselIds` by fetching only the rows
+  // changed (and the tombstones of rows deleted) since the user's last
+  // checkpoint. A first sync, or a change in vessel assignment, falls back
+  // to a full download. The new checkpoint is the latest server timestamp
+  // seen, so device clock drift cannot make us skip changes, and reading
+  // resumes a little before it (see CHECKPOINT_OVERLAP_MS).
+  async deltaSync(userId, vesselIds) {
+    const checkpointKey = `checkpoint:${userId}`;
+    const checkpoint = await this.getMeta(checkpointKey);
+    const sameVessels = checkpoint &&
+      checkpoint.vesselIds.length === vesselIds.length &&
+      vesselIds.every(id => checkpoint.vesselIds.includes(id));
+    const previous = sameVessels ? checkpoint.syncedAt : null;
+    const since = previous &&
+      new Date(Date.parse(previous) - CHECKPOINT_OVERLAP_MS).toISOString();
+
+    const rows = await this.fetchAllPages(
+      () => supabase.from(DEFECTS_TABLE).select('*').in('vessel_id', vesselIds),
+      { timeField: 'updated_at', idField: 'id', since }
+    );
+
+    const tombstones = since
+      ? await this.fetchAllPages(
+          () => supabase
+            .from(TOMBSTONES_TABLE)
+            .select('defect_id, deleted_at')
+            .in('vessel_id', vesselIds),
+          { timeField: 'deleted_at', idField: 'defect_id', since }
+        )
+      : [];
+
+    await this.mergeServerRecords(rows, {
+      removedIds: tombstones.map(tombstone => tombstone.defect_id),
+      replaceVessels: since ? null : vesselIds
+    });
+
+    const syncedAt = [
+      previous,
+      ...rows.map(row => row.updated_at),
+      ...tombstones.map(tombstone => tombstone.deleted_at)
+    ].filter(Boolean).sort().pop() || null;
+
+    await this.setMeta(checkpointKey, { syncedAt, vesselIds });
+    return { full: !since, changed: rows.length, removed: tombstones.length };
+  }
+
+  // Drops cached server rows of vessels the user is no longer assigned to.
+  // Records with queued changes stay until those changes are settled.
+  async pruneToVessels(vesselIds) {
+    try {
+      const db = await this.initDB();
+      const tx = db.transaction(['defects', 'outbox'], 'readwrite');
+      const defects = tx.objectStore('defects');
+      const queued = await requestToPromise(tx.objectStore('outbox').getAll());
+      const pending = new Set(queued.map(operation => operation.localId));
+
+      const cached = await requestToPromise(defects.getAll());
+      cached
+        .filter(record => !vesselIds.includes(record.vessel_id) && !pending.has(record.localId))
+        .forEach(record => defects.delete(record.localId));
+
+      await transactionDone(tx);
+    } catch (error) {
+      console.error('Error pruning offline cache:', error);
+    }
   }
 
   async getPendingSyncCount() {
     try {
-      const defects = await this.getDefects();
-      return defects.filter(d => d._syncStatus === 'pending').length;
+      const db = await this.initDB();
+      const tx = db.transaction('outbox', 'readonly');
+      return await requestToPromise(tx.objectStore('outbox').count());
     } catch (error) {
       console.error('Error getting pending sync count:', error);
       return 0;
@@ -154,12 +1296,10 @@ class OfflineSync {
   async clearAll() {
     try {
       const db = await this.initDB();
-      const tx = db.transaction('defects', 'readwrite');
-      await tx.objectStore('defects').clear();
-      return new Promise((resolve, reject) => {
-        tx.oncomplete = resolve;
-        tx.onerror = () => reject(tx.error);
-      });
+      const stores = [...CACHE_STORES, 'attachments'];
+      const tx = db.transaction(stores, 'readwrite');
+      stores.forEach(name => tx.objectStore(name).clear());
+      await transactionDone(tx);
     } catch (error) {
       console.error('Error clearing data:', error);
     }
@@ -0,0 +1,397 @@
+import OfflineSync, { DEFECTS_TABLE, createProvisionalId } from './OfflineSync';
+import { ATTACHMENTS_TABLE } from './attachmentStorage';
+import { COMMENTS_TABLE } from './defectComments';
+import { supabase } from '../supabaseClient';
+
+jest.mock('../supabaseClient', () => ({
+  supabase: { from: jest.fn(), storage: { from: () => ({}) } }
+}));
+
+const LOCAL_ID = 'server_1';
+
+const cachedDefect = {
+  id: '1',
+  localId: LOCAL_ID,
+  vessel_id: 'v1',
+  Equipments: 'Main Engine',
+  Description: 'Leaking seal',
+  'Action Planned': 'Replace seal',
+  Criticality: 'High',
+  'Status (Vessel)': 'OPEN',
+  'Date Reported': '2026-01-01',
+  'Date Completed': null
+};
+
+// Just enough of IndexedDB for OfflineSync: requests succeed on the next
+// tick and a transaction completes once the code waiting on it is ready.
+// jsdom has none of it.
+global.IDBKeyRange = { only: (value) => value };
+
+const request = (result) => {
+  const pending = { result };
+  setTimeout(() => pending.onsuccess?.());
+  return pending;
+};
+
+const createStore = (keyPath) => {
+  const records = new Map();
+  let nextKey = 1;
+  const save = (record) => {
+    const key = record[keyPath] ?? nextKey++;
+    records.set(key, { ...record, [keyPath]: key });
+    return request(key);
+  };
+  const matching = (field, value) => [...records.values()].filter(record => record[field] === value);
+
+  return {
+    records,
+    get: (key) => request(records.get(key)),
+    getAll: () => request([...records.values()]),
+    count: () => request(records.size),
+    put: save,
+    add: save,
+    delete: (key) => request(records.delete(key) && undefined),
+    clear: () => request(records.clear()),
+    index: (field) => ({
+      getAll: (value) => request(matching(field, value)),
+      count: (value) => request(matching(field, value).length)
+    })
+  };
+};
+
+// An OfflineSync over in-memory stores, seeded with `defects`, with sealing
+// left out; what is under test is what ends up in the stores
+const createSync = (defects = [cachedDefect]) => {
+  const sync = new OfflineSync();
+  const stores = {
+    defects: createStore('localId'),
+    outbox: createStore('seq'),
+    meta: createStore('key')
+  };
+  defects.forEach(defect => stores.defects.records.set(defect.localId, defect));
+
+  sync.sealDefect = async (record) => record;
+  sync.sealOperation = async (operation) => operation;
+  sync.openStored = async (stored) => stored;
+
+  sync.initDB = async () => ({
+    transaction: () => {
+      const tx = { objectStore: (name) => stores[name] };
+      Object.defineProperty(tx, 'oncomplete', { set: (done) => setTimeout(done) });
+      return tx;
+    }
+  });
+
+  const outbox = () => [...stores.outbox.records.values()];
+  return { sync, stores, outbox };
+};
+
+// The row as the server holds it, without the cache's bookkeeping
+const serverRow = ({ localId, ...row }) => row;
+
+// A supabase query that resolves to `result` however it is chained. The
+// calls made on it go into `calls`.
+const query = (result, calls = []) => {
+  const chain = {};
+  ['insert', 'update', 'upsert', 'delete', 'select', 'eq', 'in', 'gte', 'or', 'order', 'limit'].forEach(method => {
+    chain[method] = (...args) => {
+      calls.push([method, ...args]);
+      return chain;
+    };
+  });
+  chain.single = () => Promise.resolve(result);
+  chain.maybeSingle = () => Promise.resolve(result);
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+// Failures under test are logged as they would be in the app
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('queueChange', () => {
+  it('writes the change to the cache and the outbox together', async () => {
+    const { sync, stores, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Description: 'Leaking seal, port side' });
+
+    expect(stores.defects.records.get(LOCAL_ID).Description).toBe('Leaking seal, port side');
+    expect(outbox()).toHaveLength(1);
+    expect(outbox()[0]).toMatchObject({ type: 'update', localId: LOCAL_ID, recordId: '1', attempts: 0 });
+    expect(outbox()[0].payload).not.toHaveProperty('localId');
+  });
+
+  it('folds an edit into the change still queued for the defect and clears its failure', async () => {
+    const { sync, stores, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Description: 'Leaking seal, port side' });
+    const [failed] = outbox();
+    stores.outbox.put({ ...failed, attempts: 2, lastError: 'Server unavailable' });
+
+    await sync.queueChange('update', {
+      ...cachedDefect,
+      Description: 'Leaking seal, port side',
+      'Action Planned': 'Order seal kit'
+    });
+
+    expect(outbox()).toHaveLength(1);
+    expect(outbox()[0]).toMatchObject({ seq: failed.seq, attempts: 0, lastError: null });
+    expect(outbox()[0].payload).toMatchObject({
+      Description: 'Leaking seal, port side',
+      'Action Planned': 'Order seal kit'
+    });
+    expect(outbox()[0].base.Description).toBe('Leaking seal');
+  });
+
+  it('keeps a file upload queued when the defect is edited after it', async () => {
+    const { sync, stores, outbox } = createSync();
+    const attachment = { id: 'a1', defect_id: '1', file_name: 'seal.jpg', localId: LOCAL_ID };
+    stores.outbox.add(sync.buildOperation('create', attachment, '2026-01-02T00:00:00.000Z', ATTACHMENTS_TABLE));
+
+    await sync.queueChange('update', { ...cachedDefect, Description: 'Leaking seal, port side' });
+
+    expect(outbox()).toHaveLength(2);
+    expect(outbox()[0]).toMatchObject({ table: ATTACHMENTS_TABLE, recordId: 'a1' });
+    expect(outbox()[0].payload).toMatchObject({ id: 'a1', file_name: 'seal.jpg' });
+    expect(outbox()[1]).toMatchObject({ table: DEFECTS_TABLE, type: 'update', recordId: '1' });
+    expect(outbox()[1].payload.Description).toBe('Leaking seal, port side');
+  });
+
+  it('keeps a comment queued when the defect is edited after it', async () => {
+    const { sync, stores, outbox } = createSync();
+    const comment = { id: 'c1', defect_id: '1', body: 'Seal kit ordered', localId: LOCAL_ID };
+    stores.outbox.add(sync.buildOperation('create', comment, '2026-01-02T00:00:00.000Z', COMMENTS_TABLE));
+
+    await sync.queueChange('update', { id: '1', localId: LOCAL_ID, Criticality: 'Medium' });
+
+    expect(outbox()).toHaveLength(2);
+    expect(outbox()[0]).toMatchObject({ table: COMMENTS_TABLE, recordId: 'c1' });
+    expect(outbox()[0].payload).toMatchObject({ id: 'c1', body: 'Seal kit ordered' });
+    expect(outbox()[1]).toMatchObject({ table: DEFECTS_TABLE, type: 'update' });
+    expect(outbox()[1].payload.Criticality).toBe('Medium');
+  });
+
+  it('does not fold an edit into a defect change queued before an upload', async () => {
+    const { sync, stores, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Description: 'Leaking seal, port side' });
+    stores.outbox.add(sync.buildOperation('create', { id: 'a1', localId: LOCAL_ID }, undefined, ATTACHMENTS_TABLE));
+    await sync.queueChange('update', {
+      ...cachedDefect,
+      Description: 'Leaking seal, port side',
+      'Action Planned': 'Order seal kit'
+    });
+
+    expect(outbox().map(operation => operation.table)).toEqual([DEFECTS_TABLE, ATTACHMENTS_TABLE, DEFECTS_TABLE]);
+    expect(outbox()[0].payload['Action Planned']).toBe('Replace seal');
+  });
+
+  describe('status changes', () => {
+    const closure = {
+      'Date Completed': '2026-01-10',
+      closing_remarks: 'Seal replaced'
+    };
+
+    it('queues a close after a queued start of work as its own change', async () => {
+      const { sync, outbox } = createSync();
+      await sync.queueChange('update', { id: '1', localId: LOCAL_ID, 'Status (Vessel)': 'IN PROGRESS' });
+      await sync.queueChange('update', { id: '1', localId: LOCAL_ID, 'Status (Vessel)': 'CLOSED', ...closure });
+
+      expect(outbox()).toHaveLength(2);
+      expect(outbox()[0].payload['Status (Vessel)']).toBe('IN PROGRESS');
+      expect(outbox()[1].payload).toMatchObject({ 'Status (Vessel)': 'CLOSED', ...closure });
+    });
+
+    it('still folds edits that keep each step legal', async () => {
+      const { sync, outbox } = createSync();
+      await sync.queueChange('update', { id: '1', localId: LOCAL_ID, 'Status (Vessel)': 'IN PROGRESS' });
+      await sync.queueChange('update', { id: '1', localId: LOCAL_ID, 'Status (Vessel)': 'CLOSED', ...closure });
+      await sync.queueChange('update', { id: '1', localId: LOCAL_ID, closing_remarks: 'Seal and gasket replaced' });
+
+      expect(outbox()).toHaveLength(2);
+      expect(outbox()[1].payload.closing_remarks).toBe('Seal and gasket replaced');
+    });
+
+    it('never turns a defect raised offline into a closed insert', async () => {
+      const { sync, outbox } = createSync([]);
+      const raised = await sync.queueChange('create', { ...cachedDefect, id: createProvisionalId(), localId: undefined });
+      const { id, localId } = raised;
+      await sync.queueChange('update', { id, localId, 'Status (Vessel)': 'IN PROGRESS' });
+      await sync.queueChange('update', { id, localId, 'Status (Vessel)': 'CLOSED', ...closure });
+
+      expect(outbox().map(operation => operation.type)).toEqual(['create', 'update']);
+      expect(outbox()[0].payload['Status (Vessel)']).toBe('IN PROGRESS');
+      expect(outbox()[1].payload['Status (Vessel)']).toBe('CLOSED');
+    });
+  });
+});
+
+describe('syncWithServer', () => {
+  it('holds back later changes to a record whose change failed', async () => {
+    const other = { ...cachedDefect, id: '2', localId: 'server_2' };
+    const { sync, stores, outbox } = createSync([cachedDefect, other]);
+    await sync.queueChange('update', { ...cachedDefect, Criticality: 'Medium' });
+    await sync.queueChange('update', { ...other, Criticality: 'Low' });
+    // A second change to the same record, as queued behind a conflict
+    stores.outbox.add(sync.buildOperation('update', { ...cachedDefect, Criticality: 'Low' }, '2026-01-02T00:00:00.000Z'));
+
+    supabase.from.mockImplementation(() => query({ data: serverRow(cachedDefect), error: null }));
+    sync.pushOperation = jest.fn(async (operation) => {
+      if (operation.localId === LOCAL_ID) throw new Error('Server unavailable');
+      return { ...operation.payload };
+    });
+    const result = await sync.syncWithServer();
+
+    expect(result).toMatchObject({ synced: 1, failed: 1, conflicts: 0 });
+    expect(sync.pushOperation.mock.calls.map(([operation]) => operation.localId)).toEqual([LOCAL_ID, 'server_2']);
+    expect(outbox().map(operation => [operation.payload.Criticality, operation.attempts])).toEqual([
+      ['Medium', 1],
+      ['Low', 0]
+    ]);
+    expect(outbox()[0].lastError).toBe('Server unavailable');
+  });
+
+  it('holds a change back as a conflict when the defect changed ashore since', async () => {
+    const { sync, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Criticality: 'Medium' });
+
+    supabase.from.mockImplementation(() => query({
+      data: serverRow({ ...cachedDefect, Criticality: 'Low' }),
+      error: null
+    }));
+    sync.pushOperation = jest.fn();
+    const result = await sync.syncWithServer();
+
+    expect(result).toMatchObject({ synced: 0, failed: 0, conflicts: 1 });
+    expect(sync.pushOperation).not.toHaveBeenCalled();
+    expect(outbox()[0].conflict.fields).toEqual(['Criticality']);
+  });
+
+  it('retries only the record it is given', async () => {
+    const other = { ...cachedDefect, id: '2', localId: 'server_2' };
+    const { sync, outbox } = createSync([cachedDefect, other]);
+    await sync.queueChange('update', { ...other, Criticality: 'Low' });
+    await sync.queueChange('update', { ...cachedDefect, Criticality: 'Medium' });
+
+    supabase.from.mockImplementation(() => query({ data: serverRow(cachedDefect), error: null }));
+    sync.pushOperation = jest.fn(async (operation) => ({ ...operation.payload }));
+    const result = await sync.syncWithServer({ localId: LOCAL_ID });
+
+    expect(result).toMatchObject({ synced: 1, failed: 0, conflicts: 0 });
+    expect(sync.pushOperation.mock.calls.map(([operation]) => operation.localId)).toEqual([LOCAL_ID]);
+    expect(outbox().map(operation => operation.localId)).toEqual(['server_2']);
+  });
+});
+
+describe('discardChanges', () => {
+  it('puts back the copy the server holds when online', async () => {
+    const { sync, stores, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Criticality: 'Medium' });
+    supabase.from.mockImplementation(() => query({
+      data: serverRow({ ...cachedDefect, Criticality: 'Low' }),
+      error: null
+    }));
+
+    const restored = await sync.discardChanges(LOCAL_ID);
+
+    expect(restored).toMatchObject({ localId: LOCAL_ID, Criticality: 'Low' });
+    expect(stores.defects.records.get(LOCAL_ID).Criticality).toBe('Low');
+    expect(outbox()).toHaveLength(0);
+  });
+
+  it('rebuilds the record from before the change when offline', async () => {
+    const { sync, stores, outbox } = createSync();
+    await sync.queueChange('update', { ...cachedDefect, Criticality: 'Medium' });
+    const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    await sync.discardChanges(LOCAL_ID);
+    onLine.mockRestore();
+
+    expect(supabase.from).not.toHaveBeenCalled();
+    expect(stores.defects.records.get(LOCAL_ID)).toMatchObject({ Criticality: 'High', _base: null });
+    expect(outbox()).toHaveLength(0);
+  });
+
+  it('drops a defect that was only ever raised offline', async () => {
+    const { sync, stores, outbox } = createSync([]);
+    const raised = await sync.queueChange('create', { ...cachedDefect, id: createProvisionalId(), localId: undefined });
+
+    expect(await sync.discardChanges(raised.localId)).toBeNull();
+    expect(stores.defects.records.size).toBe(0);
+    expect(outbox()).toHaveLength(0);
+  });
+});
+
+describe('saveDefect', () => {
+  it('fails when the server refuses the defect', async () => {
+    const { sync } = createSync();
+    supabase.from.mockReturnValue(query({ data: null, error: new Error('permission denied') }));
+
+    await expect(sync.saveDefect(cachedDefect)).rejects.toThrow('permission denied');
+  });
+});
+
+describe('deltaSync', () => {
+  const checkpoint = { syncedAt: '2026-01-02T12:00:00+00:00', vesselIds: ['v1'] };
+
+  it('reads again from a little before the checkpoint without moving it back', async () => {
+    const { sync, stores } = createSync();
+    stores.meta.records.set('checkpoint:u1', { key: 'checkpoint:u1', value: checkpoint });
+    const calls = [];
+    supabase.from.mockImplementation(() => query({ data: [], error: null }, calls));
+
+    await sync.deltaSync('u1', ['v1']);
+
+    expect(calls).toContainEqual(['gte', 'updated_at', '2026-01-02T11:55:00.000Z']);
+    expect(calls).toContainEqual(['gte', 'deleted_at', '2026-01-02T11:55:00.000Z']);
+    expect(stores.meta.records.get('checkpoint:u1').value).toEqual(checkpoint);
+  });
+
+  it('pages on from the last row read, whatever shares its timestamp', async () => {
+    const { sync, stores } = createSync([]);
+    const updatedAt = '2026-01-03T08:00:00.5+00:00';
+    const rows = Array.from({ length: 1001 }, (_, index) => ({
+      id: `${10000 + index}`,
+      vessel_id: 'v1',
+      updated_at: updatedAt
+    }));
+    const pages = [rows.slice(0, 1000), rows.slice(1000)];
+    const calls = [];
+    supabase.from.mockImplementation(() => query({ data: pages.shift(), error: null }, calls));
+
+    const result = await sync.deltaSync('u1', ['v1']);
+
+    expect(result).toEqual({ full: true, changed: 1001, removed: 0 });
+    expect(calls.filter(([method]) => method === 'or')).toEqual([[
+      'or',
+      `updated_at.gt."${updatedAt}",and(updated_at.eq."${updatedAt}",id.gt."10999")`
+    ]]);
+    expect(calls).toContainEqual(['order', 'id', { ascending: true }]);
+    expect(stores.defects.records.size).toBe(1001);
+    expect(stores.meta.records.get('checkpoint:u1').value.syncedAt).toBe(updatedAt);
+  });
+});
+
+describe('setBackgroundSyncAuth', () => {
+  it('hands the session to the service worker with the key and keeps it off disk', async () => {
+    const { sync, stores } = createSync();
+    const postMessage = jest.fn();
+    Object.defineProperty(navigator, 'serviceWorker', {
+      configurable: true,
+      value: { getRegistration: async () => ({ active: { postMessage } }) }
+    });
+    stores.meta.records.set('backgroundSyncAuth', { key: 'backgroundSyncAuth', value: { accessToken: 'old' } });
+    sync.userId = 'u1';
+    sync.cacheKey = 'key';
+
+    sync.setBackgroundSyncAuth({ access_token: 'token', expires_at: 1, user: { id: 'u1' } });
+    await sync.sealPlainRecords();
+
+    expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'CACHE_KEY',
+      userId: 'u1',
+      key: 'key',
+      auth: expect.objectContaining({ accessToken: 'token', userId: 'u1' })
+    }));
+    expect(stores.meta.records.size).toBe(0);
+    delete navigator.serviceWorker;
+  });
+});
@@ -0,0 +1,62 @@
+import { supabase } from '../supabaseClient';
+
+const PREFERENCES_TABLE = 'user_preferences';
+const metaKey = (key) => `preference:${key}`;
+
+// Settings kept per user on the server so they follow them between devices.
+// Each one is also cached; a change made offline is marked pending and
+// pushed on the next load while online, the latest change winning.
+class PreferencesService {
+  constructor(offlineSync) {
+    this.offlineSync = offlineSync;
+  }
+
+  async load(key) {
+    const cached = await this.offlineSync.getMeta(metaKey(key));
+
+    if (navigator.onLine) {
+      try {
+        if (cached?.pending) {
+          await this.push(key, cached.value);
+          return cached.value;
+        }
+
+        const { data, error } = await supabase
+          .from(PREFERENCES_TABLE)
+          .select('value')
+          .eq('key', key)
+          .maybeSingle();
+        if (error) throw error;
+        if (data) {
+          await this.offlineSync.setMeta(metaKey(key), { value: data.value, pending: false });
+          return data.value;
+        }
+      } catch (error) {
+        console.error(`Error loading the ${key} preference, using the cached copy:`, error);
+      }
+    }
+    return cached?.value ?? null;
+  }
+
+  // Failing to reach the server is not an error here: the change stays
+  // pending and goes with the next load
+  async save(key, value) {
+    await this.offlineSync.setMeta(metaKey(key), { value, pending: true });
+    if (!navigator.onLine) return;
+    try {
+      await this.push(key, value);
+    } catch (error) {
+      console.error(`Error saving the ${key} preference, will retry:`, error);
+    }
+  }
+
+  async push(key, value) {
+    const { error } = await supabase
+      .from(PREFERENCES_TABLE)
+      .upsert({ key, value }, { onConflict: 'user_id,key' });
+    if (error) throw error;
+    await this.offlineSync.setMeta(metaKey(key), { value, pending: false });
+  }
+}
+
+export default PreferencesService;
@@ -0,0 +1,56 @@
+import { supabase } from '../supabaseClient';
+
+const DEFECTS_TABLE = 'defects register';
+
+// Streams changes to the defects register for the user's vessels. `client`
+// is anything with supabase-js's channel API, so the stand-in from
+// localRealtime.js can drive it in development and tests.
+class RealtimeSync {
+  constructor(client = supabase) {
+    this.client = client;
+    this.channel = null;
+  }
+
+  // Replaces any earlier subscription. `onChange({ type, record, old })` is
+  // called for every INSERT, UPDATE and DELETE; `onResync()` runs when the
+  // channel reconnects after a drop, since whatever happened in between was
+  // never delivered.
+  subscribe(vesselIds, { onChange, onResync }) {
+    this.unsubscribe();
+    if (vesselIds.length === 0) return;
+
+    let connected = false;
+    this.channel = this.client
+      .channel(`defects:${vesselIds.join(',')}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: DEFECTS_TABLE,
+          filter: `vessel_id=in.(${vesselIds.join(',')})`
+        },
+        (payload) => onChange({
+          type: payload.eventType,
+          record: payload.new,
+          old: payload.old
+        })
+      )
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          if (connected) onResync?.();
+          connected = true;
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn('Realtime channel interrupted:', status);
+        }
+      });
+  }
+
+  unsubscribe() {
+    if (!this.channel) return;
+    this.client.removeChannel(this.channel);
+    this.channel = null;
+  }
+}
+
+export default RealtimeSync;
@@ -0,0 +1,63 @@
+import { supabase } from '../supabaseClient';
+import { BUILT_IN_TAXONOMY } from '../utils/equipmentTaxonomy';
+
+const TAXONOMY_TABLE = 'equipment_taxonomy';
+const TAXONOMY_META = 'equipmentTaxonomy';
+
+// The equipment taxonomy. Read from the server when online and kept in the
+// offline cache for when we are not; changes are admin-only and need a
+// connection.
+class TaxonomyService {
+  constructor(offlineSync) {
+    this.offlineSync = offlineSync;
+  }
+
+  async load() {
+    if (navigator.onLine) {
+      try {
+        const { data, error } = await supabase
+          .from(TAXONOMY_TABLE)
+          .select('*')
+          .order('sort_order', { ascending: true })
+          .order('name', { ascending: true });
+        if (error) throw error;
+        await this.offlineSync.setMeta(TAXONOMY_META, data);
+        return data;
+      } catch (error) {
+        console.error('Error loading equipment taxonomy, using the cached copy:', error);
+      }
+    }
+    const cached = await this.offlineSync.getMeta(TAXONOMY_META);
+    return cached?.length ? cached : BUILT_IN_TAXONOMY;
+  }
+
+  requireOnline() {
+    if (!navigator.onLine) throw new Error('Equipment can only be changed while online');
+  }
+
+  // New entries go at the end of their parent's list
+  async add({ name, parentId = null, sortOrder = 0 }) {
+    this.requireOnline();
+    const { data, error } = await supabase
+      .from(TAXONOMY_TABLE)
+      .insert([{ name: name.trim(), parent_id: parentId, sort_order: sortOrder }])
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, changes) {
+    this.requireOnline();
+    const { data, error } = await supabase
+      .from(TAXONOMY_TABLE)
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+}
+
+export default TaxonomyService;
@@ -0,0 +1,67 @@
+import { requestToPromise, transactionDone } from './offlineSchema';
+
+// Remembers which accounts have an offline cache on this computer so a
+// shared bridge PC can offer them at sign-in. Holds no defect data - each
+// account's records live in their own database (see OfflineSync.setUser).
+const REGISTRY_DB = 'defect-manager-accounts';
+const REGISTRY_VERSION = 1;
+
+const openRegistry = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(REGISTRY_DB, REGISTRY_VERSION);
+
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = (event) => {
+    event.target.result.createObjectStore('accounts', { keyPath: 'userId' });
+  };
+});
+
+const withAccounts = async (mode, task) => {
+  const db = await openRegistry();
+  try {
+    const tx = db.transaction('accounts', mode);
+    const result = await task(tx.objectStore('accounts'));
+    await transactionDone(tx);
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+export const listAccounts = async () => {
+  try {
+    const accounts = await withAccounts('readonly', store => requestToPromise(store.getAll()));
+    return accounts.sort((a, b) => (b.lastLoginAt || '').localeCompare(a.lastLoginAt || ''));
+  } catch (error) {
+    console.error('Error listing cached accounts:', error);
+    return [];
+  }
+};
+
+export const getAccount = async (userId) => {
+  try {
+    return await withAccounts('readonly', store => requestToPromise(store.get(userId)));
+  } catch (error) {
+    console.error('Error reading cached account:', error);
+    return null;
+  }
+};
+
+export const saveAccount = async (account) => {
+  try {
+    await withAccounts('readwrite', async (store) => {
+      const existing = await requestToPromise(store.get(account.userId));
+      store.put({ ...existing, ...account, lastLoginAt: new Date().toISOString() });
+    });
+  } catch (error) {
+    console.error('Error saving cached account:', error);
+  }
+};
+
+export const removeAccount = async (userId) => {
+  try {
+    await withAccounts('readwrite', store => store.delete(userId));
+  } catch (error) {
+    console.error('Error removing cached account:', error);
+  }
+};
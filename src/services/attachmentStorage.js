@@ -0,0 +1,76 @@
+import { supabase } from '../supabaseClient';
+import { createLocalStorageBucket } from './localStorageBucket';
+
+// Where attachment files and their rows live on the server (see
+// supabase/migrations/20261019130000_defect_attachments.sql). Used by
+// AttachmentService for changes made online and by OfflineSync when it
+// replays queued ones, so both write exactly the same thing.
+export const ATTACHMENTS_TABLE = 'defect_attachments';
+export const ATTACHMENTS_BUCKET = 'defect-attachments';
+
+// REACT_APP_STORAGE_STANDIN=true keeps files in this browser instead of
+// Supabase Storage; the attachment rows still go to the database.
+export const attachmentBucket = process.env.REACT_APP_STORAGE_STANDIN === 'true'
+  ? createLocalStorageBucket()
+  : supabase.storage.from(ATTACHMENTS_BUCKET);
+
+const safeFileName = (name) => (name || 'file').replace(/[^\w.-]+/g, '_');
+
+// The row for a file about to be attached. The id is ours, so a queued upload
+// can be retried without ever attaching the same file twice.
+export const buildAttachment = (defect, file) => {
+  const id = crypto.randomUUID();
+  return {
+    id,
+    defect_id: String(defect.id),
+    vessel_id: String(defect.vessel_id),
+    file_name: file.name || 'file',
+    content_type: file.type || 'application/octet-stream',
+    size: file.size,
+    storage_path: `${defect.vessel_id}/${id}/${safeFileName(file.name)}`
+  };
+};
+
+// Both steps are safe to repeat: the file is overwritten and a row that is
+// already there is left alone.
+export const uploadAttachment = async (attachment, blob) => {
+  const { error: uploadError } = await attachmentBucket.upload(attachment.storage_path, blob, {
+    contentType: attachment.content_type,
+    upsert: true
+  });
+  if (uploadError) throw uploadError;
+
+  const { data, error } = await supabase
+    .from(ATTACHMENTS_TABLE)
+    .upsert([attachment], { onConflict: 'id', ignoreDuplicates: true })
+    .select();
+  if (error) throw error;
+  return data?.[0] || attachment;
+};
+
+export const deleteAttachment = async (attachment) => {
+  const { error: removeError } = await attachmentBucket.remove([attachment.storage_path]);
+  if (removeError) throw removeError;
+
+  const { error } = await supabase
+    .from(ATTACHMENTS_TABLE)
+    .delete()
+    .eq('id', attachment.id);
+  if (error) throw error;
+};
+
+export const downloadAttachment = async (attachment) => {
+  const { data, error } = await attachmentBucket.download(attachment.storage_path);
+  if (error) throw error;
+  return data;
+};
+
+export const fetchAttachments = async (defectId) => {
+  const { data, error } = await supabase
+    .from(ATTACHMENTS_TABLE)
+    .select('*')
+    .eq('defect_id', String(defectId))
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
@@ -0,0 +1,100 @@
+// Encryption for the offline cache. Each account's cache has a random
+// AES-GCM key; what is stored is that key wrapped with one derived from the
+// user's password, so the password is needed to read anything back and a
+// password change only means re-wrapping the key.
+//
+// Sealed records keep a handful of fields in clear (keys and index columns)
+// and carry everything else in `_sealed`. public/service-worker.js reads the
+// same format - keep the two in step.
+
+const PBKDF2_ITERATIONS = 600000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const deriveWrappingKey = async (password, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+const unwrap = (wrapped, wrappingKey, extractable) => crypto.subtle.unwrapKey(
+  'raw', wrapped, wrappingKey, 'AES-KW', 'AES-GCM', extractable, ['encrypt', 'decrypt']
+);
+
+const wrapForPassword = async (key, password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await deriveWrappingKey(password, salt, PBKDF2_ITERATIONS);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, 'AES-KW');
+  return { salt, iterations: PBKDF2_ITERATIONS, wrapped: new Uint8Array(wrapped) };
+};
+
+// Opens a wrapped key with `password`. Resolves to null when the password is
+// not the one it was wrapped with (AES-KW verifies integrity on unwrap).
+export const unlockCacheKey = async (password, keyRecord, { extractable = false } = {}) => {
+  try {
+    const wrappingKey = await deriveWrappingKey(password, keyRecord.salt, keyRecord.iterations);
+    return await unwrap(keyRecord.wrapped, wrappingKey, extractable);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Creates the key for a new cache. Resolves to the usable (non-extractable)
+// key and the record to store next to the data.
+export const createCacheKey = async (password) => {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const keyRecord = await wrapForPassword(key, password);
+  return { key: await unlockCacheKey(password, keyRecord), keyRecord };
+};
+
+// Re-wraps a cache key after the user's password changed. Resolves to null
+// when `previousPassword` does not open it.
+export const rewrapCacheKey = async (previousPassword, password, keyRecord) => {
+  const key = await unlockCacheKey(previousPassword, keyRecord, { extractable: true });
+  if (!key) return null;
+  const rewrapped = await wrapForPassword(key, password);
+  return { key: await unlockCacheKey(password, rewrapped), keyRecord: rewrapped };
+};
+
+export const sealRecord = async (key, record, clearFields) => {
+  const clear = {};
+  const secret = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (clearFields.includes(field)) clear[field] = value;
+    else secret[field] = value;
+  });
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(secret))
+  );
+  return { ...clear, _sealed: { iv, data } };
+};
+
+// Records written before the cache was encrypted come back unchanged until
+// they are sealed.
+export const openRecord = async (key, stored) => {
+  if (!stored || !stored._sealed) return stored;
+  const { _sealed, ...clear } = stored;
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _sealed.iv }, key, _sealed.data);
+  return { ...clear, ...JSON.parse(decoder.decode(data)) };
+};
+
+// Files are sealed as they are, without the JSON round trip records take.
+export const sealBlob = async (key, blob) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { iv, data, type: blob.type };
+};
+
+export const openBlob = async (key, sealed) => {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+  return new Blob([data], { type: sealed.type });
+};
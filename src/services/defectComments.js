@@ -0,0 +1,55 @@
+import { supabase } from '../supabaseClient';
+
+// Comment threads on defects (see
+// supabase/migrations/20261019160000_defect_comments.sql). Used by
+// CommentService for comments posted online and by OfflineSync when it
+// replays queued ones.
+export const COMMENTS_TABLE = 'defect_comments';
+
+// The row for a new comment. The id is ours, so a queued comment can be
+// retried without posting it twice. Replies always hang off the comment that
+// started the thread.
+export const buildComment = (defect, { body, parentId = null, attachment = null }) => ({
+  id: crypto.randomUUID(),
+  defect_id: String(defect.id),
+  vessel_id: String(defect.vessel_id),
+  parent_id: parentId,
+  body: body.trim(),
+  attachment_id: attachment?.id || null,
+  attachment_name: attachment?.file_name || null,
+  created_at: new Date().toISOString()
+});
+
+// Safe to repeat: a comment that is already there is left alone.
+export const postComment = async (comment) => {
+  const { data, error } = await supabase
+    .from(COMMENTS_TABLE)
+    .upsert([comment], { onConflict: 'id', ignoreDuplicates: true })
+    .select();
+  if (error) throw error;
+  return data?.[0] || comment;
+};
+
+export const fetchComments = async (defectId) => {
+  const { data, error } = await supabase
+    .from(COMMENTS_TABLE)
+    .select('*')
+    .eq('defect_id', String(defectId))
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+// Top-level comments, oldest first, each with its replies. A reply whose
+// thread is missing is shown as a thread of its own.
+export const threadComments = (comments) => {
+  const sorted = [...comments].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const roots = new Set(sorted.filter(comment => !comment.parent_id).map(comment => comment.id));
+
+  return sorted
+    .filter(comment => !comment.parent_id || !roots.has(comment.parent_id))
+    .map(comment => ({
+      ...comment,
+      replies: sorted.filter(reply => reply.parent_id === comment.id)
+    }));
+};
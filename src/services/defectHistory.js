@@ -0,0 +1,77 @@
+import { supabase } from '../supabaseClient';
+import { changedFields, normalizeFieldValue } from '../utils/defectFields';
+import { DEFECTS_TABLE } from './OfflineSync';
+
+// Reads the change history the defect_history trigger keeps for each defect
+// (see supabase/migrations/20261019120000_defect_history.sql) and shapes it
+// into timeline entries. Changes still waiting in the outbox have no history
+// rows yet, so they are shown from the outbox itself.
+const HISTORY_TABLE = 'defect_history';
+
+// The *_by columns are stamped by the server and already show as `changedBy`;
+// equipment_id changes show through the readable equipment_path
+const HIDDEN_FIELDS = ['SNo', 'vessel_name', 'archived_by', 'deleted_by', 'equipment_id'];
+
+export const fetchDefectHistory = async (defectId) => {
+  const { data, error } = await supabase
+    .from(HISTORY_TABLE)
+    .select('*')
+    .eq('defect_id', String(defectId))
+    .order('changed_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// One entry per write: the trigger stores a row per field, all sharing the
+// writer and timestamp.
+export const groupHistory = (rows) => rows.reduce((entries, row) => {
+  const last = entries[entries.length - 1];
+  const sameWrite = last &&
+    last.changedAt === row.changed_at &&
+    last.changedBy === row.changed_by_email &&
+    last.action === row.action &&
+    last.origin === row.origin;
+
+  const entry = sameWrite ? last : {
+    key: `history_${row.id}`,
+    action: row.action,
+    changedAt: row.changed_at,
+    changedBy: row.changed_by_email,
+    origin: row.origin,
+    pending: false,
+    changes: []
+  };
+
+  if (row.field) {
+    entry.changes.push({ field: row.field, from: row.old_value, to: row.new_value });
+  }
+  return sameWrite ? entries : [...entries, entry];
+}, []);
+
+// Timeline entries for changes to one record that have not synced yet
+export const pendingHistory = (operations) => operations
+  .filter(operation => operation.table === DEFECTS_TABLE)
+  .map(operation => {
+    const fields = operation.type === 'delete'
+      ? []
+      : changedFields(operation.base, operation.payload)
+        .filter(field => operation.type !== 'create' || normalizeFieldValue(operation.payload[field]) !== '');
+
+    return {
+      key: `pending_${operation.seq}`,
+      action: operation.type,
+      changedAt: operation.changedAt || operation.createdAt,
+      changedBy: null,
+      origin: operation.origin || 'offline',
+      pending: true,
+      changes: fields.map(field => ({
+        field,
+        from: operation.base?.[field] ?? null,
+        to: operation.payload[field] ?? null
+      }))
+    };
+  });
+
+export const isHiddenHistoryField = (field) => HIDDEN_FIELDS.includes(field);
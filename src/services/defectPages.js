@@ -0,0 +1,69 @@
+import { supabase } from '../supabaseClient';
+import { DEFECTS_TABLE } from './OfflineSync';
+import { STATUS_FIELD } from '../utils/defectWorkflow';
+import { TARGET_FIELD, dueDateRange } from '../utils/sla';
+import { serverSortFields } from '../utils/defectColumns';
+
+// Reads the register from the server a page at a time, filtered and sorted
+// there, for fleets whose registers are too large to page through on the
+// laptop. Off unless REACT_APP_SERVER_PAGE_SIZE is set, and only used while
+// online; the cached register is what works offline either way.
+const pageSize = Number(process.env.REACT_APP_SERVER_PAGE_SIZE);
+export const SERVER_PAGE_SIZE = Number.isInteger(pageSize) && pageSize > 0 ? pageSize : 0;
+
+// The server searches these; the cached register searches every field
+const SEARCH_FIELDS = [
+  'defect_ref', 'vessel_name', 'Equipments', 'equipment_path',
+  'Description', 'Action Planned', 'Comments'
+];
+
+// PostgREST needs column names with spaces or brackets quoted
+const column = (name) => (/^[a-z_][a-z0-9_]*$/.test(name) ? name : `"${name}"`);
+
+// Characters that would end or nest an `or` filter
+const searchText = (term) => String(term || '').replace(/[,()*"\\]/g, ' ').trim();
+
+// `filters` are those of the register: status, criticality, due, equipment
+// (the system), search and showArchived. Returns the page's rows and how
+// many match in all.
+export const fetchDefectPage = async ({
+  vesselIds,
+  filters = {},
+  sort = [],
+  page = 0,
+  size = SERVER_PAGE_SIZE
+}) => {
+  let query = supabase
+    .from(DEFECTS_TABLE)
+    .select('*', { count: 'exact' })
+    .in('vessel_id', vesselIds)
+    .is('deleted_at', null);
+
+  if (!filters.showArchived) query = query.is('archived_at', null);
+  if (filters.status) query = query.eq(column(STATUS_FIELD), filters.status);
+  if (filters.criticality) query = query.eq(column('Criticality'), filters.criticality);
+  if (filters.equipment) query = query.eq(column('Equipments'), filters.equipment);
+
+  const due = dueDateRange(filters.due);
+  if (due) {
+    query = query.neq(column(STATUS_FIELD), 'CLOSED');
+    query = due.before
+      ? query.lt(TARGET_FIELD, due.before)
+      : query.gte(TARGET_FIELD, due.from).lte(TARGET_FIELD, due.to);
+  }
+
+  const term = searchText(filters.search);
+  if (term) {
+    query = query.or(SEARCH_FIELDS.map(field => `${column(field)}.ilike.*${term}*`).join(','));
+  }
+
+  // id last, so rows that tie keep the same order from page to page
+  [...serverSortFields(sort), { field: 'id', ascending: true }].forEach(({ field, ascending }) => {
+    query = query.order(column(field), { ascending, nullsFirst: false });
+  });
+
+  const from = page * size;
+  const { data, count, error } = await query.range(from, from + size - 1);
+  if (error) throw error;
+  return { items: data || [], total: count || 0 };
+};
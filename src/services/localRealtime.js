@@ -0,0 +1,76 @@
+// In-memory stand-in for the Supabase Realtime client. It offers the same
+// channel API RealtimeSync uses, but events come from `emit()` rather than
+// the database. Filters are applied the way the server applies them,
+// including delete events ignoring them.
+
+const matchesFilter = (filter, row) => {
+  const [, column, operator, value] = /^(\w+)=(eq|in)\.(.*)$/.exec(filter || '') || [];
+  if (!column) return true;
+  const allowed = operator === 'in' ? value.replace(/^\(|\)$/g, '').split(',') : [value];
+  return allowed.includes(String(row?.[column]));
+};
+
+export const createLocalRealtimeClient = () => {
+  const channels = new Set();
+
+  const client = {
+    channel(name) {
+      const listeners = [];
+      const channel = {
+        name,
+        statusCallback: null,
+        on(type, options, callback) {
+          listeners.push({ type, options, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          channel.statusCallback = callback || null;
+          channels.add(channel);
+          setTimeout(() => channel.statusCallback?.('SUBSCRIBED'), 0);
+          return channel;
+        },
+        deliver(table, payload) {
+          listeners
+            .filter(({ type, options }) =>
+              type === 'postgres_changes' &&
+              options.table === table &&
+              (options.event === '*' || options.event === payload.eventType) &&
+              (payload.eventType === 'DELETE' || matchesFilter(options.filter, payload.new))
+            )
+            .forEach(({ callback }) => callback(payload));
+        }
+      };
+      return channel;
+    },
+
+    removeChannel(channel) {
+      channels.delete(channel);
+      return Promise.resolve('ok');
+    },
+
+    // Sends a change to every matching subscription, e.g.
+    // emit('defects register', 'UPDATE', { new: row })
+    emit(table, eventType, { new: newRow = {}, old = {} } = {}) {
+      const payload = {
+        schema: 'public',
+        table,
+        eventType,
+        commit_timestamp: new Date().toISOString(),
+        new: newRow,
+        old,
+        errors: null
+      };
+      channels.forEach(channel => channel.deliver(table, payload));
+    },
+
+    // Simulates the connection dropping and coming back
+    reconnect() {
+      channels.forEach(channel => {
+        channel.statusCallback?.('CHANNEL_ERROR');
+        channel.statusCallback?.('SUBSCRIBED');
+      });
+    }
+  };
+
+  return client;
+};
@@ -0,0 +1,53 @@
+import { requestToPromise, transactionDone } from './offlineSchema';
+
+// Stand-in for a Supabase Storage bucket that keeps files in this browser.
+// It offers the part of the bucket API attachments use (upload, download,
+// remove) with the same `{ data, error }` results, so the app can be run
+// against a project without Storage set up.
+const STANDIN_DB = 'defect-manager-storage-standin';
+
+const openStandIn = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(STANDIN_DB, 1);
+
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = (event) => {
+    event.target.result.createObjectStore('objects', { keyPath: 'path' });
+  };
+});
+
+const withObjects = async (mode, task) => {
+  const db = await openStandIn();
+  try {
+    const tx = db.transaction('objects', mode);
+    const result = await task(tx.objectStore('objects'));
+    await transactionDone(tx);
+    return { data: result, error: null };
+  } catch (error) {
+    return { data: null, error };
+  } finally {
+    db.close();
+  }
+};
+
+export const createLocalStorageBucket = () => ({
+  upload: (path, file, { contentType, upsert = false } = {}) => withObjects('readwrite', async (objects) => {
+    if (!upsert && await requestToPromise(objects.getKey(path))) {
+      throw new Error('The resource already exists');
+    }
+    const blob = contentType && file.type !== contentType ? new Blob([file], { type: contentType }) : file;
+    await requestToPromise(objects.put({ path, blob, updatedAt: new Date().toISOString() }));
+    return { path };
+  }),
+
+  download: (path) => withObjects('readonly', async (objects) => {
+    const stored = await requestToPromise(objects.get(path));
+    if (!stored) throw new Error('Object not found');
+    return stored.blob;
+  }),
+
+  remove: (paths) => withObjects('readwrite', async (objects) => {
+    await Promise.all(paths.map(path => requestToPromise(objects.delete(path))));
+    return paths.map(path => ({ name: path }));
+  })
+});
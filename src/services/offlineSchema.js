@@ -0,0 +1,134 @@
+// IndexedDB schema for the offline cache. Every schema change is a new entry
+// in MIGRATIONS; steps run in order inside the upgrade transaction, so a
+// browser that is several releases behind catches up in a single open.
+// Never edit a step that has shipped - add another one instead.
+
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const dateKey = (value) => {
+  if (!value) return '';
+  return String(value).slice(0, 10);
+};
+
+// IndexedDB key paths cannot contain spaces or brackets, so the register
+// columns we index are mirrored into underscore fields on every write.
+export const withIndexFields = (record) => ({
+  ...record,
+  _status: record['Status (Vessel)'] || '',
+  _criticality: record.Criticality || '',
+  _dateReported: dateKey(record['Date Reported'])
+});
+
+const eachRecord = (store, visit) => {
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    visit(cursor);
+    cursor.continue();
+  };
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (db) => {
+      db.createObjectStore('defects', { keyPath: 'localId' });
+    }
+  },
+  {
+    // Outbox of ordered operations. Records flagged `_syncStatus: 'pending'`
+    // by version 1 become outbox entries so nothing is lost in the upgrade.
+    version: 2,
+    migrate: (db, tx) => {
+      const outbox = db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+      outbox.createIndex('localId', 'localId');
+
+      const now = new Date().toISOString();
+      eachRecord(tx.objectStore('defects'), (cursor) => {
+        const { _syncStatus, ...record } = cursor.value;
+        if (_syncStatus !== 'pending') return;
+
+        const { localId, lastModified, ...payload } = record;
+        outbox.add({
+          type: String(record.id || '').startsWith('offline_') ? 'create' : 'update',
+          table: 'defects register',
+          localId,
+          recordId: record.id ?? null,
+          payload,
+          base: null,
+          conflict: null,
+          attempts: 0,
+          lastError: null,
+          lastAttemptAt: null,
+          createdAt: now,
+          updatedAt: now
+        });
+        cursor.update(record);
+      });
+    }
+  },
+  {
+    version: 3,
+    migrate: (db) => {
+      db.createObjectStore('idMap', { keyPath: 'provisionalId' });
+    }
+  },
+  {
+    // Indexes for the query API. Each one ends in the reported date so that
+    // results for a vessel, status or criticality come back in date order.
+    version: 4,
+    migrate: (db, tx) => {
+      const defects = tx.objectStore('defects');
+      defects.createIndex('vessel_id', ['vessel_id', '_dateReported']);
+      defects.createIndex('status', ['_status', '_dateReported']);
+      defects.createIndex('criticality', ['_criticality', '_dateReported']);
+      defects.createIndex('dateReported', '_dateReported');
+
+      eachRecord(defects, (cursor) => cursor.update(withIndexFields(cursor.value)));
+    }
+  },
+  {
+    // Small key/value store for sync checkpoints and similar bookkeeping.
+    version: 5,
+    migrate: (db) => {
+      db.createObjectStore('meta', { keyPath: 'key' });
+    }
+  },
+  {
+    // Files attached while offline, held until their upload in the outbox
+    // has gone through. Indexed by the defect they belong to.
+    version: 6,
+    migrate: (db) => {
+      const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+      attachments.createIndex('localId', 'localId');
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const openDatabase = (name, version = DB_VERSION) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, version);
+
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onblocked = () => console.warn('Offline database upgrade is waiting for other tabs to close');
+
+  request.onupgradeneeded = (event) => {
+    const db = event.target.result;
+    const tx = event.target.transaction;
+
+    MIGRATIONS
+      .filter(step => step.version > event.oldVersion && step.version <= version)
+      .forEach(step => step.migrate(db, tx));
+  };
+});
@@ -0,0 +1,3 @@
+// jsdom leaves out the text codecs the cache crypto reads at import time
+import { TextDecoder, TextEncoder } from 'util';
+Object.assign(global, { TextDecoder, TextEncoder });
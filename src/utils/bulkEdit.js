@@ -0,0 +1,91 @@
+// Changing many defects at once. Each selected defect is still saved on its
+// own, the same way as an edit from the defect dialog, so the status
+// workflow and the offline queue apply to every one. These work out what
+// each is saved with, and which have to be left out and why.
+import { STATUS_FIELD, STATUS_LABELS, workflowErrors } from './defectWorkflow';
+import { TARGET_FIELD, defaultTargetDate, followsDefaultTarget } from './sla';
+import { equipmentSelection } from './equipmentTaxonomy';
+import { REMOVAL_FIELDS, fieldsEqual } from './defectFields';
+
+export const BULK_ACTIONS = {
+  status: 'Change Status',
+  criticality: 'Change Criticality',
+  equipment: 'Reassign Equipment',
+  comment: 'Add Comment',
+  archive: 'Archive'
+};
+
+// The fields an action writes, from what was entered for it. Closure fields
+// only go with the status that needs them.
+export const bulkChanges = (action, values, { taxonomy = [], email = null } = {}) => {
+  switch (action) {
+    case 'status':
+      if (values.status === 'CLOSED') {
+        return {
+          [STATUS_FIELD]: 'CLOSED',
+          'Date Completed': values.dateCompleted,
+          closing_remarks: values.closingRemarks
+        };
+      }
+      return values.reopenReason?.trim()
+        ? { [STATUS_FIELD]: values.status, reopen_reason: values.reopenReason }
+        : { [STATUS_FIELD]: values.status };
+    case 'criticality':
+      return { Criticality: values.criticality };
+    case 'equipment':
+      return equipmentSelection(taxonomy, values.equipmentId);
+    case 'archive': {
+      const fields = REMOVAL_FIELDS.archive;
+      return {
+        [fields.at]: new Date().toISOString(),
+        [fields.by]: email,
+        [fields.reason]: values.reason?.trim() || null
+      };
+    }
+    default:
+      return {};
+  }
+};
+
+// A new criticality carries a target date along with it while that date is
+// still the default for the old one, as it does in the dialog
+const changesFor = (defect, changes) => {
+  if (!('Criticality' in changes) || !followsDefaultTarget(defect)) return changes;
+  return {
+    ...changes,
+    [TARGET_FIELD]: defaultTargetDate(changes.Criticality, defect['Date Reported']) || null
+  };
+};
+
+const skipReason = (defect, changes) => {
+  if (defect.deleted_at) return 'Deleted';
+  if (REMOVAL_FIELDS.archive.at in changes && defect.archived_at) return 'Already archived';
+
+  // A defect already in the status keeps its own closure details
+  if (STATUS_FIELD in changes && defect[STATUS_FIELD] === changes[STATUS_FIELD]) {
+    return `Already ${STATUS_LABELS[changes[STATUS_FIELD]]}`;
+  }
+  const fields = Object.keys(changes);
+  if (fields.length > 0 && fields.every(field => fieldsEqual(defect[field], changes[field]))) {
+    return 'Already set';
+  }
+  if (STATUS_FIELD in changes) {
+    const errors = workflowErrors(defect, { ...defect, ...changes });
+    if (errors.length > 0) return errors[0];
+  }
+  return null;
+};
+
+// Splits `defects` into those that will be saved, as { defect, changes },
+// and those left out, as { defect, reason }. With no changes (a comment on
+// its own) only deleted defects are left out.
+export const planBulkUpdate = (defects, changes) => defects.reduce((plan, defect) => {
+  const own = changesFor(defect, changes);
+  const reason = skipReason(defect, own);
+  if (reason) {
+    plan.skipped.push({ defect, reason });
+  } else {
+    plan.ready.push({ defect, changes: own });
+  }
+  return plan;
+}, { ready: [], skipped: [] });
@@ -0,0 +1,77 @@
+import { bulkChanges, planBulkUpdate } from './bulkEdit';
+import { STATUS_FIELD } from './defectWorkflow';
+
+const openDefect = {
+  id: 'a',
+  localId: 'a',
+  [STATUS_FIELD]: 'OPEN',
+  Criticality: 'High',
+  'Date Reported': '2026-01-01',
+  target_date: '2026-01-08'
+};
+
+describe('bulkChanges', () => {
+  it('only sends closure details with a close', () => {
+    const values = { status: 'CLOSED', dateCompleted: '2026-01-10', closingRemarks: 'Done', reopenReason: 'Stale' };
+    expect(bulkChanges('status', values)).toEqual({
+      [STATUS_FIELD]: 'CLOSED',
+      'Date Completed': '2026-01-10',
+      closing_remarks: 'Done'
+    });
+    expect(bulkChanges('status', { ...values, status: 'IN PROGRESS', reopenReason: ' ' }))
+      .toEqual({ [STATUS_FIELD]: 'IN PROGRESS' });
+  });
+
+  it('archives as the user, with a reason if given', () => {
+    const changes = bulkChanges('archive', { reason: ' ' }, { email: 'chief@example.com' });
+    expect(changes).toMatchObject({ archived_by: 'chief@example.com', archive_reason: null });
+    expect(changes.archived_at).toEqual(expect.any(String));
+  });
+});
+
+describe('planBulkUpdate', () => {
+  it('leaves out defects the change cannot apply to, with the reason', () => {
+    const plan = planBulkUpdate([
+      openDefect,
+      { ...openDefect, id: 'b', localId: 'b', [STATUS_FIELD]: 'IN PROGRESS' },
+      { ...openDefect, id: 'c', localId: 'c', [STATUS_FIELD]: 'CLOSED', 'Date Completed': '2026-01-05', closing_remarks: 'Done' },
+      { ...openDefect, id: 'd', localId: 'd', deleted_at: '2026-01-02T00:00:00Z' }
+    ], { [STATUS_FIELD]: 'IN PROGRESS' });
+
+    expect(plan.ready.map(entry => entry.defect.localId)).toEqual(['a']);
+    expect(plan.skipped.map(({ defect: skipped, reason }) => [skipped.localId, reason])).toEqual([
+      ['b', 'Already In Progress'],
+      ['c', 'A defect cannot move from Closed to In Progress'],
+      ['d', 'Deleted']
+    ]);
+  });
+
+  it('skips defects that already have every field', () => {
+    const plan = planBulkUpdate([
+      openDefect,
+      { ...openDefect, id: 'b', localId: 'b', Criticality: 'Low', target_date: '2026-04-01' }
+    ], { Criticality: 'Low' });
+    expect(plan.skipped).toEqual([{ defect: expect.objectContaining({ localId: 'b' }), reason: 'Already set' }]);
+  });
+
+  it('moves a default target date with the criticality, but not one set by hand', () => {
+    const plan = planBulkUpdate([openDefect, { ...openDefect, id: 'b', localId: 'b', target_date: '2026-02-15' }], { Criticality: 'Low' });
+    expect(plan.ready.map(entry => entry.changes)).toEqual([
+      { Criticality: 'Low', target_date: '2026-04-01' },
+      { Criticality: 'Low' }
+    ]);
+  });
+
+  it('skips only archived defects when archiving', () => {
+    const changes = bulkChanges('archive', {}, { email: 'chief@example.com' });
+    const plan = planBulkUpdate([openDefect, { ...openDefect, id: 'b', localId: 'b', archived_at: '2026-01-02T00:00:00Z' }], changes);
+    expect(plan.ready).toHaveLength(1);
+    expect(plan.skipped[0].reason).toBe('Already archived');
+  });
+
+  it('keeps every live defect for a comment on its own', () => {
+    const plan = planBulkUpdate([openDefect, { ...openDefect, id: 'b', localId: 'b', deleted_at: '2026-01-02T00:00:00Z' }], {});
+    expect(plan.ready).toEqual([{ defect: expect.objectContaining({ localId: 'a' }), changes: {} }]);
+    expect(plan.skipped[0].reason).toBe('Deleted');
+  });
+});
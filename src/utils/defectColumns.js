@@ -0,0 +1,251 @@
+// The columns the defects register can show, and each user's layout of them:
+// which are shown, in what order, how wide, and how rows are sorted and
+// grouped. The
+// layout is stored as a user preference (see
+// supabase/migrations/20261019200000_user_preferences.sql), so it may come
+// from an older version of this list and is always normalised before use.
+import { STATUSES, STATUS_FIELD, STATUS_LABELS } from './defectWorkflow';
+import { TARGET_FIELD } from './sla';
+import { defectEquipmentLabel } from './equipmentTaxonomy';
+import { REF_FIELD } from './defectRef';
+
+export const COLUMN_PREFERENCES_KEY = 'defectsTable';
+
+export const MIN_COLUMN_WIDTH = 56;
+
+const CRITICALITY_ORDER = ['High', 'Medium', 'Low'];
+
+const rank = (order) => (value) => {
+  const index = order.indexOf(value);
+  return index === -1 ? null : index;
+};
+
+// `type` decides how values compare; `value` reads what is compared and
+// `field` is the column the server sorts on instead (as plain text or
+// dates, so status and criticality come out alphabetical there).
+// `hidden` columns are offered in the column chooser but off by default.
+export const COLUMNS = [
+  { id: 'ref', field: REF_FIELD, label: 'Ref', width: 144, type: 'text', value: defect => defect[REF_FIELD] },
+  { id: 'vessel', field: 'vessel_name', label: 'Vessel', width: 112, type: 'text', value: defect => defect.vessel_name },
+  { id: 'status', field: STATUS_FIELD, label: 'Status', width: 104, type: 'number', value: defect => rank(STATUSES)(defect[STATUS_FIELD]) },
+  { id: 'criticality', field: 'Criticality', label: 'Criticality', width: 96, type: 'number', value: defect => rank(CRITICALITY_ORDER)(defect.Criticality) },
+  { id: 'equipment', field: 'equipment_path', label: 'Equipment', width: 128, type: 'text', value: defectEquipmentLabel },
+  { id: 'description', field: 'Description', label: 'Description', width: 240, type: 'text', value: defect => defect.Description },
+  { id: 'action', field: 'Action Planned', label: 'Action Planned', width: 220, type: 'text', value: defect => defect['Action Planned'] },
+  { id: 'reported', field: 'Date Reported', label: 'Reported', width: 96, type: 'date', value: defect => defect['Date Reported'] },
+  { id: 'completed', field: 'Date Completed', label: 'Completed', width: 96, type: 'date', value: defect => defect['Date Completed'] },
+  { id: 'target', field: TARGET_FIELD, label: 'Target', width: 112, type: 'date', value: defect => defect[TARGET_FIELD] },
+  { id: 'system', field: 'Equipments', label: 'System', width: 128, type: 'text', value: defect => defect.Equipments, hidden: true },
+  { id: 'comments', field: 'Comments', label: 'Comments', width: 200, type: 'text', value: defect => defect.Comments, hidden: true },
+  { id: 'sno', field: 'SNo', label: 'S.No', width: 64, type: 'number', value: defect => defect.SNo, hidden: true },
+  { id: 'closingRemarks', field: 'closing_remarks', label: 'Closing Remarks', width: 200, type: 'text', value: defect => defect.closing_remarks, hidden: true },
+  { id: 'reopenReason', field: 'reopen_reason', label: 'Reopen Reason', width: 200, type: 'text', value: defect => defect.reopen_reason, hidden: true },
+  { id: 'updated', field: 'updated_at', label: 'Last Updated', width: 144, type: 'date', value: defect => defect.updated_at, hidden: true }
+];
+
+const COLUMNS_BY_ID = Object.fromEntries(COLUMNS.map(column => [column.id, column]));
+
+export const DEFAULT_COLUMN_PREFERENCES = {
+  order: COLUMNS.map(column => column.id),
+  hidden: COLUMNS.filter(column => column.hidden).map(column => column.id),
+  widths: {},
+  sort: [{ id: 'reported', direction: 'desc' }],
+  groupBy: []
+};
+
+const knownIds = (ids) => (Array.isArray(ids) ? ids.filter(id => COLUMNS_BY_ID[id]) : []);
+
+// How deep groups can nest, e.g. vessel then equipment
+export const GROUP_LEVELS = 2;
+
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+// What the register can be grouped by. Groups come in `order` where one is
+// given, otherwise alphabetically, or newest first when `descending`;
+// defects with no value are grouped together last.
+export const GROUP_BY = [
+  { id: 'vessel', label: 'Vessel', empty: 'No vessel', value: defect => defect.vessel_name },
+  { id: 'equipment', label: 'Equipment', empty: 'No equipment', value: defectEquipmentLabel },
+  { id: 'criticality', label: 'Criticality', empty: 'No criticality', value: defect => defect.Criticality, order: CRITICALITY_ORDER },
+  {
+    id: 'status',
+    label: 'Status',
+    empty: 'No status',
+    value: defect => defect[STATUS_FIELD],
+    order: STATUSES,
+    format: status => STATUS_LABELS[status] || status
+  },
+  {
+    id: 'month',
+    label: 'Reported Month',
+    empty: 'No report date',
+    value: defect => (defect['Date Reported'] ? String(defect['Date Reported']).slice(0, 7) : ''),
+    descending: true,
+    format: formatMonth
+  }
+];
+
+const GROUP_BY_IDS = Object.fromEntries(GROUP_BY.map(group => [group.id, group]));
+
+// Saved layouts lose columns that no longer exist; columns added since are
+// put at the end, hidden if they are hidden by default.
+export const normalizeColumnPreferences = (saved) => {
+  if (!saved) return DEFAULT_COLUMN_PREFERENCES;
+
+  const order = [...new Set(knownIds(saved.order))];
+  const added = DEFAULT_COLUMN_PREFERENCES.order.filter(id => !order.includes(id));
+  const widths = Object.fromEntries(Object.entries(saved.widths || {})
+    .filter(([id, width]) => COLUMNS_BY_ID[id] && Number.isFinite(width))
+    .map(([id, width]) => [id, Math.max(MIN_COLUMN_WIDTH, Math.round(width))]));
+  const sort = (Array.isArray(saved.sort) ? saved.sort : [])
+    .filter(key => COLUMNS_BY_ID[key?.id] && ['asc', 'desc'].includes(key.direction));
+  const groupBy = [...new Set(Array.isArray(saved.groupBy) ? saved.groupBy : [])]
+    .filter(id => GROUP_BY_IDS[id])
+    .slice(0, GROUP_LEVELS);
+
+  return {
+    order: [...order, ...added],
+    hidden: [
+      ...knownIds(saved.hidden),
+      ...added.filter(id => COLUMNS_BY_ID[id].hidden)
+    ],
+    widths,
+    sort: Array.isArray(saved.sort) ? sort : DEFAULT_COLUMN_PREFERENCES.sort,
+    groupBy
+  };
+};
+
+// The shown columns in order, each with its width
+export const visibleColumns = (preferences) => preferences.order
+  .filter(id => !preferences.hidden.includes(id))
+  .map(id => ({ ...COLUMNS_BY_ID[id], width: preferences.widths[id] || COLUMNS_BY_ID[id].width }));
+
+// A plain click sorts by that column alone, ascending then descending. With
+// shift it is added to the existing keys or, if already one, flipped; a
+// third shift-click on a descending key drops it.
+export const toggleSort = (sort, id, additive = false) => {
+  const current = sort.find(key => key.id === id);
+
+  if (!additive) {
+    const direction = sort.length === 1 && current?.direction === 'asc' ? 'desc' : 'asc';
+    return [{ id, direction }];
+  }
+  if (!current) return [...sort, { id, direction: 'asc' }];
+  if (current.direction === 'asc') {
+    return sort.map(key => (key.id === id ? { id, direction: 'desc' } : key));
+  }
+  return sort.filter(key => key.id !== id);
+};
+
+const comparable = (type, value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'date') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  if (type === 'number') return Number(value);
+  return String(value).toLowerCase();
+};
+
+// Sorted copy of `defects`. Empty values go last whichever the direction;
+// rows that tie on every key keep their order.
+export const sortDefects = (defects, sort) => {
+  const keys = sort.filter(key => COLUMNS_BY_ID[key.id]);
+  if (keys.length === 0) return defects;
+
+  return defects
+    .map((defect, index) => ({
+      defect,
+      index,
+      values: keys.map(key => {
+        const column = COLUMNS_BY_ID[key.id];
+        return comparable(column.type, column.value(defect));
+      })
+    }))
+    .sort((a, b) => {
+      for (let i = 0; i < keys.length; i += 1) {
+        const x = a.values[i];
+        const y = b.values[i];
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        if (order !== 0) return keys[i].direction === 'desc' ? -order : order;
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.defect);
+};
+
+// The sort as server columns, for reading the register a page at a time
+export const serverSortFields = (sort) => sort
+  .filter(key => COLUMNS_BY_ID[key.id])
+  .map(key => ({ field: COLUMNS_BY_ID[key.id].field, ascending: key.direction === 'asc' }));
+
+// `order` with `id` moved to just before `beforeId`, or to the end
+export const moveColumn = (order, id, beforeId = null) => {
+  const rest = order.filter(other => other !== id);
+  const at = beforeId ? rest.indexOf(beforeId) : -1;
+  return at === -1 ? [...rest, id] : [...rest.slice(0, at), id, ...rest.slice(at)];
+};
+
+const compareGroups = (group, a, b) => {
+  if (a === b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  if (group.order) {
+    const x = group.order.indexOf(a);
+    const y = group.order.indexOf(b);
+    if (x !== y) return x === -1 ? 1 : y === -1 ? -1 : x - y;
+  }
+  const order = a.localeCompare(b);
+  return group.descending ? -order : order;
+};
+
+// `defects`, already sorted, as the rows of a grouped register: a header
+// for each group, with its count and how many are open and closed, then
+// its subgroups or defects in their sorted order. The defects of a group
+// whose key is in `collapsed` are left out, but still counted.
+export const groupRows = (defects, groupBy, collapsed = new Set()) => {
+  const levels = groupBy.map(id => GROUP_BY_IDS[id]).filter(Boolean);
+  const rows = [];
+
+  const add = (members, depth, parentKey) => {
+    if (depth === levels.length) {
+      members.forEach(defect => rows.push({ type: 'defect', key: defect.localId, defect }));
+      return;
+    }
+
+    const group = levels[depth];
+    const buckets = new Map();
+    members.forEach(defect => {
+      const value = group.value(defect) || '';
+      if (!buckets.has(value)) buckets.set(value, []);
+      buckets.get(value).push(defect);
+    });
+
+    [...buckets.keys()].sort((a, b) => compareGroups(group, a, b)).forEach(value => {
+      const bucket = buckets.get(value);
+      const key = `${parentKey}/${group.id}:${value}`;
+      const closed = bucket.filter(defect => defect[STATUS_FIELD] === 'CLOSED').length;
+      rows.push({
+        type: 'group',
+        key,
+        depth,
+        label: group.label,
+        value: value ? (group.format ? group.format(value) : value) : group.empty,
+        count: bucket.length,
+        open: bucket.length - closed,
+        closed,
+        ids: bucket.map(defect => defect.localId)
+      });
+      if (!collapsed.has(key)) add(bucket, depth + 1, key);
+    });
+  };
+
+  add(defects, 0, 'group');
+  return rows;
+};
@@ -0,0 +1,107 @@
+import {
+  DEFAULT_COLUMN_PREFERENCES,
+  GROUP_LEVELS,
+  groupRows,
+  normalizeColumnPreferences
+} from './defectColumns';
+import { STATUS_FIELD } from './defectWorkflow';
+
+const aurora = {
+  vessel_name: 'Aurora',
+  Equipments: 'Main Engine',
+  Criticality: 'High',
+  [STATUS_FIELD]: 'OPEN',
+  'Date Reported': '2026-01-15'
+};
+
+const defects = [
+  { ...aurora, localId: 'a', [STATUS_FIELD]: 'CLOSED' },
+  { ...aurora, localId: 'b', vessel_name: 'Borealis' },
+  { ...aurora, localId: 'c', [STATUS_FIELD]: 'IN PROGRESS', Equipments: 'Generator' },
+  { ...aurora, localId: 'd', vessel_name: '' }
+];
+
+const summary = (rows) => rows.map(row => (row.type === 'group'
+  ? `${'  '.repeat(row.depth)}${row.value} (${row.count})`
+  : row.key));
+
+describe('normalizeColumnPreferences', () => {
+  it('uses the defaults when nothing is saved', () => {
+    expect(normalizeColumnPreferences(null)).toBe(DEFAULT_COLUMN_PREFERENCES);
+  });
+
+  it('drops what no longer exists and adds new columns at the end', () => {
+    const saved = {
+      order: ['status', 'gone', 'status', 'vessel'],
+      hidden: ['vessel', 'gone'],
+      widths: { status: 10, vessel: 150.4, gone: 200, equipment: 'wide' },
+      sort: [{ id: 'gone', direction: 'asc' }, { id: 'status', direction: 'up' }, { id: 'vessel', direction: 'desc' }]
+    };
+    const preferences = normalizeColumnPreferences(saved);
+
+    expect(preferences.order.slice(0, 2)).toEqual(['status', 'vessel']);
+    expect([...preferences.order].sort()).toEqual([...DEFAULT_COLUMN_PREFERENCES.order].sort());
+    expect(preferences.hidden).toEqual(['vessel', ...DEFAULT_COLUMN_PREFERENCES.hidden]);
+    expect(preferences.widths).toEqual({ status: 56, vessel: 150 });
+    expect(preferences.sort).toEqual([{ id: 'vessel', direction: 'desc' }]);
+  });
+
+  it('keeps a saved choice of no sort', () => {
+    expect(normalizeColumnPreferences({ order: [], sort: [] }).sort).toEqual([]);
+  });
+
+  it('keeps known groupings once each, up to the nesting allowed', () => {
+    const preferences = normalizeColumnPreferences({ groupBy: ['vessel', 'vessel', 'nothing', 'status', 'month'] });
+    expect(preferences.groupBy).toEqual(['vessel', 'status'].slice(0, GROUP_LEVELS));
+    expect(normalizeColumnPreferences({ order: [] }).groupBy).toEqual([]);
+  });
+});
+
+describe('groupRows', () => {
+  it('lists the defects alone when not grouped', () => {
+    expect(groupRows(defects, [])).toEqual(defects.map(item => ({ type: 'defect', key: item.localId, defect: item })));
+  });
+
+  it('groups alphabetically, with no value last, keeping the sorted order', () => {
+    expect(summary(groupRows(defects, ['vessel']))).toEqual([
+      'Aurora (2)', 'a', 'c',
+      'Borealis (1)', 'b',
+      'No vessel (1)', 'd'
+    ]);
+  });
+
+  it('counts the open and closed defects of a group', () => {
+    const [group] = groupRows(defects, ['vessel']);
+    expect(group).toMatchObject({ key: 'group/vessel:Aurora', count: 2, open: 1, closed: 1, ids: ['a', 'c'] });
+  });
+
+  it('follows the workflow order for status', () => {
+    expect(summary(groupRows(defects, ['status']))).toEqual([
+      'Open (2)', 'b', 'd',
+      'In Progress (1)', 'c',
+      'Closed (1)', 'a'
+    ]);
+  });
+
+  it('puts the newest month first', () => {
+    const rows = groupRows([
+      { ...aurora, localId: 'a', 'Date Reported': '2025-12-20' },
+      { ...aurora, localId: 'b' }
+    ], ['month']);
+    expect(rows.filter(row => row.type === 'group').map(row => row.key))
+      .toEqual(['group/month:2026-01', 'group/month:2025-12']);
+  });
+
+  it('nests groups and leaves out what is folded', () => {
+    const collapsed = new Set(['group/vessel:Aurora/equipment:Main Engine']);
+    expect(summary(groupRows(defects, ['vessel', 'equipment'], collapsed))).toEqual([
+      'Aurora (2)',
+      '  Generator (1)', 'c',
+      '  Main Engine (1)',
+      'Borealis (1)',
+      '  Main Engine (1)', 'b',
+      'No vessel (1)',
+      '  Main Engine (1)', 'd'
+    ]);
+  });
+});
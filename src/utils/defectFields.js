@@ -0,0 +1,82 @@
+// Columns of the defects register that users edit and that take part in
+// offline sync and conflict checks.
+export const SYNC_FIELDS = [
+  'vessel_id',
+  'vessel_name',
+  'Status (Vessel)',
+  'Equipments',
+  'Description',
+  'Action Planned',
+  'Criticality',
+  'Date Reported',
+  'Date Completed',
+  'Comments',
+  'SNo',
+  'archived_at',
+  'archived_by',
+  'archive_reason',
+  'deleted_at',
+  'deleted_by',
+  'delete_reason',
+  'closing_remarks',
+  'reopen_reason',
+  'target_date',
+  'equipment_id',
+  'equipment_path',
+  'duplicate_of'
+];
+
+export const FIELD_LABELS = {
+  vessel_id: 'Vessel',
+  vessel_name: 'Vessel Name',
+  'Status (Vessel)': 'Status',
+  Equipments: 'Equipment',
+  Description: 'Description',
+  'Action Planned': 'Action Planned',
+  Criticality: 'Criticality',
+  'Date Reported': 'Date Reported',
+  'Date Completed': 'Date Completed',
+  Comments: 'Comments',
+  SNo: 'S.No',
+  archived_at: 'Archived',
+  archived_by: 'Archived By',
+  archive_reason: 'Archive Reason',
+  deleted_at: 'Deleted',
+  deleted_by: 'Deleted By',
+  delete_reason: 'Delete Reason',
+  closing_remarks: 'Closing Remarks',
+  reopen_reason: 'Reopen Reason',
+  target_date: 'Target Date',
+  equipment_id: 'Equipment Entry',
+  equipment_path: 'Equipment Detail',
+  duplicate_of: 'Duplicate Of'
+};
+
+// Soft-delete columns for each way a defect can leave the register
+export const REMOVAL_FIELDS = {
+  archive: { at: 'archived_at', by: 'archived_by', reason: 'archive_reason' },
+  delete: { at: 'deleted_at', by: 'deleted_by', reason: 'delete_reason' }
+};
+
+// Supabase hands back null where the forms use '' and full timestamps where
+// the forms use plain dates, so compare on a normalised string. Other
+// timestamps are compared as instants, whatever their offset or precision.
+export const normalizeFieldValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}T00:00:00/.test(text)) return text.slice(0, 10);
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) && !Number.isNaN(Date.parse(text))) {
+    return new Date(text).toISOString();
+  }
+  return text;
+};
+
+export const fieldsEqual = (a, b) => normalizeFieldValue(a) === normalizeFieldValue(b);
+
+export const pickSyncFields = (record) => SYNC_FIELDS.reduce((acc, field) => {
+  acc[field] = record?.[field] ?? null;
+  return acc;
+}, {});
+
+export const changedFields = (from, to) =>
+  SYNC_FIELDS.filter(field => !fieldsEqual(from?.[field], to?.[field]));
@@ -0,0 +1,16 @@
+// Defect references such as STAR-2026-0042. The server numbers defects per
+// vessel and year when they are inserted (see
+// supabase/migrations/20261019180000_defect_refs.sql); a defect raised
+// offline carries a provisional PROV- reference until its first sync.
+
+export const REF_FIELD = 'defect_ref';
+
+const PROVISIONAL_REF_PREFIX = 'PROV-';
+
+export const createProvisionalRef = () =>
+  `${PROVISIONAL_REF_PREFIX}${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+
+export const isProvisionalRef = (ref) =>
+  typeof ref === 'string' && ref.startsWith(PROVISIONAL_REF_PREFIX);
+
+export const formatDefectRef = (defect) => defect[REF_FIELD] || '-';
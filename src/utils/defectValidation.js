@@ -0,0 +1,33 @@
+// The checks a defect must pass before it is saved, from the defect dialog
+// or edited in place in the register, so both refuse the same things.
+import { workflowErrors } from './defectWorkflow';
+
+export const REQUIRED_FIELDS = [
+  'vessel_id',
+  'Equipments',
+  'Description',
+  'Status (Vessel)',
+  'Criticality',
+  'Date Reported'
+];
+
+// What stops `defect` being saved over `previous` (null for a new defect),
+// as the title and description of a toast, or null if nothing does
+export const validateDefect = (previous, defect) => {
+  const missing = REQUIRED_FIELDS.filter(field => !defect[field]);
+  if (missing.length > 0) {
+    return {
+      title: "Required Fields Missing",
+      description: "Please fill in all required fields"
+    };
+  }
+
+  const errors = workflowErrors(previous, defect);
+  if (errors.length > 0) {
+    return {
+      title: "Cannot Save Status",
+      description: errors.join('. ')
+    };
+  }
+  return null;
+};
@@ -0,0 +1,116 @@
+// Status workflow for the defects register. A defect moves
+// OPEN -> IN PROGRESS -> CLOSED and can only go back by being reopened.
+// Closing needs a completion date and closing remarks, reopening needs a
+// reason. The same rules are enforced by the database (see
+// supabase/migrations/20261019140000_defect_status_workflow.sql) so a change
+// queued offline cannot slip past them.
+
+export const STATUS_FIELD = 'Status (Vessel)';
+
+export const STATUSES = ['OPEN', 'IN PROGRESS', 'CLOSED'];
+
+export const STATUS_LABELS = {
+  OPEN: 'Open',
+  'IN PROGRESS': 'In Progress',
+  CLOSED: 'Closed'
+};
+
+// New defects cannot be raised already closed
+export const INITIAL_STATUSES = ['OPEN', 'IN PROGRESS'];
+
+const TRANSITIONS = {
+  OPEN: ['IN PROGRESS'],
+  'IN PROGRESS': ['CLOSED'],
+  CLOSED: ['OPEN']
+};
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : '');
+
+// Date inputs give the ship's local date, so compare with that
+const localToday = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const isBlank = (value) => !String(value ?? '').trim();
+
+export const isReopen = (fromStatus, toStatus) =>
+  fromStatus === 'CLOSED' && toStatus !== 'CLOSED';
+
+// Statuses a defect currently in `fromStatus` may be saved with (its own
+// included). Records from before the workflow, with a status it does not
+// know, may move anywhere once.
+export const allowedStatuses = (fromStatus) => {
+  if (!fromStatus) return INITIAL_STATUSES;
+  if (!TRANSITIONS[fromStatus]) return STATUSES;
+  return [fromStatus, ...TRANSITIONS[fromStatus]];
+};
+
+// Problems with saving `next` over `previous` (null for a new defect), as
+// messages for the user. Closure rules are only checked when a defect is
+// being closed or its closure details change, so older closed defects can
+// still be archived or corrected elsewhere; a closed defect's dates are
+// checked against each other whenever either of them changes.
+export const workflowErrors = (previous, next) => {
+  const fromStatus = previous?.[STATUS_FIELD] || null;
+  const toStatus = next[STATUS_FIELD];
+  const errors = [];
+
+  if (!STATUSES.includes(toStatus)) {
+    return [`Unknown status "${toStatus || ''}"`];
+  }
+  if (!allowedStatuses(fromStatus).includes(toStatus)) {
+    errors.push(fromStatus
+      ? `A defect cannot move from ${STATUS_LABELS[fromStatus] || fromStatus} to ${STATUS_LABELS[toStatus]}`
+      : `A new defect must start as ${INITIAL_STATUSES.map(status => STATUS_LABELS[status]).join(' or ')}`);
+  }
+
+  const completed = dateOnly(next['Date Completed']);
+  const reported = dateOnly(next['Date Reported']);
+  const closing = toStatus === 'CLOSED' && (
+    fromStatus !== 'CLOSED' ||
+    completed !== dateOnly(previous?.['Date Completed']) ||
+    (next.closing_remarks ?? '') !== (previous?.closing_remarks ?? '')
+  );
+  const redated = toStatus === 'CLOSED' && (
+    closing || reported !== dateOnly(previous?.['Date Reported'])
+  );
+
+  if (closing && !completed) {
+    errors.push('Closing a defect needs the date it was completed');
+  }
+  if (redated && completed && completed < reported) {
+    errors.push('Date Completed cannot be before Date Reported');
+  }
+  if (closing && completed > localToday()) {
+    errors.push('Date Completed cannot be in the future');
+  }
+  if (closing && isBlank(next.closing_remarks)) {
+    errors.push('Closing a defect needs closing remarks');
+  }
+
+  if (isReopen(fromStatus, toStatus) && isBlank(next.reopen_reason)) {
+    errors.push('Reopening a defect needs a reason');
+  }
+
+  return errors;
+};
+
+// The closure fields a save of `next` over `previous` must write: only a
+// closed defect is complete, and a closed one no longer carries its reopen
+// reason. The history keeps the values they replace.
+export const workflowFields = (previous, next) => {
+  const fromStatus = previous?.[STATUS_FIELD] || null;
+  const toStatus = next[STATUS_FIELD];
+  const reopenReason = next.reopen_reason?.trim() || null;
+
+  if (toStatus !== 'CLOSED') {
+    return { 'Date Completed': null, closing_remarks: null, reopen_reason: reopenReason };
+  }
+  return {
+    'Date Completed': next['Date Completed'] || null,
+    closing_remarks: next.closing_remarks?.trim() || null,
+    reopen_reason: fromStatus === 'CLOSED' ? reopenReason : null
+  };
+};
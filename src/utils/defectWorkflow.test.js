@@ -0,0 +1,117 @@
+import {
+  STATUS_FIELD,
+  allowedStatuses,
+  isReopen,
+  workflowErrors,
+  workflowFields
+} from './defectWorkflow';
+
+const open = {
+  [STATUS_FIELD]: 'OPEN',
+  'Date Reported': '2026-01-01',
+  'Date Completed': null,
+  closing_remarks: null,
+  reopen_reason: null
+};
+const inProgress = { ...open, [STATUS_FIELD]: 'IN PROGRESS' };
+const closed = {
+  ...open,
+  [STATUS_FIELD]: 'CLOSED',
+  'Date Completed': '2026-01-10',
+  closing_remarks: 'Seal replaced'
+};
+
+describe('allowedStatuses', () => {
+  it('lets a new defect start open or in progress', () => {
+    expect(allowedStatuses(null)).toEqual(['OPEN', 'IN PROGRESS']);
+  });
+
+  it('allows only the next step of the workflow', () => {
+    expect(allowedStatuses('OPEN')).toEqual(['OPEN', 'IN PROGRESS']);
+    expect(allowedStatuses('IN PROGRESS')).toEqual(['IN PROGRESS', 'CLOSED']);
+    expect(allowedStatuses('CLOSED')).toEqual(['CLOSED', 'OPEN']);
+  });
+
+  it('lets a status from before the workflow move anywhere', () => {
+    expect(allowedStatuses('PENDING')).toEqual(['OPEN', 'IN PROGRESS', 'CLOSED']);
+  });
+});
+
+describe('isReopen', () => {
+  it('is only a move away from closed', () => {
+    expect(isReopen('CLOSED', 'OPEN')).toBe(true);
+    expect(isReopen('CLOSED', 'CLOSED')).toBe(false);
+    expect(isReopen('OPEN', 'IN PROGRESS')).toBe(false);
+  });
+});
+
+describe('workflowErrors', () => {
+  it('accepts each step of the workflow', () => {
+    expect(workflowErrors(null, open)).toEqual([]);
+    expect(workflowErrors(open, inProgress)).toEqual([]);
+    expect(workflowErrors(inProgress, closed)).toEqual([]);
+    expect(workflowErrors(closed, { ...open, reopen_reason: 'Leaking again' })).toEqual([]);
+  });
+
+  it('rejects an unknown status', () => {
+    expect(workflowErrors(open, { ...open, [STATUS_FIELD]: 'DONE' })).toEqual(['Unknown status "DONE"']);
+  });
+
+  it('rejects a new defect raised closed', () => {
+    expect(workflowErrors(null, closed)).toContain('A new defect must start as Open or In Progress');
+  });
+
+  it('rejects skipping a step', () => {
+    expect(workflowErrors(open, closed)).toEqual(['A defect cannot move from Open to Closed']);
+  });
+
+  it('asks for a completion date and remarks when closing', () => {
+    expect(workflowErrors(inProgress, { ...closed, 'Date Completed': '', closing_remarks: ' ' })).toEqual([
+      'Closing a defect needs the date it was completed',
+      'Closing a defect needs closing remarks'
+    ]);
+  });
+
+  it('rejects a completion date before the report or in the future', () => {
+    expect(workflowErrors(inProgress, { ...closed, 'Date Completed': '2025-12-31' }))
+      .toEqual(['Date Completed cannot be before Date Reported']);
+    expect(workflowErrors(inProgress, { ...closed, 'Date Completed': '2999-01-01' }))
+      .toEqual(['Date Completed cannot be in the future']);
+  });
+
+  it('keeps the dates of a closed defect in order when either is edited', () => {
+    expect(workflowErrors(closed, { ...closed, 'Date Reported': '2026-01-11' }))
+      .toEqual(['Date Completed cannot be before Date Reported']);
+    expect(workflowErrors(closed, { ...closed, 'Date Completed': '2025-12-31' }))
+      .toEqual(['Date Completed cannot be before Date Reported']);
+    expect(workflowErrors(closed, { ...closed, 'Date Reported': '2026-01-05' })).toEqual([]);
+  });
+
+  it('leaves the closure of a defect already closed alone', () => {
+    const legacy = { ...closed, 'Date Completed': null, closing_remarks: null };
+    expect(workflowErrors(legacy, { ...legacy, archived_at: '2026-02-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('asks for a reason when reopening', () => {
+    expect(workflowErrors(closed, open)).toEqual(['Reopening a defect needs a reason']);
+  });
+});
+
+describe('workflowFields', () => {
+  it('clears the closure of a defect that is not closed', () => {
+    expect(workflowFields(closed, { ...closed, [STATUS_FIELD]: 'OPEN', reopen_reason: ' Leaking again ' })).toEqual({
+      'Date Completed': null,
+      closing_remarks: null,
+      reopen_reason: 'Leaking again'
+    });
+  });
+
+  it('keeps the closure and drops the reopen reason when closing', () => {
+    const reopened = { ...inProgress, reopen_reason: 'Leaking again' };
+    expect(workflowFields(reopened, { ...closed, reopen_reason: 'Leaking again' })).toEqual({
+      'Date Completed': '2026-01-10',
+      closing_remarks: 'Seal replaced',
+      reopen_reason: null
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// Helpers for the equipment taxonomy (see
+// supabase/migrations/20261019170000_equipment_taxonomy.sql): systems, their
+// sub-systems and components. Entries are flat rows pointing at their parent;
+// these turn them into the tree the picker, filters and exports show.
+
+export const LEVEL_LABELS = {
+  1: 'System',
+  2: 'Sub-system',
+  3: 'Component'
+};
+
+export const MAX_LEVEL = 3;
+
+const PATH_SEPARATOR = ' > ';
+
+// The systems the defect form offered before the taxonomy existed. Only used
+// when this computer has never loaded the real one; they carry no id, so a
+// defect raised against one is linked up by name on the server.
+const BUILT_IN_SYSTEMS = [
+  'Air System and Air Compressor',
+  'Airconditioning & Refrigeration System',
+  'Cargo and Ballast System',
+  'Deck Crane and Grab',
+  'BWTS',
+  'Aux Engine',
+  'Main Engine',
+  'LO System',
+  'FO System',
+  'FW and SW System',
+  'Load line Item',
+  'SOLAS',
+  'MARPOL',
+  'Navigation and Radio Equipment',
+  'Anchor and Mooring',
+  'Steam System',
+  'Steering Gear and Rudder',
+  'Others'
+];
+
+export const BUILT_IN_TAXONOMY = BUILT_IN_SYSTEMS.map((name, index) => ({
+  id: `built-in:${name}`,
+  parent_id: null,
+  name,
+  level: 1,
+  sort_order: (index + 1) * 10,
+  active: true,
+  builtIn: true
+}));
+
+const byOrder = (a, b) => (a.sort_order - b.sort_order) || a.name.localeCompare(b.name);
+
+// Every entry in tree order, each with its `depth` (0 for systems), its
+// `path` of names from the system down and `inactive` when it or an
+// ancestor is retired. Retired entries are left out unless asked for.
+export const flattenTaxonomy = (entries, { includeRetired = false } = {}) => {
+  const children = entries.reduce((acc, entry) => {
+    const key = entry.parent_id || 'root';
+    acc[key] = [...(acc[key] || []), entry];
+    return acc;
+  }, {});
+
+  const walk = (parentKey, depth, path, inactive) => (children[parentKey] || [])
+    .sort(byOrder)
+    .flatMap(entry => {
+      const retired = inactive || !entry.active;
+      if (retired && !includeRetired) return [];
+      const entryPath = [...path, entry.name];
+      return [
+        { ...entry, depth, path: entryPath, inactive: retired },
+        ...walk(entry.id, depth + 1, entryPath, retired)
+      ];
+    });
+
+  return walk('root', 0, [], false);
+};
+
+export const formatEquipmentPath = (path) => path.join(PATH_SEPARATOR);
+
+// The active systems, for filters
+export const equipmentSystems = (entries) => entries
+  .filter(entry => !entry.parent_id && entry.active)
+  .sort(byOrder);
+
+// Entries whose name, or the name of anything above them, contains the query
+export const searchTaxonomy = (flattened, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return flattened;
+  return flattened.filter(entry => formatEquipmentPath(entry.path).toLowerCase().includes(needle));
+};
+
+// The defect columns for picking `entryId`: the entry itself, the path to it
+// and the system it belongs to, which is what "Equipments" holds.
+export const equipmentSelection = (entries, entryId) => {
+  const entry = flattenTaxonomy(entries, { includeRetired: true }).find(item => item.id === entryId);
+  if (!entry) {
+    return { equipment_id: null, equipment_path: null, Equipments: '' };
+  }
+  return {
+    equipment_id: entry.builtIn ? null : entry.id,
+    equipment_path: formatEquipmentPath(entry.path),
+    Equipments: entry.path[0]
+  };
+};
+
+// What to show for a defect's equipment. Older defects only know the system.
+export const defectEquipmentLabel = (defect) => defect.equipment_path || defect.Equipments || '';
+
+// The taxonomy entry a defect points at, falling back to its system by name
+export const defectEquipmentId = (entries, defect) => {
+  if (defect.equipment_id) return defect.equipment_id;
+  const system = entries.find(entry => !entry.parent_id && entry.name === defect.Equipments);
+  return system?.id || '';
+};
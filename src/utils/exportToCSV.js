@@ -1,3 +1,7 @@
+import { TARGET_FIELD, dueState, formatTargetDate } from './sla';
+import { defectEquipmentLabel } from './equipmentTaxonomy';
+import { formatDefectRef } from './defectRef';
+
 export const exportToCSV = (data, filters = {}) => {
   try {
     // Apply filters
@@ -25,15 +29,19 @@ export const exportToCSV = (data, filters = {}) => {
     }
 
     // Format data for CSV
-    const csvData = filteredData.map((item, index) => ({
-      'No.': index + 1,
+    const csvData = filteredData.map(item => ({
+      'Ref': formatDefectRef(item),
       'Status': item['Status (Vessel)'],
       'Criticality': item.Criticality || '',
-      'Equipment': item.Equipments || '',
+      'System': item.Equipments || '',
+      'Equipment': defectEquipmentLabel(item),
       'Description': item.Description || '',
       'Action Planned': item['Action Planned'] || '',
       'Date Reported': item['Date Reported'] ? new Date(item['Date Reported']).toLocaleDateString() : '',
-      'Date Completed': item['Date Completed'] ? new Date(item['Date Completed']).toLocaleDateString() : ''
+      'Date Completed': item['Date Completed'] ? new Date(item['Date Completed']).toLocaleDateString() : '',
+      'Target Date': formatTargetDate(item[TARGET_FIELD]),
+      'Overdue': dueState(item) === 'overdue' ? 'Yes' : '',
+      'Closing Remarks': item.closing_remarks || ''
     }));
 
     // Convert to CSV string
@@ -0,0 +1,215 @@
+// Shrinks photos to a size that is practical over a satellite link. The
+// budget comes from REACT_APP_PHOTO_MAX_BYTES and REACT_APP_PHOTO_MAX_DIMENSION
+// (longest side in pixels). Re-encoding through a canvas drops all metadata,
+// so the time the photo was taken is read from the original EXIF and written
+// back into the result - it is the evidence of when the defect was seen.
+
+const envNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const PHOTO_MAX_BYTES = envNumber(process.env.REACT_APP_PHOTO_MAX_BYTES, 300 * 1024);
+export const PHOTO_MAX_DIMENSION = envNumber(process.env.REACT_APP_PHOTO_MAX_DIMENSION, 1600);
+
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const QUALITY_STEPS = [0.85, 0.75, 0.65, 0.55, 0.45];
+const SCALE_STEP = 0.75;
+const MAX_SCALE_STEPS = 6;
+
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const EXIF_DATE_LENGTH = 20;
+
+// EXIF timestamps are local camera time, 'YYYY:MM:DD HH:MM:SS'
+export const formatExifDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+export const parseExifDate = (text) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const readTiffDate = (view, tiff) => {
+  const little = view.getUint16(tiff) === 0x4949;
+  const u16 = (at) => view.getUint16(at, little);
+  const u32 = (at) => view.getUint32(at, little);
+  const entries = (ifd) => Array.from({ length: u16(tiff + ifd) }, (_, i) => tiff + ifd + 2 + i * 12);
+  const ascii = (entry) => {
+    const count = u32(entry + 4);
+    const start = count > 4 ? tiff + u32(entry + 8) : entry + 8;
+    let text = '';
+    for (let i = 0; i < count - 1; i += 1) text += String.fromCharCode(view.getUint8(start + i));
+    return text;
+  };
+
+  let dateTime = null;
+  let exifIfd = null;
+  entries(u32(tiff + 4)).forEach(entry => {
+    if (u16(entry) === TAG_DATE_TIME) dateTime = ascii(entry);
+    if (u16(entry) === TAG_EXIF_IFD) exifIfd = u32(entry + 8);
+  });
+
+  const original = exifIfd && entries(exifIfd).find(entry => u16(entry) === TAG_DATE_TIME_ORIGINAL);
+  return original ? ascii(original) : dateTime;
+};
+
+// When the photo was taken, as an EXIF date string, or null when the file
+// does not say.
+export const readPhotoTimestamp = async (file) => {
+  if (file.type !== 'image/jpeg') return null;
+  try {
+    const view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+      // APP1 starting with 'Exif'
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return readTiffDate(view, offset + 10);
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch (error) {
+    console.error('Error reading photo metadata:', error);
+  }
+  return null;
+};
+
+// A minimal EXIF block: DateTime in IFD0 and DateTimeOriginal in the Exif IFD
+const buildExifSegment = (exifDate) => {
+  const tiffLength = 96;
+  const bytes = new Uint8Array(10 + tiffLength);
+  const view = new DataView(bytes.buffer);
+  const tiff = 10;
+  const writeAscii = (at, text) => {
+    for (let i = 0; i < EXIF_DATE_LENGTH - 1; i += 1) view.setUint8(tiff + at + i, text.charCodeAt(i) || 0);
+  };
+  const writeEntry = (at, tag, type, count, value) => {
+    view.setUint16(tiff + at, tag, true);
+    view.setUint16(tiff + at + 2, type, true);
+    view.setUint32(tiff + at + 4, count, true);
+    view.setUint32(tiff + at + 8, value, true);
+  };
+
+  view.setUint16(0, 0xFFE1);
+  view.setUint16(2, bytes.length - 2);
+  'Exif'.split('').forEach((char, i) => view.setUint8(4 + i, char.charCodeAt(0)));
+
+  view.setUint16(tiff, 0x4949);
+  view.setUint16(tiff + 2, 42, true);
+  view.setUint32(tiff + 4, 8, true);
+
+  view.setUint16(tiff + 8, 2, true);
+  writeEntry(10, TAG_DATE_TIME, 2, EXIF_DATE_LENGTH, 38);
+  writeEntry(22, TAG_EXIF_IFD, 4, 1, 58);
+  writeAscii(38, exifDate);
+
+  view.setUint16(tiff + 58, 1, true);
+  writeEntry(60, TAG_DATE_TIME_ORIGINAL, 2, EXIF_DATE_LENGTH, 76);
+  writeAscii(76, exifDate);
+
+  return bytes;
+};
+
+const withExifDate = async (jpeg, exifDate) => {
+  if (!exifDate) return jpeg;
+  const head = new DataView(await jpeg.slice(0, 64).arrayBuffer());
+  // Goes after the JFIF header the browser writes, if there is one
+  const insertAt = head.getUint16(2) === 0xFFE0 ? 4 + head.getUint16(4) : 2;
+  return new Blob(
+    [jpeg.slice(0, insertAt), buildExifSegment(exifDate), jpeg.slice(insertAt)],
+    { type: 'image/jpeg' }
+  );
+};
+
+const loadImage = async (blob) => {
+  if (window.createImageBitmap) {
+    try {
+      return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Fall through to an <img>, which some browsers decode more formats with
+    }
+  }
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not read the photo'));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const drawScaled = (source, scale) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(source.width * scale));
+  canvas.height = Math.max(1, Math.round(source.height * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; keep PNG cut-outs from turning black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const canvasToJpeg = (canvas, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the photo'))),
+    'image/jpeg',
+    quality
+  );
+});
+
+// Decodes a photo into a canvas no larger than `maxDimension`, the working
+// copy the annotation canvas draws on.
+export const loadPhoto = async (file, { maxDimension = PHOTO_MAX_DIMENSION } = {}) => {
+  const image = await loadImage(file);
+  const canvas = drawScaled(image, Math.min(1, maxDimension / Math.max(image.width, image.height)));
+  image.close?.();
+  return canvas;
+};
+
+// Encodes a canvas as JPEG, lowering quality and then size until it fits
+// `maxBytes`, and stamps it with `exifDate`.
+export const encodePhoto = async (canvas, { maxBytes = PHOTO_MAX_BYTES, exifDate = null, name = 'photo.jpg' } = {}) => {
+  let source = canvas;
+  let blob = null;
+  for (let step = 0; step < MAX_SCALE_STEPS && !(blob && blob.size <= maxBytes); step += 1) {
+    if (step > 0) source = drawScaled(source, SCALE_STEP);
+    for (const quality of QUALITY_STEPS) {
+      blob = await canvasToJpeg(source, quality);
+      if (blob.size <= maxBytes) break;
+    }
+  }
+
+  const stamped = await withExifDate(blob, exifDate);
+  return new File([stamped], name.replace(/\.\w+$/, '') + '.jpg', {
+    type: 'image/jpeg',
+    lastModified: parseExifDate(exifDate)?.getTime() || Date.now()
+  });
+};
+
+// Any image attached as a plain file goes through the same budget. Files
+// that are not photos, or already fit, are returned untouched.
+export const compressPhoto = async (file, { maxBytes = PHOTO_MAX_BYTES, maxDimension = PHOTO_MAX_DIMENSION } = {}) => {
+  if (!COMPRESSIBLE_TYPES.includes(file.type) || file.size <= maxBytes) return file;
+
+  const [exifDate, canvas] = await Promise.all([
+    readPhotoTimestamp(file),
+    loadPhoto(file, { maxDimension })
+  ]);
+  const compressed = await encodePhoto(canvas, { maxBytes, exifDate, name: file.name });
+  return compressed.size < file.size ? compressed : file;
+};
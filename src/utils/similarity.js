@@ -0,0 +1,76 @@
+// Fuzzy matching of defect descriptions, used to spot a defect being raised
+// again while the first report is still open. Works on whatever is cached,
+// so it needs no connection. Two measures are blended: shared words (after
+// dropping filler words and plural endings) catch rewordings, and shared
+// letter triples catch typos and run-together words.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'no', 'not', 'of', 'on', 'or', 'the', 'to', 'was',
+  'were', 'with'
+]);
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Crude stemming: enough to match "leaks"/"leaking"/"leaked" to "leak"
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '') || word;
+
+export const tokenize = (text) => normalize(text)
+  .split(' ')
+  .filter(word => word && !STOP_WORDS.has(word))
+  .map(word => (word.length > 4 ? stem(word) : word));
+
+const trigrams = (text) => {
+  const padded = `  ${normalize(text)} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Dice coefficient of two sets: 1 when equal, 0 when nothing is shared
+const dice = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+// 0 (unrelated) to 1 (same text)
+export const textSimilarity = (a, b) => {
+  const words = dice(new Set(tokenize(a)), new Set(tokenize(b)));
+  const letters = dice(trigrams(a), trigrams(b));
+  return (words + letters) / 2;
+};
+
+export const DUPLICATE_THRESHOLD = 0.4;
+const MAX_CANDIDATES = 5;
+
+// Open defects on the same vessel and equipment whose description reads like
+// `defect`'s, best match first, as [{ defect, score }]. A match on the exact
+// taxonomy entry counts for a little more than one on the same system.
+export const findDuplicateCandidates = (defect, defects, { threshold = DUPLICATE_THRESHOLD, limit = MAX_CANDIDATES } = {}) => {
+  if (!defect.vessel_id || !defect.Equipments || !normalize(defect.Description)) return [];
+
+  return defects
+    .filter(other =>
+      other.localId !== defect.localId &&
+      String(other.vessel_id) === String(defect.vessel_id) &&
+      other.Equipments === defect.Equipments &&
+      other['Status (Vessel)'] !== 'CLOSED' &&
+      !other.archived_at &&
+      !other.deleted_at
+    )
+    .map(other => {
+      const sameEntry = Boolean(defect.equipment_id) && other.equipment_id === defect.equipment_id;
+      const score = Math.min(1, textSimilarity(defect.Description, other.Description) + (sameEntry ? 0.05 : 0));
+      return { defect: other, score };
+    })
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,60 @@
+import { findDuplicateCandidates, textSimilarity, tokenize } from './similarity';
+
+const draft = {
+  localId: 'new',
+  vessel_id: 'v1',
+  Equipments: 'Main Engine',
+  'Status (Vessel)': 'OPEN',
+  Description: 'Lube oil leaking from cylinder 3 liner'
+};
+const reworded = 'Cylinder 3 liner lube oil leaks';
+
+describe('tokenize', () => {
+  it('drops filler words and plural or verb endings', () => {
+    expect(tokenize('The seals are Leaking, at 2 pumps')).toEqual(['seal', 'leak', '2', 'pump']);
+  });
+});
+
+describe('textSimilarity', () => {
+  it('is 1 for the same text and 0 for nothing in common', () => {
+    expect(textSimilarity('Cooling pump noisy', 'cooling pump noisy')).toBe(1);
+    expect(textSimilarity('abc', 'xyz')).toBe(0);
+  });
+});
+
+describe('findDuplicateCandidates', () => {
+  it('finds an open defect described in other words', () => {
+    const match = { ...draft, localId: 'a', Description: reworded };
+    const unrelated = { ...draft, localId: 'b', Description: 'Turbocharger vibration at full load' };
+    const candidates = findDuplicateCandidates(draft, [match, unrelated]);
+    expect(candidates.map(candidate => candidate.defect)).toEqual([match]);
+    expect(candidates[0].score).toBeGreaterThan(0.4);
+  });
+
+  it('only looks at open defects on the same vessel and equipment', () => {
+    expect(findDuplicateCandidates(draft, [
+      draft,
+      { ...draft, localId: 'a', vessel_id: 'v2' },
+      { ...draft, localId: 'b', Equipments: 'Generator' },
+      { ...draft, localId: 'c', 'Status (Vessel)': 'CLOSED' },
+      { ...draft, localId: 'd', archived_at: '2026-01-02T00:00:00Z' },
+      { ...draft, localId: 'e', deleted_at: '2026-01-02T00:00:00Z' }
+    ])).toEqual([]);
+  });
+
+  it('needs a vessel, equipment and description to match on', () => {
+    const others = [{ ...draft, localId: 'a' }];
+    expect(findDuplicateCandidates({ ...draft, Description: '  ' }, others)).toEqual([]);
+    expect(findDuplicateCandidates({ ...draft, Equipments: '' }, others)).toEqual([]);
+  });
+
+  it('ranks the same taxonomy entry first and keeps to the limit', () => {
+    const candidates = findDuplicateCandidates({ ...draft, equipment_id: 'e1' }, [
+      { ...draft, localId: 'a', Description: reworded, equipment_id: 'e2' },
+      { ...draft, localId: 'b', Description: reworded, equipment_id: 'e1' },
+      { ...draft, localId: 'c', Description: reworded }
+    ], { limit: 2 });
+    expect(candidates.map(candidate => candidate.defect.localId)).toEqual(['b', 'a']);
+    expect(candidates[0].score - candidates[1].score).toBeCloseTo(0.05);
+  });
+});
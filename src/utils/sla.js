@@ -0,0 +1,88 @@
+// Target completion dates. Each defect gets a target date defaulted from the
+// SLA for its criticality, counted from the date it was reported. The SLA
+// comes from REACT_APP_SLA_DAYS as 'High:7,Medium:30,Low:90'; any criticality
+// it leaves out keeps the default below. Open defects past their target are
+// overdue, and those within REACT_APP_SLA_DUE_SOON_DAYS of it are due soon.
+
+export const TARGET_FIELD = 'target_date';
+
+const DEFAULT_SLA_DAYS = { High: 7, Medium: 30, Low: 90 };
+
+const parseSlaDays = (value) => String(value || '')
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .reduce((days, [criticality, count]) => {
+    const number = Number(count);
+    return criticality && Number.isInteger(number) && number >= 0
+      ? { ...days, [criticality]: number }
+      : days;
+  }, DEFAULT_SLA_DAYS);
+
+export const SLA_DAYS = parseSlaDays(process.env.REACT_APP_SLA_DAYS);
+
+const dueSoonDays = Number(process.env.REACT_APP_SLA_DUE_SOON_DAYS);
+export const DUE_SOON_DAYS = Number.isInteger(dueSoonDays) && dueSoonDays >= 0 ? dueSoonDays : 3;
+
+export const DUE_STATES = {
+  overdue: { label: 'Overdue', className: 'bg-red-500/20 text-red-300' },
+  'due-soon': { label: 'Due Soon', className: 'bg-yellow-500/20 text-yellow-300' }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates are compared as local calendar days, like the date inputs
+const toDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value ? String(value) : '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// For display; read as a local day so it is not shifted by the time zone
+export const formatTargetDate = (value) => parseDay(value)?.toLocaleDateString() || '';
+
+// The target date a defect gets by default, or '' when its criticality has
+// no SLA or it has no report date yet.
+export const defaultTargetDate = (criticality, dateReported) => {
+  const reported = parseDay(dateReported);
+  const days = SLA_DAYS[criticality];
+  if (!reported || days === undefined) return '';
+  return toDay(addDays(reported, days));
+};
+
+// A target date nobody has set by hand: none yet, or still the default.
+// Such a date moves when the criticality or report date changes.
+export const followsDefaultTarget = (defect) => {
+  const current = defect?.[TARGET_FIELD] ? String(defect[TARGET_FIELD]).slice(0, 10) : '';
+  return !current || current === defaultTargetDate(defect?.Criticality, defect?.['Date Reported']);
+};
+
+// 'overdue', 'due-soon' or null. Closed defects are never late.
+export const dueState = (defect, today = new Date()) => {
+  const target = parseDay(defect[TARGET_FIELD]);
+  if (!target || defect['Status (Vessel)'] === 'CLOSED') return null;
+
+  const todayDay = toDay(today);
+  const targetDay = toDay(target);
+  if (targetDay < todayDay) return 'overdue';
+  if (targetDay <= toDay(addDays(today, DUE_SOON_DAYS))) return 'due-soon';
+  return null;
+};
+
+// The target dates, as local days, that put an open defect in `state`:
+// before `before`, or from `from` to `to`. For filtering on the server.
+export const dueDateRange = (state, today = new Date()) => {
+  if (state === 'overdue') return { before: toDay(today) };
+  if (state === 'due-soon') return { from: toDay(today), to: toDay(addDays(today, DUE_SOON_DAYS)) };
+  return null;
+};
+
+// Whole days past the target date, for open defects that are overdue
+export const daysOverdue = (defect, today = new Date()) => {
+  const target = parseDay(defect[TARGET_FIELD]);
+  if (!target || dueState(defect, today) !== 'overdue') return 0;
+  const start = parseDay(toDay(today));
+  return Math.round((start - target) / (24 * 60 * 60 * 1000));
+};
@@ -0,0 +1,55 @@
+-- Delta sync for the defects register: every row carries a server-maintained
+-- updated_at, and deletions leave a tombstone so offline caches can drop them.
+
+alter table "defects register"
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists defects_register_vessel_updated_at_idx
+  on "defects register" (vessel_id, updated_at);
+
+create or replace function set_updated_at() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_set_updated_at on "defects register";
+create trigger defects_register_set_updated_at
+  before update on "defects register"
+  for each row execute function set_updated_at();
+
+create table if not exists defect_tombstones (
+  defect_id text primary key,
+  vessel_id text not null,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists defect_tombstones_vessel_deleted_at_idx
+  on defect_tombstones (vessel_id, deleted_at);
+
+create or replace function record_defect_tombstone() returns trigger
+language plpgsql security definer as $$
+begin
+  insert into defect_tombstones (defect_id, vessel_id, deleted_at)
+  values (old.id::text, old.vessel_id::text, now())
+  on conflict (defect_id) do update set deleted_at = excluded.deleted_at;
+  return old;
+end;
+$$;
+
+drop trigger if exists defects_register_tombstone on "defects register";
+create trigger defects_register_tombstone
+  after delete on "defects register"
+  for each row execute function record_defect_tombstone();
+
+alter table defect_tombstones enable row level security;
+
+drop policy if exists "Read tombstones of assigned vessels" on defect_tombstones;
+create policy "Read tombstones of assigned vessels" on defect_tombstones
+  for select using (
+    vessel_id in (
+      select vessel_id::text from user_vessels where user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,16 @@
+-- Live updates for the defects register. Realtime applies the table's RLS
+-- policies, so subscribers only hear about vessels they are assigned to.
+-- Delete events carry only the primary key.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public'
+      and tablename = 'defects register'
+  ) then
+    alter publication supabase_realtime add table "defects register";
+  end if;
+end;
+$$;
@@ -0,0 +1,49 @@
+-- Archive and soft delete for the defects register. Nothing is removed:
+-- archived defects are hidden from the default view, deleted ones from every
+-- view, and both keep who did it, when and why. The timestamp is the one the
+-- client sent (an offline change is dated when it was made); who is taken
+-- from the session, never from the request.
+
+alter table "defects register"
+  add column if not exists archived_at timestamptz,
+  add column if not exists archived_by text,
+  add column if not exists archive_reason text,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by text,
+  add column if not exists delete_reason text;
+
+create or replace function stamp_defect_removal() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' or new.archived_at is distinct from old.archived_at then
+    new.archived_by := case
+      when new.archived_at is null then null
+      else coalesce(auth.jwt() ->> 'email', new.archived_by)
+    end;
+    if new.archived_at is null then
+      new.archive_reason := null;
+    end if;
+  end if;
+
+  if tg_op = 'INSERT' or new.deleted_at is distinct from old.deleted_at then
+    new.deleted_by := case
+      when new.deleted_at is null then null
+      else coalesce(auth.jwt() ->> 'email', new.deleted_by)
+    end;
+    if new.deleted_at is null then
+      new.delete_reason := null;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_stamp_removal on "defects register";
+create trigger defects_register_stamp_removal
+  before insert or update on "defects register"
+  for each row execute function stamp_defect_removal();
+
+create index if not exists defects_register_live_idx
+  on "defects register" (vessel_id)
+  where deleted_at is null and archived_at is null;
@@ -0,0 +1,92 @@
+-- Change history for the defects register: one row per field a write changed,
+-- kept next to the defect forever. Rows are written by a trigger only, so
+-- every path (the app, the service worker, the SQL editor) is recorded, and
+-- there is no policy that lets anyone update or delete them.
+--
+-- Changes synced from the outbox send `x-change-origin: offline` and
+-- `x-changed-at` (when the change was made on board). Anything else is
+-- recorded as an online change made now. Who is taken from the session,
+-- never from the request.
+
+create table if not exists defect_history (
+  id bigint generated always as identity primary key,
+  defect_id text not null,
+  vessel_id text not null,
+  action text not null check (action in ('create', 'update', 'delete')),
+  field text,
+  old_value text,
+  new_value text,
+  changed_by uuid,
+  changed_by_email text,
+  changed_at timestamptz not null,
+  recorded_at timestamptz not null default now(),
+  origin text not null default 'online' check (origin in ('online', 'offline'))
+);
+
+create index if not exists defect_history_defect_changed_at_idx
+  on defect_history (defect_id, changed_at);
+
+create or replace function record_defect_history() returns trigger
+language plpgsql security definer as $$
+declare
+  tracked constant text[] := array[
+    'vessel_id', 'Equipments', 'Description', 'Action Planned',
+    'Status (Vessel)', 'Criticality', 'Date Reported', 'Date Completed',
+    'Comments', 'archived_at', 'archive_reason', 'deleted_at', 'delete_reason'
+  ];
+  headers json := coalesce(nullif(current_setting('request.headers', true), ''), '{}')::json;
+  change_origin text := case when headers ->> 'x-change-origin' = 'offline' then 'offline' else 'online' end;
+  change_time timestamptz := now();
+  before_row jsonb := case when tg_op = 'INSERT' then '{}'::jsonb else to_jsonb(old) end;
+  after_row jsonb := case when tg_op = 'DELETE' then '{}'::jsonb else to_jsonb(new) end;
+  row_data jsonb := case when tg_op = 'DELETE' then to_jsonb(old) else to_jsonb(new) end;
+  field text;
+begin
+  -- A client clock can be wrong; never date a change after it reached us
+  begin
+    change_time := least(coalesce((headers ->> 'x-changed-at')::timestamptz, now()), now());
+  exception when others then
+    change_time := now();
+  end;
+
+  if tg_op = 'DELETE' then
+    insert into defect_history
+      (defect_id, vessel_id, action, changed_by, changed_by_email, changed_at, origin)
+    values
+      (row_data ->> 'id', row_data ->> 'vessel_id', 'delete',
+       auth.uid(), auth.jwt() ->> 'email', change_time, change_origin);
+    return old;
+  end if;
+
+  foreach field in array tracked loop
+    if (before_row ->> field) is distinct from (after_row ->> field) then
+      insert into defect_history
+        (defect_id, vessel_id, action, field, old_value, new_value,
+         changed_by, changed_by_email, changed_at, origin)
+      values
+        (row_data ->> 'id', row_data ->> 'vessel_id', lower(tg_op), field,
+         before_row ->> field, after_row ->> field,
+         auth.uid(), auth.jwt() ->> 'email', change_time, change_origin);
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_history on "defects register";
+create trigger defects_register_history
+  after insert or update or delete on "defects register"
+  for each row execute function record_defect_history();
+
+alter table defect_history enable row level security;
+
+drop policy if exists "Read history of assigned vessels" on defect_history;
+create policy "Read history of assigned vessels" on defect_history
+  for select using (
+    vessel_id in (
+      select vessel_id::text from user_vessels where user_id = auth.uid()
+    )
+  );
+
+revoke insert, update, delete, truncate on defect_history from anon, authenticated;
@@ -0,0 +1,89 @@
+-- Attachments for the defects register. Files live in the private
+-- `defect-attachments` bucket under `<vessel_id>/<attachment id>/<file name>`,
+-- so access follows the vessel assignment the same way the register does.
+-- Attachment ids are generated by the client, which lets an upload queued
+-- offline be retried without creating a second row.
+
+insert into storage.buckets (id, name, public)
+values ('defect-attachments', 'defect-attachments', false)
+on conflict (id) do nothing;
+
+create table if not exists defect_attachments (
+  id uuid primary key,
+  defect_id text not null,
+  vessel_id text not null,
+  file_name text not null,
+  content_type text,
+  size bigint,
+  storage_path text not null unique,
+  uploaded_by text,
+  created_at timestamptz not null default now(),
+  constraint defect_attachments_path_in_vessel
+    check (storage_path like vessel_id || '/%')
+);
+
+create index if not exists defect_attachments_defect_idx
+  on defect_attachments (defect_id, created_at);
+
+create or replace function stamp_attachment_uploader() returns trigger
+language plpgsql as $$
+begin
+  new.uploaded_by := coalesce(auth.jwt() ->> 'email', new.uploaded_by);
+  return new;
+end;
+$$;
+
+drop trigger if exists defect_attachments_stamp_uploader on defect_attachments;
+create trigger defect_attachments_stamp_uploader
+  before insert on defect_attachments
+  for each row execute function stamp_attachment_uploader();
+
+alter table defect_attachments enable row level security;
+
+drop policy if exists "Read attachments of assigned vessels" on defect_attachments;
+create policy "Read attachments of assigned vessels" on defect_attachments
+  for select using (
+    vessel_id in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+drop policy if exists "Add attachments to assigned vessels" on defect_attachments;
+create policy "Add attachments to assigned vessels" on defect_attachments
+  for insert with check (
+    vessel_id in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+drop policy if exists "Remove attachments of assigned vessels" on defect_attachments;
+create policy "Remove attachments of assigned vessels" on defect_attachments
+  for delete using (
+    vessel_id in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+-- The first folder of every object path is the vessel id
+drop policy if exists "Read attachment files of assigned vessels" on storage.objects;
+create policy "Read attachment files of assigned vessels" on storage.objects
+  for select using (
+    bucket_id = 'defect-attachments' and
+    (storage.foldername(name))[1] in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+drop policy if exists "Upload attachment files to assigned vessels" on storage.objects;
+create policy "Upload attachment files to assigned vessels" on storage.objects
+  for insert with check (
+    bucket_id = 'defect-attachments' and
+    (storage.foldername(name))[1] in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+-- A retried upload overwrites the object it may already have written
+drop policy if exists "Replace attachment files of assigned vessels" on storage.objects;
+create policy "Replace attachment files of assigned vessels" on storage.objects
+  for update using (
+    bucket_id = 'defect-attachments' and
+    (storage.foldername(name))[1] in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+drop policy if exists "Remove attachment files of assigned vessels" on storage.objects;
+create policy "Remove attachment files of assigned vessels" on storage.objects
+  for delete using (
+    bucket_id = 'defect-attachments' and
+    (storage.foldername(name))[1] in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
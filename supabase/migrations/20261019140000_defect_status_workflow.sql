@@ -0,0 +1,155 @@
+-- Status workflow for the defects register: OPEN -> IN PROGRESS -> CLOSED,
+-- with an explicit reopen. Closing needs a completion date (not before the
+-- report date, not in the future) and closing remarks; reopening needs a
+-- reason. Mirrors src/utils/defectWorkflow.js - the app checks first, this
+-- makes sure nothing queued offline or written by hand gets round it.
+
+alter table "defects register"
+  add column if not exists closing_remarks text,
+  add column if not exists reopen_reason text;
+
+create or replace function enforce_defect_workflow() returns trigger
+language plpgsql as $$
+declare
+  from_status text := case when tg_op = 'UPDATE' then old."Status (Vessel)" end;
+  to_status text := new."Status (Vessel)";
+  closing boolean;
+  redated boolean;
+begin
+  if to_status is null or to_status not in ('OPEN', 'IN PROGRESS', 'CLOSED') then
+    raise exception 'Unknown status "%"', coalesce(to_status, '')
+      using errcode = 'check_violation';
+  end if;
+
+  if tg_op = 'INSERT' and to_status not in ('OPEN', 'IN PROGRESS') then
+    raise exception 'A new defect must start as Open or In Progress'
+      using errcode = 'check_violation';
+  end if;
+
+  -- Rows from before the workflow with an unknown status may move anywhere once
+  if tg_op = 'UPDATE'
+    and from_status is distinct from to_status
+    and from_status in ('OPEN', 'IN PROGRESS', 'CLOSED')
+    and (from_status, to_status) not in (
+      ('OPEN', 'IN PROGRESS'),
+      ('IN PROGRESS', 'CLOSED'),
+      ('CLOSED', 'OPEN')
+    ) then
+    raise exception 'A defect cannot move from % to %', from_status, to_status
+      using errcode = 'check_violation';
+  end if;
+
+  closing := to_status = 'CLOSED' and (
+    tg_op = 'INSERT'
+    or from_status is distinct from 'CLOSED'
+    or new."Date Completed" is distinct from old."Date Completed"
+    or new.closing_remarks is distinct from old.closing_remarks
+  );
+  -- On a closed defect the dates stay in order whichever of them is edited
+  redated := to_status = 'CLOSED' and (
+    closing
+    or new."Date Reported" is distinct from old."Date Reported"
+  );
+  if redated and new."Date Completed"::date < new."Date Reported"::date then
+    raise exception 'Date Completed cannot be before Date Reported'
+      using errcode = 'check_violation';
+  end if;
+
+  if closing then
+    if new."Date Completed" is null then
+      raise exception 'Closing a defect needs the date it was completed'
+        using errcode = 'check_violation';
+    end if;
+    -- A day of slack for ships ahead of UTC
+    if new."Date Completed"::date > current_date + 1 then
+      raise exception 'Date Completed cannot be in the future'
+        using errcode = 'check_violation';
+    end if;
+    if coalesce(btrim(new.closing_remarks), '') = '' then
+      raise exception 'Closing a defect needs closing remarks'
+        using errcode = 'check_violation';
+    end if;
+  end if;
+
+  if from_status = 'CLOSED' and to_status <> 'CLOSED'
+    and coalesce(btrim(new.reopen_reason), '') = '' then
+    raise exception 'Reopening a defect needs a reason'
+      using errcode = 'check_violation';
+  end if;
+
+  -- Only a closed defect is complete; the history keeps what this replaces
+  if to_status <> 'CLOSED' then
+    new."Date Completed" := null;
+    new.closing_remarks := null;
+  elsif from_status is distinct from 'CLOSED' then
+    new.reopen_reason := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_workflow on "defects register";
+create trigger defects_register_workflow
+  before insert or update on "defects register"
+  for each row execute function enforce_defect_workflow();
+
+-- The fields the change history records. A migration adding a column to
+-- the register lists it here rather than re-creating the trigger function.
+create table if not exists defect_history_fields (
+  field text primary key
+);
+
+insert into defect_history_fields (field) values
+  ('vessel_id'), ('Equipments'), ('Description'), ('Action Planned'),
+  ('Status (Vessel)'), ('Criticality'), ('Date Reported'), ('Date Completed'),
+  ('Comments'), ('archived_at'), ('archive_reason'), ('deleted_at'), ('delete_reason'),
+  ('closing_remarks'), ('reopen_reason')
+on conflict do nothing;
+
+alter table defect_history_fields enable row level security;
+revoke insert, update, delete, truncate on defect_history_fields from anon, authenticated;
+
+create or replace function record_defect_history() returns trigger
+language plpgsql security definer as $$
+declare
+  headers json := coalesce(nullif(current_setting('request.headers', true), ''), '{}')::json;
+  change_origin text := case when headers ->> 'x-change-origin' = 'offline' then 'offline' else 'online' end;
+  change_time timestamptz := now();
+  before_row jsonb := case when tg_op = 'INSERT' then '{}'::jsonb else to_jsonb(old) end;
+  after_row jsonb := case when tg_op = 'DELETE' then '{}'::jsonb else to_jsonb(new) end;
+  row_data jsonb := case when tg_op = 'DELETE' then to_jsonb(old) else to_jsonb(new) end;
+  field text;
+begin
+  -- A client clock can be wrong; never date a change after it reached us
+  begin
+    change_time := least(coalesce((headers ->> 'x-changed-at')::timestamptz, now()), now());
+  exception when others then
+    change_time := now();
+  end;
+
+  if tg_op = 'DELETE' then
+    insert into defect_history
+      (defect_id, vessel_id, action, changed_by, changed_by_email, changed_at, origin)
+    values
+      (row_data ->> 'id', row_data ->> 'vessel_id', 'delete',
+       auth.uid(), auth.jwt() ->> 'email', change_time, change_origin);
+    return old;
+  end if;
+
+  for field in select f.field from defect_history_fields f order by f.field loop
+    if (before_row ->> field) is distinct from (after_row ->> field) then
+      insert into defect_history
+        (defect_id, vessel_id, action, field, old_value, new_value,
+         changed_by, changed_by_email, changed_at, origin)
+      values
+        (row_data ->> 'id', row_data ->> 'vessel_id', lower(tg_op), field,
+         before_row ->> field, after_row ->> field,
+         auth.uid(), auth.jwt() ->> 'email', change_time, change_origin);
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
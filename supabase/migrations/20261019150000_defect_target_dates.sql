@@ -0,0 +1,32 @@
+-- Target completion date for each defect. The app defaults it from the SLA
+-- for the defect's criticality (src/utils/sla.js) and flags open defects
+-- that are past it. Existing defects get the default SLA counted from their
+-- report date, before the history trigger starts tracking the column so the
+-- backfill does not show up as a change by anyone. The workflow trigger is
+-- held off too: the backfill is not a status change and must not trip over
+-- rows from before the workflow.
+
+alter table "defects register"
+  add column if not exists target_date date;
+
+alter table "defects register" disable trigger defects_register_workflow;
+
+update "defects register"
+set target_date = "Date Reported"::date + case "Criticality"
+    when 'High' then 7
+    when 'Medium' then 30
+    when 'Low' then 90
+  end
+where target_date is null
+  and "Date Reported" is not null
+  and "Criticality" in ('High', 'Medium', 'Low');
+
+alter table "defects register" enable trigger defects_register_workflow;
+
+create index if not exists defects_register_target_date_idx
+  on "defects register" (target_date)
+  where deleted_at is null and "Status (Vessel)" <> 'CLOSED';
+
+-- Record target date changes in the history as well
+insert into defect_history_fields (field) values ('target_date')
+on conflict do nothing;
@@ -0,0 +1,64 @@
+-- Comment threads on defects, replacing the single "Comments" column that
+-- each editor overwrote. Comments are append-only: a reply points at the
+-- comment that started its thread, and a comment can carry one attachment.
+-- Ids come from the client so a comment queued offline can be retried
+-- without being posted twice.
+
+create table if not exists defect_comments (
+  id uuid primary key,
+  defect_id text not null,
+  vessel_id text not null,
+  parent_id uuid references defect_comments (id) on delete cascade,
+  body text not null check (btrim(body) <> ''),
+  attachment_id uuid references defect_attachments (id) on delete set null,
+  attachment_name text,
+  author_id uuid default auth.uid(),
+  author_email text,
+  created_at timestamptz not null default now(),
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists defect_comments_defect_idx
+  on defect_comments (defect_id, created_at);
+
+-- The author is whoever posts it. The time is when it was written, which for
+-- a comment made offline is earlier than when it arrives - but never later.
+create or replace function stamp_comment_author() returns trigger
+language plpgsql as $$
+begin
+  new.author_id := auth.uid();
+  new.author_email := auth.jwt() ->> 'email';
+  new.recorded_at := now();
+  new.created_at := least(coalesce(new.created_at, now()), now());
+  return new;
+end;
+$$;
+
+drop trigger if exists defect_comments_stamp_author on defect_comments;
+create trigger defect_comments_stamp_author
+  before insert on defect_comments
+  for each row execute function stamp_comment_author();
+
+-- What was in the old column becomes the first comment of each defect
+insert into defect_comments (id, defect_id, vessel_id, body, created_at, recorded_at)
+select gen_random_uuid(), d.id::text, d.vessel_id::text, btrim(d."Comments"),
+  coalesce(d."Date Reported"::timestamptz, now()), now()
+from "defects register" d
+where coalesce(btrim(d."Comments"), '') <> ''
+  and not exists (select 1 from defect_comments c where c.defect_id = d.id::text);
+
+alter table defect_comments enable row level security;
+
+drop policy if exists "Read comments of assigned vessels" on defect_comments;
+create policy "Read comments of assigned vessels" on defect_comments
+  for select using (
+    vessel_id in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+drop policy if exists "Comment on assigned vessels" on defect_comments;
+create policy "Comment on assigned vessels" on defect_comments
+  for insert with check (
+    vessel_id in (select vessel_id::text from user_vessels where user_id = auth.uid())
+  );
+
+revoke update, delete, truncate on defect_comments from anon, authenticated;
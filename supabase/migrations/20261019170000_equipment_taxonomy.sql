@@ -0,0 +1,147 @@
+-- Equipment taxonomy: systems, their sub-systems and components, replacing
+-- the fixed list of equipment in the defect form. Admins (users whose
+-- app_metadata.role is 'admin') maintain it; everyone else reads it. Entries
+-- are retired rather than deleted so defects raised against them keep their
+-- place in the tree.
+--
+-- A defect points at the entry it was raised against (equipment_id) and
+-- keeps the readable path to it (equipment_path) as it stood at the time.
+-- "Equipments" stays the name of the top-level system, which is what the
+-- charts, filters and older clients group by.
+
+create table if not exists equipment_taxonomy (
+  id uuid primary key default gen_random_uuid(),
+  parent_id uuid references equipment_taxonomy (id) on delete restrict,
+  name text not null check (btrim(name) <> ''),
+  level smallint not null default 1 check (level between 1 and 3),
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists equipment_taxonomy_name_idx
+  on equipment_taxonomy (coalesce(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(btrim(name)));
+
+create or replace function is_app_admin() returns boolean
+language sql stable as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin'
+$$;
+
+-- Level follows the parent: system (1) -> sub-system (2) -> component (3).
+-- Entries do not move between parents, so the tree cannot grow deeper or
+-- loop through an edit.
+create or replace function prepare_equipment_entry() returns trigger
+language plpgsql as $$
+declare
+  parent_level smallint;
+begin
+  if tg_op = 'UPDATE' and new.parent_id is distinct from old.parent_id then
+    raise exception 'Equipment cannot be moved to another parent'
+      using errcode = 'check_violation';
+  end if;
+
+  if new.parent_id is null then
+    new.level := 1;
+  else
+    select level into parent_level from equipment_taxonomy where id = new.parent_id;
+    if parent_level >= 3 then
+      raise exception 'Components cannot have parts of their own'
+        using errcode = 'check_violation';
+    end if;
+    new.level := parent_level + 1;
+  end if;
+
+  new.name := btrim(new.name);
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists equipment_taxonomy_prepare on equipment_taxonomy;
+create trigger equipment_taxonomy_prepare
+  before insert or update on equipment_taxonomy
+  for each row execute function prepare_equipment_entry();
+
+-- The systems the form offered until now
+insert into equipment_taxonomy (name, sort_order)
+values
+  ('Air System and Air Compressor', 10),
+  ('Airconditioning & Refrigeration System', 20),
+  ('Cargo and Ballast System', 30),
+  ('Deck Crane and Grab', 40),
+  ('BWTS', 50),
+  ('Aux Engine', 60),
+  ('Main Engine', 70),
+  ('LO System', 80),
+  ('FO System', 90),
+  ('FW and SW System', 100),
+  ('Load line Item', 110),
+  ('SOLAS', 120),
+  ('MARPOL', 130),
+  ('Navigation and Radio Equipment', 140),
+  ('Anchor and Mooring', 150),
+  ('Steam System', 160),
+  ('Steering Gear and Rudder', 170),
+  ('Others', 180)
+on conflict do nothing;
+
+alter table equipment_taxonomy enable row level security;
+
+drop policy if exists "Read the equipment taxonomy" on equipment_taxonomy;
+create policy "Read the equipment taxonomy" on equipment_taxonomy
+  for select to authenticated using (true);
+
+drop policy if exists "Admins add equipment" on equipment_taxonomy;
+create policy "Admins add equipment" on equipment_taxonomy
+  for insert to authenticated with check (is_app_admin());
+
+drop policy if exists "Admins edit equipment" on equipment_taxonomy;
+create policy "Admins edit equipment" on equipment_taxonomy
+  for update to authenticated using (is_app_admin()) with check (is_app_admin());
+
+revoke delete, truncate on equipment_taxonomy from anon, authenticated;
+
+alter table "defects register"
+  add column if not exists equipment_id uuid references equipment_taxonomy (id),
+  add column if not exists equipment_path text;
+
+-- Defects saved without an entry (older clients, or one that has not
+-- loaded the taxonomy yet) are linked to their system by name.
+create or replace function link_defect_equipment() returns trigger
+language plpgsql as $$
+begin
+  if new.equipment_id is null and new."Equipments" is not null then
+    select id into new.equipment_id
+    from equipment_taxonomy
+    where parent_id is null and lower(name) = lower(btrim(new."Equipments"));
+    new.equipment_path := coalesce(new.equipment_path, new."Equipments");
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_equipment on "defects register";
+create trigger defects_register_equipment
+  before insert or update on "defects register"
+  for each row execute function link_defect_equipment();
+
+-- Existing defects sit at system level. Triggers are held off as in the
+-- target date backfill: this is not an edit by anyone.
+alter table "defects register" disable trigger defects_register_workflow;
+alter table "defects register" disable trigger defects_register_history;
+
+update "defects register" d
+set equipment_id = t.id,
+    equipment_path = t.name
+from equipment_taxonomy t
+where t.parent_id is null
+  and lower(t.name) = lower(btrim(d."Equipments"))
+  and d.equipment_id is null;
+
+alter table "defects register" enable trigger defects_register_history;
+alter table "defects register" enable trigger defects_register_workflow;
+
+-- Record moves within the taxonomy in the history as well
+insert into defect_history_fields (field) values ('equipment_path')
+on conflict do nothing;
@@ -0,0 +1,127 @@
+-- Stable defect references, one sequence per vessel and year:
+-- <vessel code>-<year>-<number>, e.g. STAR-2026-0042. The server assigns them
+-- on insert so two people raising defects offline can never take the same
+-- number; until its first sync a defect raised offline shows a provisional
+-- PROV- reference. Once assigned a reference never changes.
+--
+-- The vessel code is vessels.ref_code, or the first letters of the vessel
+-- name when none is set. Set codes before relying on the references: two
+-- vessels whose names start alike would otherwise share a prefix.
+
+alter table vessels
+  add column if not exists ref_code text;
+
+create unique index if not exists vessels_ref_code_idx
+  on vessels (upper(btrim(ref_code)))
+  where ref_code is not null;
+
+alter table "defects register"
+  add column if not exists defect_ref text;
+
+create unique index if not exists defects_register_ref_idx
+  on "defects register" (vessel_id, defect_ref);
+
+-- Last number handed out per vessel and year. Only the functions below
+-- touch it.
+create table if not exists defect_ref_counters (
+  vessel_id text not null,
+  ref_year integer not null,
+  last_number integer not null default 0,
+  primary key (vessel_id, ref_year)
+);
+
+alter table defect_ref_counters enable row level security;
+revoke all on defect_ref_counters from anon, authenticated;
+
+create or replace function vessel_ref_code(target_vessel text) returns text
+language sql stable security definer as $$
+  select coalesce(
+    (select coalesce(
+       nullif(upper(btrim(v.ref_code)), ''),
+       nullif(left(upper(regexp_replace(v.vessel_name, '[^A-Za-z0-9]', '', 'g')), 8), '')
+     )
+     from vessels v
+     where v.vessel_id::text = target_vessel),
+    'V' || target_vessel
+  )
+$$;
+
+create or replace function format_defect_ref(target_vessel text, ref_year integer, ref_number integer) returns text
+language sql stable security definer as $$
+  select vessel_ref_code(target_vessel) || '-' || ref_year || '-' || lpad(ref_number::text, 4, '0')
+$$;
+
+-- The upsert takes a row lock on the counter, so concurrent inserts for the
+-- same vessel queue up instead of reading the same number.
+create or replace function next_defect_ref(target_vessel text, ref_year integer) returns text
+language plpgsql security definer as $$
+declare
+  ref_number integer;
+begin
+  insert into defect_ref_counters (vessel_id, ref_year, last_number)
+  values (target_vessel, ref_year, 1)
+  on conflict (vessel_id, ref_year)
+    do update set last_number = defect_ref_counters.last_number + 1
+  returning last_number into ref_number;
+
+  return format_defect_ref(target_vessel, ref_year, ref_number);
+end;
+$$;
+
+revoke execute on function next_defect_ref(text, integer) from public, anon, authenticated;
+
+-- Existing defects are numbered in the order they were reported. The
+-- workflow trigger is held off as in the earlier backfills.
+alter table "defects register" disable trigger defects_register_workflow;
+
+with numbered as (
+  select
+    id,
+    vessel_id::text as vessel,
+    extract(year from coalesce("Date Reported"::date, updated_at::date))::integer as ref_year,
+    row_number() over (
+      partition by vessel_id, extract(year from coalesce("Date Reported"::date, updated_at::date))
+      order by "Date Reported", "SNo" nulls last, id
+    )::integer as ref_number
+  from "defects register"
+  where defect_ref is null
+)
+update "defects register" d
+set defect_ref = format_defect_ref(numbered.vessel, numbered.ref_year, numbered.ref_number)
+from numbered
+where numbered.id = d.id;
+
+alter table "defects register" enable trigger defects_register_workflow;
+
+insert into defect_ref_counters (vessel_id, ref_year, last_number)
+select
+  vessel_id::text,
+  extract(year from coalesce("Date Reported"::date, updated_at::date))::integer,
+  count(*)
+from "defects register"
+group by 1, 2
+on conflict (vessel_id, ref_year)
+  do update set last_number = greatest(defect_ref_counters.last_number, excluded.last_number);
+
+-- Whatever reference a client sends (a provisional one, say) is replaced on
+-- insert, and an update can never change it.
+create or replace function assign_defect_ref() returns trigger
+language plpgsql security definer as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.defect_ref := old.defect_ref;
+    return new;
+  end if;
+
+  new.defect_ref := next_defect_ref(
+    new.vessel_id::text,
+    extract(year from coalesce(new."Date Reported"::date, current_date))::integer
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists defects_register_ref on "defects register";
+create trigger defects_register_ref
+  before insert or update on "defects register"
+  for each row execute function assign_defect_ref();
@@ -0,0 +1,15 @@
+-- A defect raised again while the first report is still open can be linked
+-- to it rather than standing alone in the register. The link is the id of
+-- the earlier defect; the client finds candidates itself from its cached
+-- register so it works offline as well.
+
+alter table "defects register"
+  add column if not exists duplicate_of text;
+
+create index if not exists defects_register_duplicate_of_idx
+  on "defects register" (duplicate_of)
+  where duplicate_of is not null;
+
+-- Record duplicate links in the history as well
+insert into defect_history_fields (field) values ('duplicate_of')
+on conflict do nothing;
@@ -0,0 +1,34 @@
+-- Per-user settings that follow someone from one device to the next, such as
+-- their layout of the defects register. One row per user and setting, its
+-- value left to the client; nobody sees anyone else's.
+
+create table if not exists user_preferences (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  key text not null,
+  value jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, key)
+);
+
+drop trigger if exists user_preferences_set_updated_at on user_preferences;
+create trigger user_preferences_set_updated_at
+  before update on user_preferences
+  for each row execute function set_updated_at();
+
+alter table user_preferences enable row level security;
+
+drop policy if exists "Read own preferences" on user_preferences;
+create policy "Read own preferences" on user_preferences
+  for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Add own preferences" on user_preferences;
+create policy "Add own preferences" on user_preferences
+  for insert to authenticated with check (user_id = auth.uid());
+
+drop policy if exists "Change own preferences" on user_preferences;
+create policy "Change own preferences" on user_preferences
+  for update to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "Remove own preferences" on user_preferences;
+create policy "Remove own preferences" on user_preferences
+  for delete to authenticated using (user_id = auth.uid());